@@ -0,0 +1,273 @@
+/**
+ * 数据告警
+ * 每次成功抓取后按 ALERT_RULES 检查数据，条件成立时发送告警；同一账号的同一规则在条件解除前只告警一次，
+ * 解除时发送恢复通知。告警状态保存在 data/alert_state.json
+ *
+ * 规则 (逗号分隔，可组合多条):
+ * - 字段比较运算符阈值   ratio<1.5、bonus>=1000000、uploaded>=100TB (运算符 < <= > >=)
+ * - stagnant:天数[:字段] 字段 N 天没有增长，默认上传量，如 stagnant:3
+ * - drop:字段:百分比     字段比近 7 天平均值下降超过该比例，如 drop:bonusPerHour:30
+ * - missing:字段         字段缺失，如 missing:btClient
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import notifier from './notifier.js';
+import { queryHistory, getSnapshotAt } from './history.js';
+import { writeFileAtomic } from './session_store.js';
+import { PROFILE_SCHEMA, getFieldLabel, parseValue, formatValue } from './profile.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 下降告警对比的时间窗口
+const DROP_WINDOW_DAYS = 7;
+
+// 可用于数值规则的字段
+const NUMERIC_TYPES = ['bytes', 'number', 'ratio', 'duration'];
+
+const OPERATORS = {
+    '<': { symbol: '<', test: (a, b) => a < b },
+    '<=': { symbol: '≤', test: (a, b) => a <= b },
+    '>': { symbol: '>', test: (a, b) => a > b },
+    '>=': { symbol: '≥', test: (a, b) => a >= b },
+};
+
+let rules = null;
+let state = null;
+
+/**
+ * 检查字段名
+ * @param {string} field
+ * @param {string} rule - 规则原文 (用于错误提示)
+ * @param {boolean} numeric - 是否要求数值字段
+ */
+function checkField(field, rule, numeric = true) {
+    const type = PROFILE_SCHEMA[field];
+    if (!type || (numeric && !NUMERIC_TYPES.includes(type)) || type === 'boolean') {
+        const allowed = Object.keys(PROFILE_SCHEMA).filter(f => (numeric ? NUMERIC_TYPES.includes(PROFILE_SCHEMA[f]) : PROFILE_SCHEMA[f] !== 'boolean'));
+        throw new Error(`告警规则 ${rule} 的字段无效: ${field} (可选 ${allowed.join(' / ')})`);
+    }
+}
+
+/**
+ * 解析单条规则
+ * evaluate(context) 返回 { triggered, value, message }；数据不足无法判断时 triggered 为 null
+ * @param {string} text - 规则原文
+ * @returns {{ id: string, evaluate: function(object): object }}
+ */
+export function parseRule(text) {
+    const id = text.replace(/\s+/g, '');
+
+    // 阈值: ratio<1.5
+    const threshold = id.match(/^(\w+)(<=|>=|<|>)(.+)$/);
+    if (threshold) {
+        const [, field, op, raw] = threshold;
+        checkField(field, text);
+        const limit = parseValue(field, raw);
+        if (limit === null) {
+            throw new Error(`告警规则 ${text} 的阈值无法解析: ${raw}`);
+        }
+        const { symbol, test } = OPERATORS[op];
+        return {
+            id,
+            evaluate: ({ profile }) => {
+                const value = profile[field];
+                if (value === null) {
+                    return { triggered: null };
+                }
+                return {
+                    triggered: test(value, limit),
+                    value: formatValue(field, value),
+                    message: `${getFieldLabel(field)} ${formatValue(field, value)} ${symbol} ${formatValue(field, limit)}`,
+                };
+            },
+        };
+    }
+
+    const [type, ...args] = id.split(':');
+    switch (type) {
+        // 无增长: stagnant:3 / stagnant:3:bonus
+        case 'stagnant': {
+            const days = parseFloat(args[0]);
+            const field = args[1] || 'uploaded';
+            if (!(days > 0)) {
+                throw new Error(`告警规则 ${text} 的天数无效: ${args[0]}`);
+            }
+            checkField(field, text);
+            return {
+                id,
+                evaluate: ({ account, profile, now }) => {
+                    const baseline = getSnapshotAt(account.name, now - days * DAY);
+                    const before = baseline?.metrics?.[field];
+                    if (profile[field] === null || typeof before !== 'number') {
+                        return { triggered: null };
+                    }
+                    return {
+                        triggered: profile[field] <= before,
+                        value: formatValue(field, profile[field]),
+                        message: `${getFieldLabel(field)} ${days} 天没有增长 (${formatValue(field, before)} → ${formatValue(field, profile[field])})`,
+                    };
+                },
+            };
+        }
+
+        // 下降: drop:bonusPerHour:30
+        case 'drop': {
+            const [field, percentText] = args;
+            checkField(field, text);
+            const percent = parseFloat(percentText);
+            if (!(percent > 0 && percent < 100)) {
+                throw new Error(`告警规则 ${text} 的百分比无效: ${percentText} (0 ~ 100)`);
+            }
+            return {
+                id,
+                evaluate: ({ account, profile, now }) => {
+                    const values = queryHistory({ account: account.name, since: now - DROP_WINDOW_DAYS * DAY, until: now - 1, success: true })
+                        .map(record => record.metrics?.[field])
+                        .filter(value => typeof value === 'number');
+                    if (profile[field] === null || values.length === 0) {
+                        return { triggered: null };
+                    }
+                    const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+                    const change = average > 0 ? (average - profile[field]) / average * 100 : 0;
+                    return {
+                        triggered: change > percent,
+                        value: formatValue(field, profile[field]),
+                        message: `${getFieldLabel(field)}比近 ${DROP_WINDOW_DAYS} 天平均值 (${formatValue(field, average)}) 下降 ${change.toFixed(1)}%`,
+                    };
+                },
+            };
+        }
+
+        // 缺失: missing:btClient
+        case 'missing': {
+            const [field] = args;
+            checkField(field, text, false);
+            return {
+                id,
+                evaluate: ({ profile }) => ({
+                    triggered: profile[field] === null,
+                    value: formatValue(field, profile[field]),
+                    message: `未获取到${getFieldLabel(field)}`,
+                }),
+            };
+        }
+
+        default:
+            throw new Error(`无法识别的告警规则: ${text} (如 ratio<1.5、stagnant:3、drop:bonusPerHour:30、missing:btClient)`);
+    }
+}
+
+/**
+ * 获取已配置的告警规则 (规则无效时抛出错误)
+ * @returns {Array<{ id: string, evaluate: function(object): object }>}
+ */
+export function getAlertRules() {
+    if (!rules) {
+        rules = config.ALERT_RULES.map(parseRule);
+    }
+    return rules;
+}
+
+/**
+ * 状态文件路径: 未配置 ALERT_STATE_PATH 时与 STORAGE_PATH 同目录
+ */
+function getStatePath() {
+    return config.ALERT_STATE_PATH || path.join(path.dirname(config.STORAGE_PATH), 'alert_state.json');
+}
+
+/**
+ * 加载状态: 账号名 -> 规则 -> { since, value }
+ */
+function loadState() {
+    if (state) {
+        return state;
+    }
+
+    state = {};
+    try {
+        if (fs.existsSync(getStatePath())) {
+            state = JSON.parse(fs.readFileSync(getStatePath(), 'utf8'));
+        }
+    } catch (e) {
+        console.log(`⚠️ 告警状态文件损坏，已忽略: ${e.message}`);
+    }
+    return state;
+}
+
+/**
+ * 保存状态
+ */
+function saveState() {
+    const filePath = getStatePath();
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+    } catch (e) {
+        console.error('⚠️ 保存告警状态失败:', e.message);
+    }
+}
+
+/**
+ * 检查告警规则并发送告警 / 恢复通知
+ * @param {object} account - 账号配置
+ * @param {object} userData - 抓取结果 (见 profile.toUserData)
+ * @param {number} now - 本次记录时间 (此时间之后的记录不参与对比)
+ */
+export async function evaluateAlerts(account, userData, now = Date.now()) {
+    const activeRules = getAlertRules();
+    const { profile } = userData;
+    if (activeRules.length === 0 || !profile) {
+        return;
+    }
+    // 数据抓取失败时没有任何数值，无法判断
+    if (Object.keys(PROFILE_SCHEMA).every(field => !NUMERIC_TYPES.includes(PROFILE_SCHEMA[field]) || profile[field] === null)) {
+        console.log('ℹ️ 没有可用的数据，跳过告警检查');
+        return;
+    }
+
+    const entries = loadState()[account.name] || {};
+    const next = {};
+
+    for (const rule of activeRules) {
+        const result = rule.evaluate({ account, profile, now });
+        const active = entries[rule.id];
+
+        if (result.triggered === null) {
+            // 数据不足时保持原状态
+            if (active) next[rule.id] = active;
+            continue;
+        }
+
+        if (result.triggered === Boolean(active)) {
+            if (active) next[rule.id] = active;
+            continue;
+        }
+
+        // 状态变化时发送通知，发送失败则保持原状态，下次执行时重试
+        try {
+            if (result.triggered) {
+                console.log(`🚨 告警: ${result.message}`);
+                await notifier.sendAlert({ rule: rule.id, ...result }, account);
+                next[rule.id] = { since: new Date(now).toISOString(), value: result.value };
+            } else {
+                console.log(`✅ 告警解除: ${rule.id}`);
+                await notifier.sendAlert({ rule: rule.id, ...result, since: active.since }, account, { resolved: true });
+            }
+        } catch (e) {
+            console.error(`⚠️ 发送告警失败 (${rule.id}):`, e.message);
+            if (active) next[rule.id] = active;
+        }
+    }
+
+    // 只保留当前配置的规则
+    loadState()[account.name] = next;
+    saveState();
+}
+
+export default {
+    parseRule,
+    getAlertRules,
+    evaluateAlerts,
+};
@@ -0,0 +1,146 @@
+/**
+ * API 数据采集模块
+ * 通过站点的 JSON 接口获取用户信息，映射为与 scraper.js 相同的用户数据对象
+ * 接口地址与字段映射定义在站点配置的 api 部分
+ */
+
+import config from './config.js';
+import { getSiteProfile } from './site.js';
+import { toUserData } from './profile.js';
+
+/**
+ * 按点分路径读取对象属性，如 "data.memberCount.uploaded"
+ * @param {object} obj
+ * @param {string} dotPath
+ */
+function getByPath(obj, dotPath) {
+    return dotPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * 按字段类型转换接口返回值 (格式化由 profile.toUserData 统一处理)
+ * @param {*} value - 接口原始值
+ * @param {string} type - string / bytes / number / ratio / duration (秒) / date / boolean
+ */
+function convertValue(value, type) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    switch (type) {
+        case 'bytes':
+        case 'number':
+        case 'duration': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : String(value);
+        }
+        case 'ratio': {
+            const ratio = Number(value);
+            return Number.isFinite(ratio) ? ratio : Infinity;
+        }
+        case 'boolean':
+            return Boolean(Number(value) || value === true);
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * 获取接口认证请求头
+ * 优先使用 API Key，否则从已登录页面的 LocalStorage 读取令牌 (Cookie 由浏览器上下文自动携带)
+ * @param {import('playwright').Page} page
+ * @param {object} account - 账号配置
+ * @param {object} api - 站点 API 配置
+ */
+async function getAuthHeaders(page, account, api) {
+    const apiKey = account.apiKey || config.MT_API_KEY;
+    if (apiKey) {
+        return { 'x-api-key': apiKey };
+    }
+
+    const token = await page.evaluate((key) => localStorage.getItem(key), api.tokenStorageKey).catch(() => null);
+    if (!token) {
+        throw new Error(`未配置 API Key，且页面 LocalStorage 中没有 ${api.tokenStorageKey} 令牌`);
+    }
+    return { Authorization: token };
+}
+
+/**
+ * 调用单个接口
+ * @param {import('playwright').Page} page
+ * @param {string} baseUrl - 接口地址前缀
+ * @param {{ path: string, method?: string }} endpoint
+ * @param {object} headers
+ */
+async function callEndpoint(page, baseUrl, endpoint, headers) {
+    const url = `${baseUrl}${endpoint.path}`;
+    const response = await page.request.fetch(url, {
+        method: endpoint.method || 'POST',
+        headers,
+        timeout: 15000,
+    });
+
+    if (!response.ok()) {
+        throw new Error(`接口 ${endpoint.path} 返回 HTTP ${response.status()}`);
+    }
+
+    const body = await response.json();
+    // M-TEAM 接口约定 code 为 "0" 表示成功
+    if (body && body.code !== undefined && String(body.code) !== '0') {
+        throw new Error(`接口 ${endpoint.path} 返回错误: ${body.message || body.code}`);
+    }
+    return body;
+}
+
+/**
+ * 通过 API 采集用户数据
+ * @param {import('playwright').Page} page - 已登录的页面 (用于共享 Cookie 和读取令牌)
+ * @param {object} account - 账号配置
+ * @returns {Promise<object>} - 与 scrapeUserData 相同结构的用户数据 (见 profile.toUserData)
+ */
+export async function collectUserData(page, account) {
+    console.log('📡 通过 API 获取用户数据...');
+
+    const { api } = getSiteProfile();
+    if (!api) {
+        throw new Error('当前站点配置不支持 API 采集');
+    }
+
+    const baseUrl = (config.MT_API_BASE || api.baseUrl).replace(/\/+$/, '');
+    const headers = await getAuthHeaders(page, account, api);
+
+    // 只请求字段映射中用到的接口
+    const usedEndpoints = [...new Set(Object.values(api.fields).map(field => field.endpoint))];
+    const responses = {};
+    for (const name of usedEndpoints) {
+        const endpoint = api.endpoints[name];
+        if (!endpoint) {
+            throw new Error(`站点 API 配置中缺少接口: ${name}`);
+        }
+        responses[name] = await callEndpoint(page, baseUrl, endpoint, headers);
+    }
+
+    const raw = {};
+    for (const [key, field] of Object.entries(api.fields)) {
+        raw[key] = convertValue(getByPath(responses[field.endpoint], field.path), field.type);
+    }
+
+    const userData = toUserData({
+        ...raw,
+        username: raw.username || 'Unknown',
+        hasNewMessage: Boolean(raw.hasNewMessage),
+    });
+
+    console.log('✅ API 数据获取完成');
+    console.log('   用户名:', userData.username);
+    console.log('   上传:', userData.uploaded);
+    console.log('   下载:', userData.downloaded);
+    console.log('   比率:', userData.ratio);
+    console.log('   魔力值:', userData.bonus);
+
+    return userData;
+}
+
+export default {
+    collectUserData,
+};
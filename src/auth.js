@@ -4,17 +4,33 @@
  */
 
 import { chromium } from 'playwright';
-import fs from 'fs';
-import path from 'path';
-import config from './config.js';
+import config, { toFileName } from './config.js';
 import telegram from './telegram.js';
+import notifier from './notifier.js';
+import { getFreshTotp } from './totp.js';
+import session from './session.js';
+import sessionStore from './session_store.js';
+import { getSiteProfile, buildUrl, isNetworkError, rebaseStorageState } from './site.js';
+import { PageState, detectPageState } from './page_state.js';
+import { toPlaywrightProxy, maskProxyUrl } from './proxy.js';
+import { createCallbackToken } from './callbacks.js';
+import { recordTfaPrompt } from './metrics.js';
 
 /**
- * 创建浏览器实例
- * @param {Object|null} storageState - 可选的会话状态
+ * 验证码提示上的按钮
+ */
+const TfaAction = Object.freeze({
+    CANCEL: 'tfa_cancel',   // 取消登录
+    RETRY: 'tfa_retry',     // 刷新页面后重新识别 (不计入尝试次数)
+    RESEND: 'tfa_resend',   // 重新发送提示
+});
+
+/**
+ * 启动浏览器实例 (多个账号共享，每个账号使用独立的 context)
  */
-async function createBrowser(storageState = null) {
-    const browser = await chromium.launch({
+export async function launchBrowser() {
+    console.log('🌐 启动浏览器...');
+    return await chromium.launch({
         headless: true,
         args: [
             '--no-sandbox',
@@ -24,7 +40,15 @@ async function createBrowser(storageState = null) {
             '--disable-gpu',
         ],
     });
+}
 
+/**
+ * 创建隔离的浏览器上下文
+ * @param {import('playwright').Browser} browser - 浏览器实例
+ * @param {Object|null} storageState - 可选的会话状态
+ * @param {string} proxyUrl - 站点代理地址 (可选)
+ */
+async function createContext(browser, storageState = null, proxyUrl = '') {
     const contextOptions = {
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         viewport: { width: 1920, height: 1080 },
@@ -32,6 +56,12 @@ async function createBrowser(storageState = null) {
         timezoneId: 'Asia/Shanghai',
     };
 
+    // 站点流量代理 (每个账号可以使用不同的出口)
+    if (proxyUrl) {
+        console.log(`🛰️ 使用站点代理: ${maskProxyUrl(proxyUrl)}`);
+        contextOptions.proxy = toPlaywrightProxy(proxyUrl);
+    }
+
     // 如果有保存的会话状态，并且有效，则加载
     if (storageState) {
         // 简单的验证
@@ -41,113 +71,189 @@ async function createBrowser(storageState = null) {
         }
     }
 
-    const context = await browser.newContext(contextOptions);
-    return { browser, context };
+    return await browser.newContext(contextOptions);
 }
 
 /**
- * 获取会话状态 (Cookie + LocalStorage)
+ * 获取会话状态候选 (Cookie + LocalStorage)
+ * 顺序: 当前会话文件 -> 从新到旧的备份 -> MT_SESSION 环境变量
+ * @param {object} account - 账号配置
+ * @returns {Promise<Array<{ source: string, state: object }>>}
  */
-async function getSessionState() {
-    // 1. 优先尝试读取本地文件
+async function getSessionCandidates(account) {
+    // 1. 优先尝试读取本地文件及其备份 (损坏的文件会被跳过)
+    const candidates = [];
     try {
-        if (fs.existsSync(config.STORAGE_PATH)) {
-            const fileData = fs.readFileSync(config.STORAGE_PATH, 'utf8');
-            if (fileData) {
-                console.log(`📦 从文件加载会话状态: ${config.STORAGE_PATH}`);
-                return JSON.parse(fileData);
-            }
+        const fileCandidates = await sessionStore.loadSessionCandidates(account.storagePath);
+        for (const candidate of fileCandidates) {
+            console.log(`📦 从文件加载会话状态: ${candidate.path}`);
+            candidates.push(candidate);
         }
     } catch (e) {
         console.log('⚠️ 读取会话文件失败:', e.message);
     }
 
-    // 2. 尝试从环境变量读取 (兼容旧模式)
-    if (config.MT_SESSION) {
+    // 2. 尝试从环境变量读取 (兼容旧模式，仅单账号)
+    if (config.MT_SESSION && account.storagePath === config.STORAGE_PATH) {
         try {
-            const session = JSON.parse(config.MT_SESSION);
+            const state = JSON.parse(config.MT_SESSION);
             console.log('📦 从环境变量加载会话状态');
-            return session;
+            candidates.push({ source: 'env', state });
         } catch (e) {
             console.log('⚠️ MT_SESSION 环境变量解析失败:', e.message);
         }
     }
 
-    return null;
+    return candidates;
+}
+
+/**
+ * 使用已保存的会话打开首页并验证是否仍然有效
+ * 网络错误会继续抛出，由上层切换镜像
+ * @param {import('playwright').Page} page
+ * @param {string} baseUrl - 镜像地址
+ * @returns {Promise<boolean>}
+ */
+async function verifySession(page, baseUrl) {
+    console.log('🔍 验证会话有效性...');
+    try {
+        await page.goto(buildUrl(baseUrl, 'index'), { waitUntil: 'networkidle' });
+
+        // 检查是否有效
+        if (await checkLoginStatus(page)) {
+            console.log('✅ 会话有效，已无需登录');
+            return true;
+        }
+        console.log('⚠️ 会话已失效');
+    } catch (e) {
+        if (isNetworkError(e)) throw e;
+        console.log('⚠️ 验证会话时出错:', e.message);
+    }
+    return false;
 }
 
 // ... (保持 tryLoginWithCookie, tryRestoreStorage 等辅助函数以备不时之需, 但主要逻辑已改变)
 // 为了兼容性，我们可以保留旧的提取函数，但 login 流程将主要使用 snapshot
 
+/**
+ * 在指定镜像上完成登录
+ * 当前使用的 context/page 写入 attempt，便于上层截图或切换镜像时携带 Cookie
+ * @param {object} account - 账号配置
+ * @param {import('playwright').Browser} browser - 共享的浏览器实例
+ * @param {string} baseUrl - 镜像地址
+ * @param {Array<{ source: string, state: object }>} candidates - 会话候选
+ * @param {{ context: object|null, page: object|null }} attempt
+ * @returns {Promise<{ isLoggedIn: boolean, sessionSource: string|null, loginPath: string }>}
+ */
+async function loginViaMirror(account, browser, baseUrl, candidates, attempt) {
+    console.log(`🌐 使用站点地址: ${baseUrl}`);
+
+    // 1. 依次尝试各个会话候选，每个候选使用独立的浏览器上下文
+    let isLoggedIn = false;
+    let sessionSource = null;
+
+    for (const candidate of candidates) {
+        console.log(`🧭 创建浏览器上下文: ${account.name} (${candidate.source})`);
+        attempt.context = await createContext(browser, rebaseStorageState(candidate.state, baseUrl), account.proxy);
+        attempt.page = await attempt.context.newPage();
+
+        if (await verifySession(attempt.page, baseUrl)) {
+            isLoggedIn = true;
+            sessionSource = candidate.source;
+            if (candidate.source === 'backup') {
+                console.log(`♻️ 当前会话不可用，已从备份恢复: ${candidate.path}`);
+            }
+            break;
+        }
+
+        await attempt.context.close().catch(() => { });
+        attempt.context = null;
+        attempt.page = null;
+    }
+
+    // 2. 没有可用会话时，使用全新的上下文登录
+    if (!attempt.context) {
+        console.log(`🧭 创建浏览器上下文: ${account.name}`);
+        attempt.context = await createContext(browser, null, account.proxy);
+        attempt.page = await attempt.context.newPage();
+    }
+
+    // 3. 如果未登录，执行登录流程
+    let loginPath = 'session';
+    if (!isLoggedIn) {
+        console.log('📍 访问登录页面...');
+        await attempt.page.goto(buildUrl(baseUrl, 'login'), { waitUntil: 'networkidle' });
+
+        // 由状态机处理登录表单、设备验证、2FA 和公告弹窗
+        const steps = await driveLogin(attempt.page, account);
+        loginPath = steps.join('+') || 'login';
+    }
+
+    return { isLoggedIn, sessionSource, loginPath };
+}
+
 /**
  * 主登录流程
+ * 按优先级尝试各个镜像，遇到 DNS/连接/超时错误时切换到下一个镜像
+ * @param {object} account - 账号配置
+ * @param {import('playwright').Browser} browser - 共享的浏览器实例
  */
-export async function login() {
-    let browser = null;
-    let context = null;
-    let page = null;
+export async function login(account, browser) {
+    const { mirrors } = getSiteProfile();
+    const attempt = { context: null, page: null };
 
     try {
         // 初始化 Telegram updates
         await telegram.initUpdates();
 
         // 1. 获取保存的会话状态
-        const savedDoc = await getSessionState();
+        let candidates = await getSessionCandidates(account);
 
-        // 2. 创建浏览器 (带状态)
-        console.log('🌐 启动浏览器...');
-        const browserContext = await createBrowser(savedDoc);
-        browser = browserContext.browser;
-        context = browserContext.context;
-
-        // 创建页面
-        page = await context.newPage();
+        // 会话即将过期且处于可人工响应的时段时，主动放弃旧会话重新登录
+        const savedExpiry = candidates.length > 0 ? session.getSessionExpiry(candidates[0].state) : null;
+        if (savedExpiry) {
+            console.log(`🍪 已保存会话剩余有效期: ${session.formatRemaining(savedExpiry.remainingMs)} (${savedExpiry.cookieName})`);
+        }
+        let refreshed = false;
+        if (session.shouldForceRefresh(savedExpiry)) {
+            console.log('🔄 会话即将过期，主动执行完整登录以刷新会话');
+            candidates = [];
+            refreshed = true;
+        }
 
-        // 3. 验证登录状态
-        let isLoggedIn = false;
+        // 2. 依次尝试各个镜像
+        let outcome = null;
+        let baseUrl = null;
 
-        if (savedDoc) {
-            console.log('🔍 验证会话有效性...');
+        for (const [index, mirror] of mirrors.entries()) {
             try {
-                await page.goto(config.MT_INDEX_URL, { waitUntil: 'networkidle' });
-
-                // 检查是否有效
-                if (await checkLoginStatus(page)) {
-                    console.log('✅ 会话有效，已无需登录');
-                    isLoggedIn = true;
-                } else {
-                    console.log('⚠️ 会话已失效，准备重新登录');
+                outcome = await loginViaMirror(account, browser, mirror, candidates, attempt);
+                baseUrl = mirror;
+                break;
+            } catch (error) {
+                if (!isNetworkError(error) || index === mirrors.length - 1) {
+                    throw error;
+                }
+                console.log(`⚠️ 镜像 ${mirror} 不可用 (${error.message.split('\n')[0]})，切换到下一个镜像...`);
+
+                // 携带当前上下文中已获得的 Cookie (如登录进行到一半) 到下一个镜像
+                if (attempt.context) {
+                    const state = await attempt.context.storageState().catch(() => null);
+                    const known = candidates.some(c => JSON.stringify(c.state.cookies) === JSON.stringify(state?.cookies));
+                    if (state && state.cookies && state.cookies.length > 0 && !known) {
+                        candidates = [{ source: 'failover', state }, ...candidates];
+                    }
+                    await attempt.context.close().catch(() => { });
                 }
-            } catch (e) {
-                console.log('⚠️ 验证会话时出错:', e.message);
+                attempt.context = null;
+                attempt.page = null;
             }
         }
 
-        // 4. 如果未登录，执行登录流程
-        if (!isLoggedIn) {
-            console.log('📍 访问登录页面...');
-            await page.goto(config.MT_LOGIN_URL, { waitUntil: 'networkidle' });
-
-            await performLogin(page);
-
-            // 检查设备验证 和 2FA
-            if (await checkDeviceApproval(page)) {
-                await handleDeviceApproval(page);
-            }
-            if (await check2FA(page)) {
-                await handle2FA(page);
-            }
-
-            // 再次通过弹窗处理和检查
-            await handleAnnouncements(page);
-
-            if (!(await checkLoginStatus(page))) {
-                throw new Error('登录验证失败');
-            }
-            console.log('✅ 登录成功');
-        }
+        const { context, page } = attempt;
+        const { isLoggedIn, sessionSource, loginPath } = outcome;
 
-        // 5. 统一提取状态 (storageState)
+        // 3. 统一提取状态 (storageState)
         // 无论是否重新登录，都提取最新的状态
         console.log('💾 提取浏览器完整状态 (Cookies + Storage)...');
         const storageState = await context.storageState();
@@ -157,72 +263,94 @@ export async function login() {
         const originsCount = storageState.origins ? storageState.origins.length : 0;
         console.log(`📊 状态统计: Cookies(${cookiesCount}) + Origins(${originsCount})`);
 
+        const sessionExpiry = session.getSessionExpiry(storageState);
+        if (sessionExpiry) {
+            console.log(`🍪 当前会话剩余有效期: ${session.formatRemaining(sessionExpiry.remainingMs)}`);
+        }
+
         return {
             success: true,
             storageState: JSON.stringify(storageState), // 返回完整的 storageState JSON 字符串
+            baseUrl,
+            sessionReused: isLoggedIn,
+            sessionSource,
+            loginPath,
+            sessionRefreshed: refreshed,
+            sessionExpiry,
             page,
-            browser,
             context
         };
 
     } catch (error) {
         console.error('❌ 登录失败:', error.message);
-        if (page) {
-            const screenshotPath = '/tmp/error_screenshot.png';
-            await page.screenshot({ path: screenshotPath, fullPage: true });
-            await telegram.sendErrorNotice(error.message, screenshotPath);
+        if (attempt.page) {
+            const screenshotPath = `/tmp/error_screenshot_${toFileName(account.name)}.png`;
+            await attempt.page.screenshot({ path: screenshotPath, fullPage: true }).catch(() => { });
+            const pageText = await attempt.page.innerText('body').catch(() => '');
+            await notifier.sendErrorNotice(error.message, screenshotPath, account, pageText);
+        } else {
+            // 页面创建之前失败 (如代理无效、浏览器上下文创建失败)，没有截图可附带
+            await notifier.sendErrorNotice(error.message, null, account);
         }
-        if (browser) await browser.close();
-        return { success: false, storageState: null, page: null, browser: null, context: null };
-    }
-}
-
-/**
- * 检查是否需要设备验证
- */
-async function checkDeviceApproval(page) {
-    // 检查页面是否包含设备验证提示
-    const deviceApprovalTexts = [
-        '新设备',
-        'new device',
-        '批准',
-        'approve',
-        '验证此设备',
-    ];
-
-    const pageContent = await page.content();
-    const needsApproval = deviceApprovalTexts.some(text =>
-        pageContent.toLowerCase().includes(text.toLowerCase())
-    );
-
-    if (needsApproval) {
-        console.log('🔐 检测到设备验证页面');
-        return true;
+        if (attempt.context) await attempt.context.close().catch(() => { });
+        return { success: false, error: error.message, storageState: null, page: null, context: null };
     }
-    return false;
 }
 
 /**
  * 处理设备验证
+ * 定期刷新页面检查批准状态，用户可在 Telegram 回复 /approved 立即检查或 /cancel 放弃
+ * @param {object} account - 账号配置
  */
-async function handleDeviceApproval(page) {
+async function handleDeviceApproval(page, account) {
     console.log('⏳ 处理设备验证...');
 
     // 获取可能的批准链接
-    const approvalLink = await page.evaluate(() => {
-        const links = document.querySelectorAll('a[href*="approve"], a[href*="confirm"]');
+    const approvalLink = await page.evaluate((selectors) => {
+        const links = document.querySelectorAll(selectors.join(', '));
         return links.length > 0 ? links[0].href : null;
-    });
+    }, getSiteProfile().selectors.approvalLinks);
 
-    // 发送 Telegram 通知
-    await telegram.sendDeviceApprovalNotice(approvalLink);
+    // 发送设备验证通知
+    await notifier.sendDeviceApprovalNotice(approvalLink, account);
 
-    // 等待用户在其他设备上批准
-    console.log('⏳ 等待设备批准 (45 秒)...');
-    await page.waitForTimeout(config.DEVICE_APPROVAL_WAIT);
+    const startTime = Date.now();
+    const deadline = startTime + config.DEVICE_APPROVAL_TIMEOUT;
+    console.log(`⏳ 等待设备批准 (最多 ${Math.round(config.DEVICE_APPROVAL_TIMEOUT / 1000)} 秒)...`);
 
-    // 刷新页面检查状态
-    await page.reload({ waitUntil: 'networkidle' });
+    while (Date.now() < deadline) {
+        // 等待下一次检查，期间收到命令则提前返回
+        const wait = Math.min(config.DEVICE_APPROVAL_POLL_INTERVAL, deadline - Date.now());
+        const command = await telegram.waitForCommand(['approved', 'cancel'], wait, account.tgUserId);
+
+        if (command === 'cancel') {
+            console.log('🛑 用户取消了设备验证');
+            await telegram.sendMessage('🛑 已取消设备验证，本次登录终止', true, account.tgUserId);
+            throw new Error('设备验证已被用户取消');
+        }
+
+        // 刷新页面检查状态
+        await page.reload({ waitUntil: 'networkidle' }).catch(e => {
+            console.log('⚠️ 刷新页面失败:', e.message);
+        });
+        const { state } = await detectPageState(page);
+
+        if (state !== PageState.DEVICE_APPROVAL) {
+            const seconds = Math.round((Date.now() - startTime) / 1000);
+            console.log(`✅ 设备验证已通过 (用时 ${seconds} 秒)`);
+            await telegram.sendMessage(`✅ 设备验证已通过 (用时 ${seconds} 秒)，继续登录...`, true, account.tgUserId);
+            return;
+        }
+
+        if (command === 'approved') {
+            console.log('ℹ️ 用户表示已批准，但页面仍显示设备验证');
+            await telegram.sendMessage('ℹ️ 页面仍显示设备验证，继续等待...', true, account.tgUserId);
+        }
+    }
+
+    const minutes = Math.round(config.DEVICE_APPROVAL_TIMEOUT / 60000);
+    console.log('❌ 设备验证等待超时');
+    throw new Error(`设备验证等待超时 (${minutes} 分钟内未批准)`);
 }
 
 /**
@@ -230,16 +358,7 @@ async function handleDeviceApproval(page) {
  */
 async function handleAnnouncements(page) {
     try {
-        console.log('🔍 检查公告弹窗...');
-        const confirmSelectors = [
-            'button:has-text("確認")',
-            'button:has-text("确认")',
-            'button:has-text("Confirm")',
-            'button:has-text("我知道了")',
-            'button:has-text("Close")',
-            '.ant-modal-footer button',
-            'div[role="dialog"] button'
-        ];
+        const confirmSelectors = getSiteProfile().selectors.announcementConfirm;
 
         for (const selector of confirmSelectors) {
             const button = await page.$(selector);
@@ -257,173 +376,239 @@ async function handleAnnouncements(page) {
 }
 
 /**
- * 检查是否需要 2FA 验证
+ * 获取 2FA 验证码
+ * 配置了 TOTP 密钥时自动生成，否则通过 Telegram 请求用户输入
+ * 提示消息附带 "取消登录"、"立即重试"、"重新发送提示" 按钮，按钮只对本次提示有效
+ * @param {object} account - 账号配置
+ * @param {object} tfa - 2FA 进度 (attempts, maxAttempts, useTotp)
+ * @param {string} state - PageState.TOTP 或 PageState.EMAIL_CODE
+ * @returns {Promise<string|null>} - 验证码；用户选择立即重试时返回 TfaAction.RETRY，超时返回 null
  */
-async function check2FA(page) {
-    console.log('🔍 检查是否需要 2FA...');
+async function obtain2FACode(account, tfa, state) {
+    if (tfa.useTotp && state === PageState.TOTP) {
+        console.log('🔑 使用 TOTP 密钥自动生成验证码');
+        return await getFreshTotp(account.totpSecret);
+    }
 
-    // 1. 如果已经登录成功，不需要 2FA
-    // (防止首页出现包含 "验证" 字样的公告导致误判)
-    try {
-        if (await checkLoginStatus(page)) {
-            console.log('✅ 已检测到登录状态，无需 2FA');
-            return false;
-        }
-    } catch (e) { }
-
-    // 2. 方法1: 通过选择器检查
-    const tfaIndicators = [
-        'input[placeholder*="6位"]',
-        'input[placeholder*="验证码"]',
-        'input[placeholder*="数字"]',
-        'input[name*="2fa"]',
-        'input[name*="totp"]',
-        'input[name*="otp"]',
-        'input[name*="code"]',
-        'input[type="text"][maxlength="6"]',
-    ];
-
-    for (const selector of tfaIndicators) {
-        const element = await page.$(selector);
-        if (element && await element.isVisible()) {
-            console.log(`🔐 检测到 2FA 验证页面 (选择器匹配: ${selector})`);
-            return true;
+    const info = {
+        isEmail: state === PageState.EMAIL_CODE,
+        attempt: tfa.attempts,
+        maxAttempts: tfa.maxAttempts,
+    };
+    const keyboard = {
+        token: createCallbackToken(),
+        rows: [
+            [{ text: '🛑 取消登录', action: TfaAction.CANCEL }, { text: '🔄 立即重试', action: TfaAction.RETRY }],
+            [{ text: '📨 重新发送提示', action: TfaAction.RESEND }],
+        ],
+    };
+    const actions = { token: keyboard.token, names: Object.values(TfaAction) };
+
+    // 发送输入提示 (Telegram 之外的渠道只能提醒，验证码仍需通过 Telegram 回复)
+    await notifier.sendTfaPrompt(info, account, keyboard);
+    recordTfaPrompt(account);
+
+    // 请求用户输入验证码，重新发送提示后重新计时
+    while (true) {
+        const result = await telegram.waitForVerificationCode(null, config.TFA_TIMEOUT, account.tgUserId, actions);
+        if (!result || typeof result === 'string') {
+            return result;
         }
-    }
 
-    // 3. 方法2: 检查页面文本内容
-    // 注意：增加上下文检查，避免匹配到公告内容
-    const pageContent = await page.content();
-    const tfaTexts = [
-        '输入6位',
-        '6位数字',
-        '验证码',
-        '邮箱验证码',
-        '其他验证码',
-        '两步验证',
-        '双重认证',
-        'TOTP',
-    ];
-
-    // 排除特定场景 (如招募公告)
-    if (pageContent.includes('招募人员') || pageContent.includes('招聘')) {
-        console.log('ℹ️ 检测到招募公告，忽略文本匹配');
-    } else {
-        for (const text of tfaTexts) {
-            if (pageContent.includes(text)) {
-                // 二次确认：应该有输入框
-                const input = await page.$('input');
-                if (input) {
-                    console.log(`🔐 检测到 2FA 验证页面 (文本匹配: ${text})`);
-                    return true;
-                }
-            }
+        // 点击后移除旧提示上的按钮，避免重复点击
+        await telegram.removeKeyboard(account.tgUserId, result.messageId);
+
+        switch (result.action) {
+            case TfaAction.CANCEL:
+                console.log('🛑 用户取消了登录');
+                await telegram.sendMessage('🛑 已取消登录', true, account.tgUserId);
+                throw new Error('2FA 验证已被用户取消');
+
+            case TfaAction.RETRY:
+                await telegram.sendMessage('🔄 正在刷新页面重试...', true, account.tgUserId);
+                return TfaAction.RETRY;
+
+            case TfaAction.RESEND:
+                await notifier.sendTfaPrompt(info, account, keyboard, { resend: true });
+                break;
         }
     }
-
-    return false;
 }
 
 /**
- * 处理 2FA 验证 (支持最多 10 次重试)
+ * 提交一次 2FA/邮箱验证码
+ * 由状态机在每次识别到验证码页面时调用；再次进入说明上一次提交被拒绝
+ * 优先使用 TOTP 自动填写，被拒绝或未配置密钥时回退到 Telegram 人工输入
+ * @param {import('playwright').Page} page
+ * @param {object} account - 账号配置
+ * @param {object} tfa - 2FA 进度 (跨多次调用共享)
+ * @param {string} state - PageState.TOTP 或 PageState.EMAIL_CODE
  */
-async function handle2FA(page) {
-    console.log('⏳ 处理 2FA 验证...');
+async function handle2FA(page, account, tfa, state) {
+    // 上一次提交后仍停留在验证码页面: 验证失败 (用户要求刷新重试时没有提交，跳过)
+    if (tfa.retrying) {
+        tfa.retrying = false;
+    } else if (tfa.attempts > 0) {
+        const errorMsg = await getErrorMessage(page);
+        if (tfa.lastUsedTotp) {
+            // 自动生成的验证码被拒绝 (可能是时钟偏差或密钥错误)，后续改为人工输入
+            console.log(`❌ TOTP 验证码被拒绝: ${errorMsg || '未知原因'}`);
+            await telegram.sendMessage(`⚠️ 自动生成的 TOTP 验证码被拒绝${errorMsg ? `: ${errorMsg}` : ''}\n\n改为人工输入验证码...`, false, account.tgUserId);
+            tfa.useTotp = false;
+        } else if (errorMsg) {
+            console.log(`❌ 验证失败: ${errorMsg}`);
+            await telegram.sendMessage(`❌ 验证失败\n\n${errorMsg}\n\n请重新输入验证码...`, false, account.tgUserId);
+        } else {
+            await telegram.sendMessage('❌ 验证码无效，请重新输入...', true, account.tgUserId);
+        }
+    }
 
-    const MAX_ATTEMPTS = 10;
-    let attempt = 0;
+    if (tfa.attempts >= tfa.maxAttempts) {
+        throw new Error(`2FA 验证失败，已超过最大尝试次数 (${tfa.maxAttempts} 次)`);
+    }
 
-    while (attempt < MAX_ATTEMPTS) {
-        attempt++;
-        console.log(`🔄 2FA 验证尝试 ${attempt}/${MAX_ATTEMPTS}`);
+    tfa.attempts++;
+    console.log(`🔄 2FA 验证尝试 ${tfa.attempts}/${tfa.maxAttempts}`);
 
-        // 构建提示消息
-        let prompt = `🔐 *M-TEAM 需要 2FA 验证*\n\n`;
-        if (attempt > 1) {
-            prompt += `⚠️ 第 ${attempt} 次尝试 (剩余 ${MAX_ATTEMPTS - attempt + 1} 次机会)\n\n`;
+    let code;
+    try {
+        code = await obtain2FACode(account, tfa, state);
+    } catch (e) {
+        // 人工输入时的错误 (如用户取消登录) 直接向上抛出
+        if (!(tfa.useTotp && state === PageState.TOTP)) {
+            throw e;
         }
-        prompt += `请回复 6 位数字验证码:\n• 直接发送: \`123456\`\n• 或命令: \`/mtcode 123456\`\n\n⏰ 等待时间: 2 分钟`;
+        // TOTP 密钥配置错误时回退到人工输入
+        console.log('⚠️ TOTP 验证码生成失败:', e.message);
+        await telegram.sendMessage(`⚠️ TOTP 密钥无效，改为人工输入验证码\n\n${e.message}`, false, account.tgUserId);
+        tfa.useTotp = false;
+        code = await obtain2FACode(account, tfa, state);
+    }
+    tfa.lastUsedTotp = tfa.useTotp && state === PageState.TOTP;
 
-        // 请求用户输入验证码
-        const code = await telegram.waitForVerificationCode(prompt, config.TFA_TIMEOUT);
+    if (!code) {
+        throw new Error('2FA 验证码输入超时');
+    }
 
-        if (!code) {
-            throw new Error('2FA 验证码输入超时');
-        }
+    // 用户要求立即重试: 刷新页面交由状态机重新识别，不计入尝试次数
+    if (code === TfaAction.RETRY) {
+        tfa.attempts--;
+        tfa.retrying = true;
+        await page.reload({ waitUntil: 'networkidle' }).catch(e => {
+            console.log('⚠️ 刷新页面失败:', e.message);
+        });
+        return;
+    }
 
-        // 查找验证码输入框
-        const inputElement = await findCodeInput(page);
-        if (!inputElement) {
-            // 关键修复：如果在输入验证码前，页面已经跳转或变成了公告，说明可能已经登录了
-            // 尝试处理一下弹窗，然后检查登录状态
-            await handleAnnouncements(page);
-            if (await checkLoginStatus(page)) {
-                console.log('✅ 检测到已经登录成功 (2FA 输入框消失)');
-                return;
-            }
-            throw new Error('未找到验证码输入框');
-        }
+    // 查找验证码输入框 (页面可能已跳转，交由状态机重新识别)
+    const inputElement = await findCodeInput(page);
+    if (!inputElement) {
+        console.log('⚠️ 未找到验证码输入框，重新识别页面状态');
+        return;
+    }
 
-        // 清空并输入验证码
-        await inputElement.click();
-        await inputElement.fill('');
-        await inputElement.fill(code);
-        console.log('✅ 验证码已填入');
+    // 清空并输入验证码
+    await inputElement.click();
+    await inputElement.fill('');
+    await inputElement.fill(code);
+    console.log('✅ 验证码已填入');
 
-        // 等待一下确保输入完成
-        await page.waitForTimeout(500);
+    // 等待一下确保输入完成
+    await page.waitForTimeout(500);
 
-        // 点击提交按钮
-        await clickSubmitButton(page, inputElement);
+    // 点击提交按钮
+    await clickSubmitButton(page, inputElement);
 
-        // 等待页面响应
-        await page.waitForTimeout(3000);
-        await page.waitForLoadState('networkidle');
+    // 等待页面响应
+    await page.waitForTimeout(3000);
+    await page.waitForLoadState('networkidle');
+}
 
-        // 关键修复：提交后先处理弹窗
-        await handleAnnouncements(page);
+/**
+ * 登录状态机
+ * 每一步识别页面状态并执行对应动作，直到进入已登录状态或遇到无法处理的状态
+ * @param {import('playwright').Page} page - 已打开登录页的页面
+ * @param {object} account - 账号配置
+ * @returns {Promise<Array<string>>} - 依次处理过的页面状态 (如 login_form、totp)，用于记录登录路径
+ */
+async function driveLogin(page, account) {
+    const MAX_STEPS = 30;
+    const visits = {};
+    const steps = [];
+    const tfa = {
+        attempts: 0,
+        maxAttempts: 10,
+        useTotp: Boolean(account.totpSecret),
+        lastUsedTotp: false,
+        retrying: false,
+    };
 
-        // 关键修复：提交后优先检查是否已登录
-        if (await checkLoginStatus(page)) {
-            console.log('✅ 登录状态确认，跳出 2FA 循环');
-            return;
+    for (let step = 1; step <= MAX_STEPS; step++) {
+        const { state, snapshot } = await detectPageState(page);
+        visits[state] = (visits[state] || 0) + 1;
+        if (state !== PageState.LOGGED_IN && state !== PageState.UNKNOWN && !steps.includes(state)) {
+            steps.push(state);
         }
 
-        // 只有未登录，才检查是否还需要 2FA
-        const stillNeed2FA = await check2FA(page);
-        if (!stillNeed2FA) {
-            console.log('✅ 2FA 验证通过 (不再显示验证框)');
-            return;
-        }
+        switch (state) {
+            case PageState.LOGGED_IN:
+                console.log('✅ 登录成功');
+                return steps;
 
-        // 检查错误消息
-        const errorMsg = await getErrorMessage(page);
-        if (errorMsg) {
-            console.log(`❌ 验证失败: ${errorMsg}`);
-            await telegram.sendMessage(`❌ *验证失败*\n\n${errorMsg}\n\n请重新输入验证码...`);
-        } else {
-            await telegram.sendMessage('❌ 验证码无效，请重新输入...');
+            case PageState.LOGIN_FORM:
+                // 提交过一次后仍回到登录表单，说明账号密码被拒绝
+                if (visits[state] > 1) {
+                    const reason = snapshot.errors.length > 0 ? snapshot.errors.join(', ') : '仍停留在登录页面';
+                    throw new Error(`登录失败: ${reason}`);
+                }
+                await performLogin(page, account);
+                break;
+
+            case PageState.DEVICE_APPROVAL:
+                if (visits[state] > 1) {
+                    throw new Error('设备验证未通过');
+                }
+                await handleDeviceApproval(page, account);
+                break;
+
+            case PageState.TOTP:
+            case PageState.EMAIL_CODE:
+                await handle2FA(page, account, tfa, state);
+                break;
+
+            case PageState.ANNOUNCEMENT:
+                if (visits[state] > 5 || !(await handleAnnouncements(page))) {
+                    throw new Error('无法关闭公告弹窗');
+                }
+                break;
+
+            case PageState.BANNED:
+                throw new Error('账号已被禁用或封禁');
+
+            case PageState.CAPTCHA:
+                throw new Error('站点要求人机验证 (Captcha)，无法自动处理');
+
+            case PageState.RATE_LIMITED:
+                throw new Error('请求过于频繁，已被站点限流，请稍后再试');
+
+            default:
+                // 页面可能仍在加载，稍等后重新识别
+                if (visits[state] > 3) {
+                    throw new Error(`无法识别当前页面 (${snapshot.title || snapshot.url})`);
+                }
+                await page.waitForTimeout(2000);
+                await page.waitForLoadState('networkidle').catch(() => { });
         }
     }
 
-    throw new Error(`2FA 验证失败，已超过最大尝试次数 (${MAX_ATTEMPTS} 次)`);
+    throw new Error(`登录流程超过最大步骤数 (${MAX_STEPS})`);
 }
 
 /**
  * 查找验证码输入框
  */
 async function findCodeInput(page) {
-    const inputSelectors = [
-        'input[placeholder*="6位"]',
-        'input[placeholder*="验证码"]',
-        'input[placeholder*="数字"]',
-        'input[type="text"][maxlength="6"]',
-        'input[name*="code"]',
-        'input[name*="2fa"]',
-        'input[name*="totp"]',
-        'input[name*="otp"]',
-        'input[type="text"]:not([name="username"]):not([name="password"])',
-    ];
+    const inputSelectors = getSiteProfile().selectors.codeInput;
 
     for (const selector of inputSelectors) {
         try {
@@ -443,15 +628,7 @@ async function findCodeInput(page) {
  * 点击提交按钮
  */
 async function clickSubmitButton(page, inputElement) {
-    const submitSelectors = [
-        'button:has-text("登 录")',
-        'button:has-text("登录")',
-        'button:has-text("验证")',
-        'button:has-text("确认")',
-        'button:has-text("提交")',
-        'button[type="submit"]',
-        'input[type="submit"]',
-    ];
+    const submitSelectors = getSiteProfile().selectors.codeSubmit;
 
     for (const selector of submitSelectors) {
         try {
@@ -476,13 +653,7 @@ async function clickSubmitButton(page, inputElement) {
  */
 async function getErrorMessage(page) {
     try {
-        const errorSelectors = [
-            '.error',
-            '.alert-danger',
-            '.message-error',
-            '.ant-message-error',
-            '[class*="error"]',
-        ];
+        const errorSelectors = getSiteProfile().selectors.errorMessages;
 
         // 检查页面文本
         const pageText = await page.evaluate(() => document.body.innerText);
@@ -507,7 +678,7 @@ async function getErrorMessage(page) {
             const el = await page.$(selector);
             if (el) {
                 const text = await el.textContent();
-                if (text && text.includes('验证') || text.includes('错误') || text.includes('失败')) {
+                if (text && (text.includes('验证') || text.includes('错误') || text.includes('失败'))) {
                     return text.trim();
                 }
             }
@@ -520,55 +691,40 @@ async function getErrorMessage(page) {
 
 /**
  * 执行用户名密码登录
+ * @param {object} account - 账号配置
  */
-async function performLogin(page) {
+async function performLogin(page, account) {
     console.log('🔑 执行登录...');
 
     // 等待登录表单
-    await page.waitForSelector('input[name="username"], input[name="email"], input[id="username"]', {
+    await page.waitForSelector(getSiteProfile().selectors.loginForm.join(', '), {
         timeout: 10000,
     });
 
     // 填写用户名
-    const usernameSelectors = [
-        'input[name="username"]',
-        'input[name="email"]',
-        'input[id="username"]',
-    ];
+    const usernameSelectors = getSiteProfile().selectors.usernameInput;
 
     for (const selector of usernameSelectors) {
         const input = await page.$(selector);
         if (input) {
-            await input.fill(config.MT_USERNAME);
+            await input.fill(account.username);
             break;
         }
     }
 
     // 填写密码
-    const passwordSelectors = [
-        'input[name="password"]',
-        'input[type="password"]',
-        'input[id="password"]',
-    ];
+    const passwordSelectors = getSiteProfile().selectors.passwordInput;
 
     for (const selector of passwordSelectors) {
         const input = await page.$(selector);
         if (input) {
-            await input.fill(config.MT_PASSWORD);
+            await input.fill(account.password);
             break;
         }
     }
 
     // 点击登录按钮
-    const loginButtonSelectors = [
-        'button:has-text("登 录")',
-        'button:has-text("登录")',
-        'button:has-text("Sign in")',
-        'button:has-text("Login")',
-        'button[type="submit"]',
-        'input[type="submit"]',
-        '#login-btn',
-    ];
+    const loginButtonSelectors = getSiteProfile().selectors.loginButton;
 
     let clicked = false;
     for (const selector of loginButtonSelectors) {
@@ -597,68 +753,18 @@ async function performLogin(page) {
 }
 
 /**
- * 检查登录状态
- */
-/**
- * 检查登录状态
+ * 检查登录状态 (会先关闭遮挡的公告弹窗)
+ * @param {import('playwright').Page} page
+ * @returns {Promise<boolean>}
  */
 async function checkLoginStatus(page) {
-    const url = page.url();
-    console.log(`🔍 检查登录状态: ${url}`);
-
-    // 如果还在登录页面，可能登录失败
-    if (url.includes('login')) {
-        // 检查是否有错误信息
-        const errorTexts = await page.evaluate(() => {
-            const errorElements = document.querySelectorAll('.error, .alert-danger, .message-error');
-            return Array.from(errorElements).map(el => el.textContent);
-        });
-
-        if (errorTexts.length > 0) {
-            throw new Error(`登录失败: ${errorTexts.join(', ')}`);
+    for (let i = 0; i < 3; i++) {
+        const { state } = await detectPageState(page);
+        if (state !== PageState.ANNOUNCEMENT || !(await handleAnnouncements(page))) {
+            return state === PageState.LOGGED_IN;
         }
-
-        console.log('⚠️ 检测到仍在登录页面');
-        return false;
-    }
-
-    // 检查是否有用户相关元素
-    const userIndicators = [
-        'a[href*="userdetails"]',
-        '.username',
-        '#userinfo',
-        // 可能的新版选择器
-        'div[class*="user-profile"]',
-        'span[class*="avatar"]'
-    ];
-
-    // 尝试处理遮挡的弹窗
-    await handleAnnouncements(page);
-
-    // 0. 优先检查标题 (最准确)
-    // 如果标题包含 "首页" 或 "M-Team"，且 URL 不包含 login，基本就是登录了
-    try {
-        const title = await page.title();
-        if ((title.includes('M-Team') || title.includes('首頁') || title.includes('首页')) && !url.includes('login')) {
-            console.log(`✅ 登录状态确认 (标题匹配: ${title})`);
-            return true;
-        }
-    } catch (e) { }
-
-    for (const selector of userIndicators) {
-        try {
-            const element = await page.$(selector);
-            if (element) {
-                console.log(`✅ 登录状态确认 (匹配: ${selector})`);
-                return true;
-            }
-        } catch (e) { }
     }
-
-    // 截图调试
-    console.log('⚠️ 未找到用户元素，当前页面标题:', await page.title());
-    await page.screenshot({ path: '/tmp/login_check_fail.png' });
-    return !url.includes('login');
+    return false;
 }
 
 /**
@@ -673,27 +779,18 @@ export async function closeBrowser(browser) {
 
 /**
  * 保存会话状态到文件
+ * 写入或加密失败时抛出错误，由调用方决定如何通知
+ * @param {object} storageState - Playwright storageState
+ * @param {object} account - 账号配置
  */
-export async function saveSessionState(storageState) {
-    try {
-        const sessionStr = JSON.stringify(storageState, null, 2);
-
-        // 确保目录存在 (使用 path 模块保证跨平台兼容性)
-        const dir = path.dirname(config.STORAGE_PATH);
-        if (dir && !fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-
-        fs.writeFileSync(config.STORAGE_PATH, sessionStr);
-        console.log(`💾 会话状态已保存到本地: ${config.STORAGE_PATH}`);
-        return true;
-    } catch (e) {
-        console.error('❌ 保存会话状态失败:', e.message);
-        return false;
-    }
+export async function saveSessionState(storageState, account) {
+    await sessionStore.writeSessionFile(account.storagePath, storageState, { backup: true });
+    const mode = sessionStore.isEncryptionEnabled() ? ' (已加密)' : '';
+    console.log(`💾 会话状态已保存到本地${mode}: ${account.storagePath}`);
 }
 
 export default {
+    launchBrowser,
     login,
     closeBrowser,
     saveSessionState
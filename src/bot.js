@@ -0,0 +1,475 @@
+/**
+ * Telegram 命令机器人
+ * 守护进程模式下常驻监听消息，响应授权用户的命令
+ *
+ * 权限:
+ * - 管理员 (TG_USER_ID 与 TG_ADMIN_IDS): 可查看和操作全部账号，可暂停/恢复调度
+ * - 账号接收者 (账号的 tgUserId): 只能查看和执行自己的账号
+ *
+ * 同时响应失败通知上的内联按钮 (重新执行、查看截图、页面文字)，按钮上下文见 callbacks.js
+ */
+
+import fs from 'fs';
+import config, { getAccounts } from './config.js';
+import telegram from './telegram.js';
+import session from './session.js';
+import sessionStore from './session_store.js';
+import { getCallbackContext } from './callbacks.js';
+import { TELEGRAM_FORMATS, renderTemplate } from './template.js';
+import { getSnapshotAt } from './history.js';
+import { parseProfile } from './profile.js';
+import { evaluatePromotion } from './promotion.js';
+
+/**
+ * 命令列表 (同时用于设置 Telegram 命令菜单和 /help)
+ */
+const COMMANDS = [
+    { command: 'run', description: '立即执行一次任务 (可指定账号名)' },
+    { command: 'status', description: '上次执行结果与下次调度时间' },
+    { command: 'stats', description: '最近一次抓取的账号数据' },
+    { command: 'session', description: '会话保存时间与剩余有效期' },
+    { command: 'promotion', description: '距离下一等级的差距与预计时间' },
+    { command: 'pause', description: '暂停定时任务' },
+    { command: 'resume', description: '恢复定时任务' },
+    { command: 'help', description: '显示命令列表' },
+];
+
+/**
+ * 由 main.js 提供的任务控制接口
+ * @type {{
+ *   runTask: (accounts: Array<object>) => Promise<void>,
+ *   getState: () => { running: boolean, paused: boolean, lastRun: object|null, latest: Map<string, object>, schedules: Array<object> },
+ *   setPaused: (paused: boolean) => void,
+ * }|null}
+ */
+let controller = null;
+
+/**
+ * 格式化时间 (北京时间)
+ * @param {Date|number} date
+ */
+function formatTime(date) {
+    return new Date(date).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+}
+
+/**
+ * 按 TG_PARSE_MODE 渲染一行回复
+ * 行文本为模板 (见 template.js)，可使用 <b>、<code> 与 {{字段}}，字段值按输出格式转义，
+ * 账号名、错误信息中的 _ * ` [ 等字符不会破坏消息格式
+ * @param {string} source - 模板文本
+ * @param {object} data - 字段
+ * @returns {string}
+ */
+function line(source, data = {}) {
+    return renderTemplate(source, data, TELEGRAM_FORMATS[config.TG_PARSE_MODE]);
+}
+
+/**
+ * 是否为管理员
+ * @param {string} userId
+ */
+function isAdmin(userId) {
+    return [config.TG_USER_ID, ...config.TG_ADMIN_IDS]
+        .filter(Boolean)
+        .some(id => String(id) === String(userId));
+}
+
+/**
+ * 获取用户可见的账号
+ * @param {string} userId
+ * @returns {Array<object>}
+ */
+function getVisibleAccounts(userId) {
+    const accounts = getAccounts();
+    if (isAdmin(userId)) {
+        return accounts;
+    }
+    return accounts.filter(account => String(account.tgUserId) === String(userId));
+}
+
+/**
+ * /run [账号名]
+ */
+async function handleRun(ctx) {
+    const { running } = controller.getState();
+    if (running) {
+        return line('⚠️ 任务正在运行中，请稍后再试');
+    }
+
+    let targets = ctx.accounts;
+    if (ctx.args.length > 0) {
+        targets = ctx.accounts.filter(account => ctx.args.includes(account.name));
+        if (targets.length === 0) {
+            return line('❌ 未找到账号: {{names}}', { names: ctx.args.join(', ') });
+        }
+    }
+
+    // 不等待任务完成，执行结果通过常规通知发送
+    controller.runTask(targets).catch(error => console.error('❌ 手动任务执行失败:', error.message));
+    return line('🚀 开始执行: {{names}}', { names: targets.map(account => account.name).join(', ') });
+}
+
+/**
+ * /status
+ */
+async function handleStatus(ctx) {
+    const { running, paused, lastRun, schedules } = controller.getState();
+    const visible = new Set(ctx.accounts.map(account => account.name));
+
+    const lines = [line('📊 <b>运行状态</b>'), ''];
+    lines.push(line(running ? '🔄 任务运行中' : '💤 空闲'));
+    if (paused) {
+        lines.push(line('⏸️ 定时任务已暂停'));
+    }
+
+    lines.push('', line('<b>上次执行:</b>'));
+    const lastResults = lastRun ? lastRun.results.filter(r => visible.has(r.account.name)) : [];
+    if (lastRun && lastRun.error) {
+        lines.push(line('⏰ {{time}}', { time: formatTime(lastRun.finishedAt) }));
+        lines.push(line('❌ <code>{{error}}</code>', { error: lastRun.error }));
+    } else if (lastResults.length === 0) {
+        lines.push(line('暂无记录'));
+    } else {
+        lines.push(line('⏰ {{time}}', { time: formatTime(lastRun.finishedAt) }));
+        for (const result of lastResults) {
+            lines.push(result.success
+                ? line('✅ {{name}}', { name: result.account.name })
+                : line('❌ {{name}}: <code>{{error}}</code>', { name: result.account.name, error: result.error || '未知错误' }));
+        }
+    }
+
+    lines.push('', line('<b>下次调度:</b>'));
+    const visibleSchedules = schedules.filter(item => item.accounts.some(name => visible.has(name)));
+    if (visibleSchedules.length === 0) {
+        lines.push(line('未配置定时任务'));
+    }
+    for (const item of visibleSchedules) {
+        const next = paused ? '已暂停' : (item.nextInvocation ? formatTime(item.nextInvocation) : '-');
+        lines.push(line('📅 <code>{{cron}}</code> → {{next}} ({{accounts}})', {
+            cron: item.cron,
+            next,
+            accounts: item.accounts.filter(name => visible.has(name)).join(', '),
+        }));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * /stats
+ */
+async function handleStats(ctx) {
+    const { latest } = controller.getState();
+
+    const lines = [line('📈 <b>最新数据</b>')];
+    for (const account of ctx.accounts) {
+        const entry = latest.get(account.name);
+        lines.push('', line('👤 <b>{{name}}</b>', { name: account.name }));
+        if (!entry) {
+            lines.push(line('暂无数据，可发送 /run 执行一次'));
+            continue;
+        }
+
+        const data = entry.userData;
+        lines.push(line('📤 上传: {{uploaded}} | 📥 下载: {{downloaded}}', {
+            uploaded: data.uploaded || 'N/A',
+            downloaded: data.downloaded || 'N/A',
+        }));
+        lines.push(line('📈 分享率: {{ratio}} | ✨ 魔力: {{bonus}}', { ratio: data.ratio || 'N/A', bonus: data.bonus || 'N/A' }));
+        lines.push(line('⏰ {{time}}', { time: formatTime(entry.updatedAt) }));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * /session
+ */
+async function handleSession(ctx) {
+    const lines = [line('🍪 <b>会话状态</b>')];
+
+    for (const account of ctx.accounts) {
+        lines.push('', line('👤 <b>{{name}}</b>', { name: account.name }));
+
+        let state = null;
+        try {
+            state = await sessionStore.readSessionFile(account.storagePath);
+        } catch (error) {
+            lines.push(line('⚠️ 会话文件读取失败: {{error}}', { error: error.message }));
+            continue;
+        }
+        if (!state) {
+            lines.push(line('暂无保存的会话'));
+            continue;
+        }
+
+        const savedAt = fs.statSync(account.storagePath).mtime;
+        lines.push(line('💾 保存于 {{time}} ({{age}}前)', {
+            time: formatTime(savedAt),
+            age: session.formatRemaining(Date.now() - savedAt.getTime()),
+        }));
+
+        const expiry = session.getSessionExpiry(state);
+        lines.push(expiry
+            ? line('⏳ 剩余有效期: {{remaining}} ({{time}})', { remaining: session.formatRemaining(expiry.remainingMs), time: formatTime(expiry.expiresAt) })
+            : line('⏳ 剩余有效期: 未知 (没有带过期时间的认证 Cookie)'));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * /promotion
+ * 按历史记录中最近一次成功抓取的数据计算 (见 promotion.js)
+ */
+async function handlePromotion(ctx) {
+    const lines = [line('🎖️ <b>升级进度</b>')];
+
+    for (const account of ctx.accounts) {
+        lines.push('', line('👤 <b>{{name}}</b>', { name: account.name }));
+
+        const snapshot = getSnapshotAt(account.name);
+        if (!snapshot) {
+            lines.push(line('暂无数据，可发送 /run 执行一次'));
+            continue;
+        }
+
+        let promotion = null;
+        try {
+            promotion = evaluatePromotion(parseProfile(snapshot.data || {}), account.name, Date.parse(snapshot.time));
+        } catch (error) {
+            lines.push(line('⚠️ {{error}}', { error: error.message }));
+            continue;
+        }
+        if (!promotion) {
+            lines.push(line('❓ 无法识别当前等级: {{level}}', { level: snapshot.data?.level || 'N/A' }));
+            continue;
+        }
+        if (!promotion.next) {
+            lines.push(line('🏆 {{current}} ({{summary}})', promotion));
+            continue;
+        }
+
+        lines.push(line('🏆 {{current}} → <b>{{next}}</b>', promotion));
+        for (const item of promotion.requirements) {
+            lines.push(item.met
+                ? line('✅ {{label}}: {{actual}} / {{required}}', item)
+                : line('⏳ {{label}}: {{actual}} / {{required}} (差 {{gap}}{{#eta}}，约 {{eta}}{{/eta}})', {
+                    ...item,
+                    gap: item.gap || 'N/A',
+                    eta: item.etaMs !== null ? session.formatRemaining(item.etaMs) : '',
+                }));
+        }
+        lines.push(line('📅 {{eta}}', { eta: promotion.eta || '预计时间: 未知 (历史数据不足或没有增长)' }));
+        lines.push(line('⏰ 数据时间 {{time}}', { time: formatTime(snapshot.time) }));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * /pause
+ */
+async function handlePause(ctx) {
+    if (!ctx.admin) {
+        return line('⛔ 仅管理员可以暂停定时任务');
+    }
+    controller.setPaused(true);
+    return line('⏸️ 定时任务已暂停，发送 /resume 恢复 (不影响 /run)');
+}
+
+/**
+ * /resume
+ */
+async function handleResume(ctx) {
+    if (!ctx.admin) {
+        return line('⛔ 仅管理员可以恢复定时任务');
+    }
+    controller.setPaused(false);
+    return line('▶️ 定时任务已恢复');
+}
+
+/**
+ * /help
+ */
+async function handleHelp() {
+    return [line('🤖 <b>可用命令</b>'), '', ...COMMANDS.map(item => line('/{{command}} - {{description}}', item))].join('\n');
+}
+
+const HANDLERS = {
+    run: handleRun,
+    status: handleStatus,
+    stats: handleStats,
+    session: handleSession,
+    promotion: handlePromotion,
+    pause: handlePause,
+    resume: handleResume,
+    help: handleHelp,
+    start: handleHelp,
+};
+
+/**
+ * 按钮: 重新执行失败的账号 (整体执行失败时为全部可见账号)
+ */
+async function handleRetryRun(ctx) {
+    const { running } = controller.getState();
+    if (running) {
+        return '⚠️ 任务正在运行中，请稍后再试';
+    }
+
+    const names = ctx.context.accounts;
+    const targets = names ? ctx.accounts.filter(account => names.includes(account.name)) : ctx.accounts;
+
+    controller.runTask(targets).catch(error => console.error('❌ 手动任务执行失败:', error.message));
+    await telegram.sendMessage(`🚀 开始重新执行: ${targets.map(account => account.name).join(', ')}`, false, ctx.chatId);
+    return '🚀 已开始重新执行';
+}
+
+/**
+ * 按钮: 发送出错时的截图
+ */
+async function handleShowScreenshot(ctx) {
+    const { screenshotPath } = ctx.context;
+    if (!screenshotPath || !fs.existsSync(screenshotPath)) {
+        return '⚠️ 截图已不存在';
+    }
+    await telegram.sendPhoto(screenshotPath, '🖼️ 出错时的页面截图', ctx.chatId);
+    return '';
+}
+
+/**
+ * 按钮: 发送出错时的页面文字
+ */
+async function handleShowPageText(ctx) {
+    const text = (ctx.context.pageText || '').trim().replace(/\n{3,}/g, '\n\n');
+    if (!text) {
+        return '⚠️ 没有记录页面文字';
+    }
+
+    // Telegram 单条消息上限 4096 字符
+    const limit = 3800;
+    const body = text.length > limit ? `${text.slice(0, limit)}\n...` : text;
+    await telegram.sendMessage(`📄 出错时的页面文字\n\n${body}`, false, ctx.chatId);
+    return '';
+}
+
+const CALLBACK_HANDLERS = {
+    retry_run: handleRetryRun,
+    show_screenshot: handleShowScreenshot,
+    show_page_text: handleShowPageText,
+};
+
+/**
+ * 处理内联按钮点击
+ * 按钮上下文已作废 (新一轮执行开始、进程重启) 时拒绝操作
+ * @param {object} query - Telegram callback_query 对象
+ */
+async function handleCallback(query) {
+    const userId = String(query.from.id);
+    const { action, token } = telegram.parseCallbackData(query.data);
+    const handler = CALLBACK_HANDLERS[action];
+    const context = handler ? getCallbackContext(token) : null;
+
+    if (!context) {
+        await telegram.answerCallbackQuery(query.id, '⌛ 按钮已过期，请以最新的消息为准', true);
+        return;
+    }
+
+    // 只能操作自己可见的账号，整体执行失败的按钮仅管理员可用
+    const accounts = getVisibleAccounts(userId);
+    const allowed = context.accounts
+        ? context.accounts.every(name => accounts.some(account => account.name === name))
+        : isAdmin(userId);
+    if (!allowed) {
+        console.log(`⛔ 忽略未授权用户的按钮: ${userId} ${action}`);
+        await telegram.answerCallbackQuery(query.id, '⛔ 无权执行该操作', true);
+        return;
+    }
+
+    console.log(`🔘 收到按钮: ${action} (${userId})`);
+    const ctx = {
+        userId,
+        accounts,
+        context,
+        chatId: query.message?.chat.id ?? userId,
+    };
+
+    try {
+        await telegram.answerCallbackQuery(query.id, await handler(ctx));
+    } catch (error) {
+        console.error(`❌ 按钮 ${action} 执行失败:`, error.message);
+        await telegram.answerCallbackQuery(query.id, `❌ 操作失败: ${error.message}`, true);
+    }
+}
+
+/**
+ * 处理一条未被验证码等订阅消费的 update
+ * @param {object} update - Telegram update 对象
+ */
+export async function handleUpdate(update) {
+    if (update.callback_query) {
+        await handleCallback(update.callback_query);
+        return;
+    }
+
+    const message = update.message;
+    if (!message || !message.from || !message.text) {
+        return;
+    }
+
+    // 只处理命令，兼容群组中的 /command@botname 格式
+    const match = message.text.trim().match(/^\/(\w+)(@\w+)?(?:\s+(.*))?$/s);
+    if (!match) {
+        return;
+    }
+
+    const userId = String(message.from.id);
+    const accounts = getVisibleAccounts(userId);
+    const admin = isAdmin(userId);
+    if (!admin && accounts.length === 0) {
+        console.log(`⛔ 忽略未授权用户的命令: ${userId} ${match[0]}`);
+        return;
+    }
+
+    const command = match[1].toLowerCase();
+    const handler = HANDLERS[command];
+    const chatId = message.chat.id;
+
+    if (!handler) {
+        // /approved、/cancel 等只在等待设备验证时有效
+        await telegram.sendMessage(`❓ 未知命令或当前无需该操作: /${command}\n发送 /help 查看可用命令`, false, chatId);
+        return;
+    }
+
+    console.log(`🤖 收到命令: /${command} (${userId})`);
+    const ctx = {
+        userId,
+        admin,
+        accounts,
+        args: (match[3] || '').split(/\s+/).filter(Boolean),
+    };
+
+    try {
+        const reply = await handler(ctx);
+        await telegram.sendMessage(reply, config.TG_PARSE_MODE, chatId);
+    } catch (error) {
+        console.error(`❌ 命令 /${command} 执行失败:`, error.message);
+        await telegram.sendMessage(`❌ 命令执行失败: ${error.message}`, false, chatId);
+    }
+}
+
+/**
+ * 启动命令机器人 (设置命令菜单)
+ * @param {object} taskController - 任务控制接口 (见 controller)
+ * @returns {Promise<(update: object) => Promise<void>>} - 交给消息来源 (轮询或 Webhook) 的处理函数
+ */
+export async function startBot(taskController) {
+    controller = taskController;
+    await telegram.setCommands(COMMANDS.map(({ command, description }) => ({ command, description })));
+    return handleUpdate;
+}
+
+export default {
+    handleUpdate,
+    startBot,
+};
@@ -0,0 +1,72 @@
+/**
+ * 按钮回调上下文
+ * 失败通知上的按钮 (重新执行、查看截图等) 需要在用户点击时找到对应的账号和现场信息，
+ * 以随机 token 登记在内存中；同一范围 (如同一账号) 产生新的上下文或开始新一轮执行时旧 token 作废，
+ * 点击过期按钮会被拒绝
+ */
+
+import crypto from 'crypto';
+
+// 上下文最多保留 24 小时
+const MAX_AGE = 24 * 60 * 60 * 1000;
+
+// token → { scope, data, createdAt }
+const contexts = new Map();
+
+/**
+ * 生成回调 token (callback_data 上限 64 字节，保持简短)
+ * @returns {string}
+ */
+export function createCallbackToken() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * 登记回调上下文，同一范围的旧上下文作废
+ * @param {string} scope - 范围 (如 failure:账号名)
+ * @param {object} data - 回调处理需要的数据
+ * @returns {string} - token
+ */
+export function createCallbackContext(scope, data) {
+    revokeCallbackScope(scope);
+
+    const token = createCallbackToken();
+    contexts.set(token, { scope, data, createdAt: Date.now() });
+    return token;
+}
+
+/**
+ * 获取回调上下文
+ * @param {string} token
+ * @returns {object|null} - 登记时的 data，已作废或过期时返回 null
+ */
+export function getCallbackContext(token) {
+    const context = contexts.get(token);
+    if (!context) {
+        return null;
+    }
+    if (Date.now() - context.createdAt > MAX_AGE) {
+        contexts.delete(token);
+        return null;
+    }
+    return context.data;
+}
+
+/**
+ * 作废指定范围的全部上下文
+ * @param {string} scope
+ */
+export function revokeCallbackScope(scope) {
+    for (const [token, context] of contexts) {
+        if (context.scope === scope) {
+            contexts.delete(token);
+        }
+    }
+}
+
+export default {
+    createCallbackToken,
+    createCallbackContext,
+    getCallbackContext,
+    revokeCallbackScope,
+};
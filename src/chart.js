@@ -0,0 +1,182 @@
+/**
+ * 趋势图模块
+ * 用历史快照 (见 history.js) 生成 SVG 折线图，借助已打开的 Chromium 截图为 PNG，随成功报告发送
+ *
+ * CHART_METRICS 中每项为 指标名[:天数]，如 uploaded,ratio:90 (未指定天数时使用 CHART_DAYS)
+ */
+
+import crypto from 'crypto';
+import config from './config.js';
+import { queryHistory } from './history.js';
+import { formatBytes } from './profile.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 单个指标面板尺寸
+const PANEL_WIDTH = 720;
+const PANEL_HEIGHT = 200;
+const PADDING = { top: 36, right: 24, bottom: 28, left: 84 };
+
+/**
+ * 支持的指标
+ */
+const METRICS = {
+    uploaded: { label: '上传量', color: '#2e86de', format: formatBytes },
+    downloaded: { label: '下载量', color: '#e67e22', format: formatBytes },
+    ratio: { label: '分享率', color: '#27ae60', format: v => v.toFixed(2) },
+    bonus: { label: '魔力值', color: '#8e44ad', format: v => Math.round(v).toLocaleString('en-US') },
+    bonusPerHour: { label: '时魔', color: '#c0392b', format: v => v.toFixed(1) },
+};
+
+/**
+ * 解析 CHART_METRICS
+ * @returns {Array<{ metric: string, days: number }>}
+ */
+export function getChartSpecs() {
+    return config.CHART_METRICS.map(entry => {
+        const [metric, daysText] = entry.split(':');
+        const days = daysText ? parseInt(daysText, 10) : config.CHART_DAYS;
+        if (!METRICS[metric]) {
+            throw new Error(`CHART_METRICS 包含未知指标: ${metric} (可选 ${Object.keys(METRICS).join(' / ')})`);
+        }
+        if (!(days > 0)) {
+            throw new Error(`CHART_METRICS 中 ${metric} 的天数无效: ${daysText}`);
+        }
+        return { metric, days };
+    });
+}
+
+/**
+ * 转义 SVG 文本
+ * @param {string} text
+ */
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 生成单个指标的 SVG 折线图
+ * @param {Array<{ time: number, value: number }>} points - 按时间升序
+ * @param {{ metric: string, days: number }} spec
+ * @param {number} now - 图表右端时间
+ * @returns {string}
+ */
+function buildPanel(points, spec, now) {
+    const { label, color, format } = METRICS[spec.metric];
+    const start = now - spec.days * DAY;
+    const plotWidth = PANEL_WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = PANEL_HEIGHT - PADDING.top - PADDING.bottom;
+
+    const values = points.map(p => p.value);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        // 数值没有变化时上下留出空间，避免画在边框上
+        const margin = Math.abs(min) * 0.05 || 1;
+        min -= margin;
+        max += margin;
+    }
+
+    const x = time => PADDING.left + ((time - start) / (now - start)) * plotWidth;
+    const y = value => PADDING.top + (1 - (value - min) / (max - min)) * plotHeight;
+    const path = points.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+
+    const formatDate = time => new Date(time).toLocaleDateString('zh-CN', { timeZone: 'Asia/Shanghai', month: '2-digit', day: '2-digit' });
+    const latest = points[points.length - 1].value;
+
+    const grid = [0, 0.5, 1].map(ratio => {
+        const value = min + (max - min) * ratio;
+        return `<line x1="${PADDING.left}" x2="${PADDING.left + plotWidth}" y1="${y(value)}" y2="${y(value)}" stroke="#e5e5e5"/>`
+            + `<text x="${PADDING.left - 8}" y="${y(value) + 4}" text-anchor="end" class="axis">${escapeXml(format(value))}</text>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${PANEL_WIDTH}" height="${PANEL_HEIGHT}">
+<text x="${PADDING.left}" y="22" class="title">${escapeXml(label)} · 近 ${spec.days} 天</text>
+<text x="${PADDING.left + plotWidth}" y="22" text-anchor="end" class="latest" fill="${color}">${escapeXml(format(latest))}</text>
+${grid}
+<text x="${PADDING.left}" y="${PANEL_HEIGHT - 8}" class="axis">${formatDate(start)}</text>
+<text x="${PADDING.left + plotWidth}" y="${PANEL_HEIGHT - 8}" text-anchor="end" class="axis">${formatDate(now)}</text>
+<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>
+${points.map(p => `<circle cx="${x(p.time).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="2.5" fill="${color}"/>`).join('')}
+</svg>`;
+}
+
+/**
+ * 生成趋势图 HTML (每个指标一个面板)，数据不足两个点的指标跳过
+ * @param {string} accountName - 账号名
+ * @param {number} now - 图表右端时间
+ * @returns {string|null} - 没有可绘制的指标时返回 null
+ */
+export function buildChartHtml(accountName, now = Date.now()) {
+    const specs = getChartSpecs();
+    const longest = Math.max(...specs.map(spec => spec.days));
+    const records = queryHistory({ account: accountName, since: now - longest * DAY, success: true });
+
+    const panels = [];
+    for (const spec of specs) {
+        const points = records
+            .filter(record => Date.parse(record.time) >= now - spec.days * DAY)
+            .map(record => ({ time: Date.parse(record.time), value: record.metrics?.[spec.metric] }))
+            .filter(point => typeof point.value === 'number');
+
+        if (points.length < 2) {
+            console.log(`ℹ️ ${METRICS[spec.metric].label} 近 ${spec.days} 天数据不足，跳过趋势图`);
+            continue;
+        }
+        panels.push(buildPanel(points, spec, now));
+    }
+
+    if (panels.length === 0) {
+        return null;
+    }
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><style>
+body { margin: 0; background: #fff; font-family: "Noto Sans CJK SC", "WenQuanYi Zen Hei", sans-serif; }
+#chart { display: inline-block; padding: 8px 12px; }
+svg { display: block; }
+.title { font-size: 15px; font-weight: bold; fill: #333; }
+.latest { font-size: 14px; font-weight: bold; }
+.axis { font-size: 11px; fill: #888; }
+</style></head>
+<body><div id="chart">${panels.join('\n')}</div></body></html>`;
+}
+
+/**
+ * 渲染账号的趋势图为 PNG
+ * 在账号已打开的浏览器上下文中新建空白页渲染，不访问网络
+ * @param {import('playwright').BrowserContext} context - 浏览器上下文
+ * @param {object} account - 账号配置
+ * @returns {Promise<string|null>} - 图片路径，未启用或数据不足时返回 null
+ */
+export async function renderTrendChart(context, account) {
+    if (!config.CHART_ENABLED) {
+        return null;
+    }
+
+    const html = buildChartHtml(account.name);
+    if (!html) {
+        return null;
+    }
+
+    // 替换字符后的名称可能重复 (如 "张三" 与 "李四")，附加账号名的哈希区分
+    const safeName = account.name.replace(/[^A-Za-z0-9_.-]/g, '_');
+    const hash = crypto.createHash('sha256').update(account.name).digest('hex').slice(0, 8);
+    const chartPath = `/tmp/trend_chart_${safeName}_${hash}.png`;
+    const page = await context.newPage();
+    try {
+        await page.setContent(html);
+        await page.locator('#chart').screenshot({ path: chartPath });
+    } finally {
+        await page.close().catch(() => { });
+    }
+
+    console.log('📈 趋势图已生成');
+    return chartPath;
+}
+
+export default {
+    getChartSpecs,
+    buildChartHtml,
+    renderTrendChart,
+};
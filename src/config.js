@@ -3,51 +3,316 @@
  * 统一管理环境变量读取和验证
  */
 
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseProxyUrl, toPlaywrightProxy } from './proxy.js';
+
+/**
+ * 解析逗号分隔的列表
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+    return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
 export const config = {
     // M-TEAM 登录凭证
     MT_USERNAME: process.env.MT_USERNAME,
     MT_PASSWORD: process.env.MT_PASSWORD,
     MT_COOKIE: process.env.MT_COOKIE || '',
     MT_STORAGE: process.env.MT_STORAGE || '',  // LocalStorage 持久化
+    MT_TOTP_SECRET: process.env.MT_TOTP_SECRET || '', // TOTP 密钥 (base32 或 otpauth URI)
 
     // Telegram Bot 配置
     TG_BOT_TOKEN: process.env.TG_BOT_TOKEN,
     TG_USER_ID: process.env.TG_USER_ID,
+    TG_PARSE_MODE: process.env.TG_PARSE_MODE || 'HTML', // Telegram 通知格式: HTML / MarkdownV2
+    TEMPLATE_DIR: process.env.TEMPLATE_DIR || '',         // 自定义消息模板目录 (<名称>.tpl)
+    TG_ADMIN_IDS: parseList(process.env.TG_ADMIN_IDS), // 额外的管理员 (可操作全部账号)
+    BOT_ENABLED: process.env.BOT_ENABLED !== 'false', // 定时任务模式下常驻响应 Telegram 命令
+
+    // Telegram Webhook (配置 TG_WEBHOOK_URL 后使用 Webhook 代替 getUpdates 轮询)
+    TG_WEBHOOK_URL: process.env.TG_WEBHOOK_URL || '',       // 公网 HTTPS 地址，如 https://example.com/telegram
+    TG_WEBHOOK_SECRET: process.env.TG_WEBHOOK_SECRET || '', // 校验推送来源的 secret (默认每次启动随机生成)
+    HTTP_HOST: process.env.HTTP_HOST || '0.0.0.0',
+    HTTP_PORT: parseInt(process.env.HTTP_PORT || '8080', 10),
+
+    // Prometheus 指标 (定时任务模式下在内置 HTTP 服务上提供)
+    METRICS_ENABLED: process.env.METRICS_ENABLED === 'true',
+    METRICS_PATH: process.env.METRICS_PATH || '/metrics',
+    METRICS_TOKEN: process.env.METRICS_TOKEN || '',        // 访问令牌 (Authorization: Bearer <token>)，留空不校验
+
+    // 通知渠道 (逗号分隔): telegram, webhook, email, ntfy, gotify, bark, serverchan, pushplus, wecom, discord
+    NOTIFY_CHANNELS: parseList(process.env.NOTIFY_CHANNELS || 'telegram'),
+    // 按事件指定渠道，未配置的事件使用 NOTIFY_CHANNELS
+    NOTIFY_ROUTES: {
+        success: parseList(process.env.NOTIFY_ROUTE_SUCCESS),
+        failure: parseList(process.env.NOTIFY_ROUTE_FAILURE),
+        tfa: parseList(process.env.NOTIFY_ROUTE_TFA),
+        device_approval: parseList(process.env.NOTIFY_ROUTE_DEVICE_APPROVAL),
+        session_expiry: parseList(process.env.NOTIFY_ROUTE_SESSION_EXPIRY),
+        alert: parseList(process.env.NOTIFY_ROUTE_ALERT),
+        warning: parseList(process.env.NOTIFY_ROUTE_WARNING),
+    },
+    NOTIFY_WEBHOOK_URL: process.env.NOTIFY_WEBHOOK_URL || '',  // 通用 JSON Webhook
+    NOTIFY_WEBHOOK_HEADERS: process.env.NOTIFY_WEBHOOK_HEADERS || '',  // 附加请求头 (JSON 对象)
+    SMTP_HOST: process.env.SMTP_HOST || '',
+    SMTP_PORT: parseInt(process.env.SMTP_PORT || '587', 10),
+    SMTP_SECURE: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : process.env.SMTP_PORT === '465',
+    SMTP_USER: process.env.SMTP_USER || '',
+    SMTP_PASS: process.env.SMTP_PASS || '',
+    SMTP_FROM: process.env.SMTP_FROM || '',
+    SMTP_TO: process.env.SMTP_TO || '',
+    NTFY_URL: process.env.NTFY_URL || 'https://ntfy.sh',
+    NTFY_TOPIC: process.env.NTFY_TOPIC || '',
+    NTFY_TOKEN: process.env.NTFY_TOKEN || '',
+    GOTIFY_URL: process.env.GOTIFY_URL || '',
+    GOTIFY_TOKEN: process.env.GOTIFY_TOKEN || '',
+    BARK_URL: process.env.BARK_URL || 'https://api.day.app',
+    BARK_KEY: process.env.BARK_KEY || '',
+    SERVERCHAN_KEY: process.env.SERVERCHAN_KEY || '',
+    PUSHPLUS_TOKEN: process.env.PUSHPLUS_TOKEN || '',
+    WECOM_WEBHOOK_URL: process.env.WECOM_WEBHOOK_URL || '',     // 企业微信群机器人
+    DISCORD_WEBHOOK_URL: process.env.DISCORD_WEBHOOK_URL || '',
+    // 通知策略 (见 policy.js)
+    NOTIFY_MODE: process.env.NOTIFY_MODE || 'always',  // always / on-failure / on-change
+    NOTIFY_CHANGE_FIELDS: parseList(process.env.NOTIFY_CHANGE_FIELDS || 'level,hasNewMessage'), // on-change 模式比较的字段
+    NOTIFY_QUIET_HOURS: process.env.NOTIFY_QUIET_HOURS || '',  // 免打扰时段 (如 23-7)，非紧急通知延后发送
+    NOTIFY_SILENT_SUCCESS: process.env.NOTIFY_SILENT_SUCCESS !== 'false',  // 成功报告静默推送
+    NOTIFY_ESCALATE_AFTER: parseInt(process.env.NOTIFY_ESCALATE_AFTER || '2', 10),  // 连续失败 N 次后升级为紧急通知
+    NOTIFY_STATE_PATH: process.env.NOTIFY_STATE_PATH || '',  // 通知状态文件 (默认与 STORAGE_PATH 同目录的 notify_state.json)
+    NOTIFY_RETRIES: parseInt(process.env.NOTIFY_RETRIES || '3', 10),  // 临时性错误 (网络、429、5xx) 的即时重试次数
+    OUTBOX_PATH: process.env.OUTBOX_PATH || '',  // 发送队列文件 (默认与 STORAGE_PATH 同目录的 outbox.json)
+    OUTBOX_MAX_AGE: parseFloat(process.env.OUTBOX_MAX_AGE_HOURS || '72') * 60 * 60 * 1000, // 队列中通知的最长保留时间 (默认 72 小时)
+
+    // 数据告警 (见 alerts.js)，如 ratio<1.5,stagnant:3,drop:bonusPerHour:30,missing:btClient
+    ALERT_RULES: parseList(process.env.ALERT_RULES),
+    ALERT_STATE_PATH: process.env.ALERT_STATE_PATH || '',  // 告警状态文件 (默认与 STORAGE_PATH 同目录的 alert_state.json)
 
     // GitHub API 配置
     REPO_TOKEN: process.env.REPO_TOKEN,
     GITHUB_REPOSITORY: process.env.GITHUB_REPOSITORY || '',
 
+    // 代理配置 (http:// / https:// / socks5://，支持 user:pass@ 认证)
+    SITE_PROXY: process.env.SITE_PROXY || '',      // 站点流量 (浏览器、API 采集)，可被账号的 proxy 覆盖
+    NOTIFY_PROXY: process.env.NOTIFY_PROXY || '',  // 通知流量 (Telegram 及 HTTP 推送渠道，不含 SMTP)
+    EGRESS_IP_URL: process.env.EGRESS_IP_URL ?? 'https://api.ipify.org?format=json', // 出口 IP 查询地址 (留空关闭)
+
     // 本地持久化配置 (Docker 容器中使用绝对路径)
     STORAGE_PATH: process.env.STORAGE_PATH || '/app/data/session.json',
+    HISTORY_PATH: process.env.HISTORY_PATH || '',  // 历史数据 (默认与 STORAGE_PATH 同目录的 history.jsonl)
+
+    // 趋势图 (随成功报告发送)
+    CHART_ENABLED: process.env.CHART_ENABLED === 'true',
+    CHART_METRICS: parseList(process.env.CHART_METRICS || 'uploaded,downloaded,ratio,bonus,bonusPerHour'), // 指标名[:天数]
+    CHART_DAYS: parseInt(process.env.CHART_DAYS || '30', 10),  // 默认时间范围 (天)
+
+    // 会话加密 (二选一，配置后 session.json 使用 XChaCha20-Poly1305 加密存储)
+    SESSION_PASSPHRASE: process.env.SESSION_PASSPHRASE || '',
+    SESSION_KEY_FILE: process.env.SESSION_KEY_FILE || '',
+    SESSION_BACKUP_COUNT: parseInt(process.env.SESSION_BACKUP_COUNT || '5', 10), // 保留最近 N 份可用会话 (0 关闭)
 
-    // M-TEAM URL
-    MT_BASE_URL: 'https://kp.m-team.cc',
-    MT_LOGIN_URL: 'https://kp.m-team.cc/login.php',
-    MT_INDEX_URL: 'https://kp.m-team.cc/index.php',
+    // 会话过期预测
+    SESSION_AUTH_COOKIES: parseList(process.env.SESSION_AUTH_COOKIES), // 认证 Cookie 名称 (默认站点域名下全部持久 Cookie)
+    SESSION_COOKIE_DOMAIN: process.env.SESSION_COOKIE_DOMAIN || 'm-team',
+    SESSION_EXPIRY_WARN_DAYS: parseFloat(process.env.SESSION_EXPIRY_WARN_DAYS || '3'),  // 过期前 N 天发送提醒 (0 关闭)
+    SESSION_REFRESH_DAYS: parseFloat(process.env.SESSION_REFRESH_DAYS || '0'),          // 过期前 N 天主动重新登录 (0 关闭)
+    SESSION_REFRESH_HOURS: process.env.SESSION_REFRESH_HOURS || '9-22',                 // 允许主动重新登录的时段
+
+    // 站点配置 (域名、路径、选择器见 site.js)
+    SITE_PROFILE: process.env.SITE_PROFILE || 'mteam',
+    SITE_PROFILE_FILE: process.env.SITE_PROFILE_FILE || '',  // 自定义站点配置 JSON，覆盖内置配置
+    DATA_SOURCE: process.env.DATA_SOURCE || 'dom',  // 数据采集方式: dom (页面抓取) / api (JSON 接口)
+    MT_API_KEY: process.env.MT_API_KEY || '',       // API Key (不配置则使用登录会话的令牌)
+    MT_API_BASE: process.env.MT_API_BASE || '',     // 覆盖接口地址前缀 (如本地桩服务)
+    MT_MIRRORS: parseList(process.env.MT_MIRRORS), // 镜像域名 (按优先级，逗号分隔)
 
     // 超时配置 (毫秒)
     RANDOM_DELAY_MAX: 45 * 60 * 1000,  // 随机延迟最大 45 分钟
-    DEVICE_APPROVAL_WAIT: 45 * 1000,   // 设备验证等待 45 秒
+    DEVICE_APPROVAL_TIMEOUT: parseInt(process.env.DEVICE_APPROVAL_TIMEOUT || String(5 * 60), 10) * 1000, // 设备验证最长等待 (默认 5 分钟)
+    DEVICE_APPROVAL_POLL_INTERVAL: 10 * 1000, // 设备验证页面检查间隔 10 秒
     TFA_TIMEOUT: 120 * 1000,           // 2FA 验证超时 120 秒
     TFA_POLL_INTERVAL: 3 * 1000,       // 2FA 轮询间隔 3 秒
 
     // 行为配置 (用于调试)
     RUN_ON_START: process.env.RUN_ON_START === 'true', // 是否在启动时立即执行一次
     SKIP_DELAY: process.env.SKIP_DELAY === 'true',     // 是否跳过随机延迟
+
+    // 多账号配置 (JSON 数组或 JSON 文件路径，未配置时使用上面的单账号变量)
+    MT_ACCOUNTS: process.env.MT_ACCOUNTS || '',
+    MT_ACCOUNTS_FILE: process.env.MT_ACCOUNTS_FILE || '',
+    CRON_EXPRESSION: process.env.CRON_EXPRESSION || '',
 };
 
+/**
+ * 读取原始账号列表
+ * 优先级: MT_ACCOUNTS_FILE > MT_ACCOUNTS > 单账号环境变量
+ * @returns {Array<object>}
+ */
+function loadRawAccounts() {
+    if (config.MT_ACCOUNTS_FILE) {
+        const content = fs.readFileSync(config.MT_ACCOUNTS_FILE, 'utf8');
+        return JSON.parse(content);
+    }
+
+    if (config.MT_ACCOUNTS) {
+        return JSON.parse(config.MT_ACCOUNTS);
+    }
+
+    if (!config.MT_USERNAME && !config.MT_PASSWORD) {
+        return [];
+    }
+
+    return [{
+        username: config.MT_USERNAME,
+        password: config.MT_PASSWORD,
+        storagePath: config.STORAGE_PATH,
+        tgUserId: config.TG_USER_ID,
+        totpSecret: config.MT_TOTP_SECRET,
+        apiKey: config.MT_API_KEY,
+    }];
+}
+
+/**
+ * 账号名转为文件名片段 (会话文件、截图、趋势图等)
+ * 含有其他字符的名称替换后会重名 (如 张三 与 李四 都是 __)，此时追加原名的短哈希
+ * @param {string} name - 账号名称
+ * @returns {string}
+ */
+export function toFileName(name) {
+    const safeName = String(name).replace(/[^A-Za-z0-9_.-]/g, '_');
+    if (safeName === String(name)) {
+        return safeName;
+    }
+    const hash = crypto.createHash('sha256').update(String(name)).digest('hex').slice(0, 8);
+    return `${safeName}_${hash}`;
+}
+
+/**
+ * 默认会话文件路径: 与 STORAGE_PATH 同目录，按账号名区分
+ * @param {string} name - 账号名称
+ */
+function defaultStoragePath(name) {
+    const dir = path.dirname(config.STORAGE_PATH);
+    return path.join(dir, `session_${toFileName(name)}.json`);
+}
+
+let accountsCache = null;
+
+/**
+ * 获取账号列表 (已补全默认值)
+ * 每个账号包含: name, username, password, storagePath, tgUserId, cron, totpSecret, dataSource, apiKey, proxy
+ * @returns {Array<object>}
+ */
+export function getAccounts() {
+    if (accountsCache) {
+        return accountsCache;
+    }
+
+    let rawAccounts;
+    try {
+        rawAccounts = loadRawAccounts();
+    } catch (e) {
+        throw new Error(`账号配置解析失败: ${e.message}`);
+    }
+
+    if (!Array.isArray(rawAccounts)) {
+        throw new Error('账号配置必须是 JSON 数组');
+    }
+
+    const multiple = rawAccounts.length > 1;
+    accountsCache = rawAccounts.map((raw, index) => {
+        const name = raw.name || raw.username || `account${index + 1}`;
+        return {
+            ...raw,
+            name,
+            username: raw.username,
+            password: raw.password,
+            // 单账号沿用 STORAGE_PATH，多账号默认每个账号一个会话文件
+            storagePath: raw.storagePath || (multiple ? defaultStoragePath(name) : config.STORAGE_PATH),
+            tgUserId: String(raw.tgUserId || config.TG_USER_ID || ''),
+            cron: raw.cron || config.CRON_EXPRESSION || '',
+            totpSecret: raw.totpSecret || '',
+            dataSource: raw.dataSource || config.DATA_SOURCE,
+            apiKey: raw.apiKey || '',
+            proxy: raw.proxy || config.SITE_PROXY,
+        };
+    });
+
+    return accountsCache;
+}
+
 /**
  * 验证必需的环境变量
  */
 export function validateConfig() {
-    const required = ['MT_USERNAME', 'MT_PASSWORD', 'TG_BOT_TOKEN', 'TG_USER_ID'];
+    const required = ['TG_BOT_TOKEN'];
     const missing = required.filter(key => !config[key]);
 
     if (missing.length > 0) {
         throw new Error(`缺少必需的环境变量: ${missing.join(', ')}`);
     }
 
+    const accounts = getAccounts();
+    if (accounts.length === 0) {
+        throw new Error('缺少必需的环境变量: MT_USERNAME, MT_PASSWORD (或 MT_ACCOUNTS)');
+    }
+
+    if (!['HTML', 'MarkdownV2'].includes(config.TG_PARSE_MODE)) {
+        throw new Error(`TG_PARSE_MODE 无效: ${config.TG_PARSE_MODE} (可选 HTML / MarkdownV2)`);
+    }
+
+    if (!['always', 'on-failure', 'on-change'].includes(config.NOTIFY_MODE)) {
+        throw new Error(`NOTIFY_MODE 无效: ${config.NOTIFY_MODE} (可选 always / on-failure / on-change)`);
+    }
+
+    if (config.NOTIFY_QUIET_HOURS && !/^\d{1,2}\s*-\s*\d{1,2}$/.test(config.NOTIFY_QUIET_HOURS)) {
+        throw new Error(`NOTIFY_QUIET_HOURS 格式无效: ${config.NOTIFY_QUIET_HOURS} (如 23-7)`);
+    }
+
+    if (!config.METRICS_PATH.startsWith('/')) {
+        throw new Error(`METRICS_PATH 必须以 / 开头: ${config.METRICS_PATH}`);
+    }
+
+    if (config.NOTIFY_PROXY) {
+        try {
+            parseProxyUrl(config.NOTIFY_PROXY);
+        } catch (e) {
+            throw new Error(`NOTIFY_PROXY 无效: ${e.message}`);
+        }
+    }
+
+    const names = new Set();
+    const storagePaths = new Map();
+    for (const account of accounts) {
+        const fields = ['username', 'password', 'tgUserId'].filter(key => !account[key]);
+        if (fields.length > 0) {
+            throw new Error(`账号 ${account.name} 缺少配置: ${fields.join(', ')}`);
+        }
+        if (!['dom', 'api'].includes(account.dataSource)) {
+            throw new Error(`账号 ${account.name} 的 dataSource 无效: ${account.dataSource} (可选 dom / api)`);
+        }
+        // 站点代理用于浏览器，按 Playwright 的限制检查 (如不支持带认证的 SOCKS5)
+        try {
+            toPlaywrightProxy(account.proxy);
+        } catch (e) {
+            throw new Error(`账号 ${account.name} 的代理无效: ${e.message}`);
+        }
+        if (names.has(account.name)) {
+            throw new Error(`账号名称重复: ${account.name}`);
+        }
+        names.add(account.name);
+
+        // 多个账号共用会话文件会互相覆盖登录状态
+        const storagePath = path.resolve(account.storagePath);
+        if (storagePaths.has(storagePath)) {
+            throw new Error(`账号 ${storagePaths.get(storagePath)} 与 ${account.name} 的会话文件相同: ${account.storagePath}`);
+        }
+        storagePaths.set(storagePath, account.name);
+    }
+
     console.log('✅ 配置验证通过');
     return true;
 }
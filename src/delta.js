@@ -0,0 +1,102 @@
+/**
+ * 变化量模块
+ * 把本次抓取的指标与历史快照 (见 history.js) 对比，得到自上次成功执行、近 24 小时、近 7 天的
+ * 上传量、下载量、分享率、魔力值变化及平均上传速度，用于成功报告
+ */
+
+import { getSnapshotAt } from './history.js';
+import { formatBytes } from './profile.js';
+import { formatRemaining } from './session.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 对比区间
+ * 按固定时长对比时允许基准快照晚于目标时间 10%，避免每天定时执行时因早了几分钟而取到更早一天的快照
+ */
+const PERIODS = [
+    { key: 'previous', label: '较上次', duration: 0 },
+    { key: 'day', label: '近 24 小时', duration: 24 * HOUR },
+    { key: 'week', label: '近 7 天', duration: 7 * 24 * HOUR },
+];
+
+/**
+ * 带符号格式化变化量
+ * @param {number} value
+ * @param {function(number): string} format - 绝对值的格式化
+ */
+function signed(value, format) {
+    return `${value < 0 ? '-' : '+'}${format(Math.abs(value))}`;
+}
+
+/**
+ * 计算两个指标的差值 (任一方缺失时返回 null)
+ */
+function diff(current, baseline, key) {
+    const a = current[key];
+    const b = baseline[key];
+    return typeof a === 'number' && typeof b === 'number' ? a - b : null;
+}
+
+/**
+ * 计算本次指标相对某个快照的变化
+ * @param {object} metrics - 本次指标 (见 history.toMetrics)
+ * @param {object} snapshot - 基准快照 (历史记录)
+ * @param {number} now - 本次时间
+ * @returns {{ elapsedMs: number, uploaded: number|null, downloaded: number|null, ratio: number|null, bonus: number|null, uploadRate: number|null }}
+ */
+export function compareMetrics(metrics, snapshot, now) {
+    const elapsedMs = now - Date.parse(snapshot.time);
+    const uploaded = diff(metrics, snapshot.metrics, 'uploaded');
+    return {
+        elapsedMs,
+        uploaded,
+        downloaded: diff(metrics, snapshot.metrics, 'downloaded'),
+        ratio: diff(metrics, snapshot.metrics, 'ratio'),
+        bonus: diff(metrics, snapshot.metrics, 'bonus'),
+        // 字节/秒
+        uploadRate: uploaded !== null && elapsedMs > 0 ? uploaded / (elapsedMs / 1000) : null,
+    };
+}
+
+/**
+ * 计算各区间的变化量 (已格式化为模板字段)
+ * 历史数据还不够长的区间、与前一区间使用同一快照的区间 (如每天执行一次时的较上次与近 24 小时) 会被跳过
+ * @param {string} accountName - 账号名
+ * @param {object} metrics - 本次指标
+ * @param {number} now - 本次记录时间 (此时间及之后的记录不作为基准)
+ * @returns {Array<{ key: string, label: string, elapsed: string, uploaded: string, downloaded: string, ratio: string, bonus: string, uploadRate: string }>}
+ */
+export function buildDeltas(accountName, metrics, now = Date.now()) {
+    const deltas = [];
+    const used = new Set();
+
+    for (const period of PERIODS) {
+        const at = period.duration ? now - period.duration * 0.9 : now - 1;
+        const snapshot = getSnapshotAt(accountName, at);
+        if (!snapshot || used.has(snapshot.time)) {
+            continue;
+        }
+        used.add(snapshot.time);
+
+        const change = compareMetrics(metrics, snapshot, now);
+        const na = (value, format) => (value === null ? 'N/A' : format(value));
+        deltas.push({
+            key: period.key,
+            label: period.label,
+            elapsed: formatRemaining(change.elapsedMs),
+            uploaded: na(change.uploaded, v => signed(v, formatBytes)),
+            downloaded: na(change.downloaded, v => signed(v, formatBytes)),
+            ratio: na(change.ratio, v => signed(v, x => x.toFixed(2))),
+            bonus: na(change.bonus, v => signed(v, x => (Math.round(x * 10) / 10).toLocaleString('en-US'))),
+            uploadRate: na(change.uploadRate, v => `${formatBytes(v)}/s`),
+        });
+    }
+
+    return deltas;
+}
+
+export default {
+    compareMetrics,
+    buildDeltas,
+};
@@ -0,0 +1,246 @@
+/**
+ * 历史数据导出
+ * 把 history.jsonl 中的执行记录导出为 CSV / JSON / NDJSON，便于在表格或其他工具中分析
+ *
+ * 用法: node src/export.js [选项]   (或 npm run -s export -- [选项])
+ *   --account <名称>      只导出指定账号 (默认全部)
+ *   --since <时间>        起始时间，如 2026-01-01 或 30d (最近 30 天)
+ *   --until <时间>        截止时间，只写日期时包含当天
+ *   --status <状态>       all / success / failure (默认 all)
+ *   --format <格式>       csv / json / ndjson (默认 csv)
+ *   --fields <字段>       逗号分隔的字段 (默认 time,account,success,uploaded,downloaded,ratio,bonus,bonusPerHour)
+ *   --size-unit <单位>    容量单位 B / KiB / MiB / GiB / TiB / PiB (默认 B)
+ *   --time-unit <单位>    时长单位 s / m / h / d (默认 s)
+ *   --output <文件>       写入文件 (默认输出到标准输出)
+ */
+
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import { queryHistory } from './history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 容量单位 (1024 进制)
+const SIZE_UNITS = { B: 1, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4, PiB: 1024 ** 5 };
+
+// 时长单位 (秒)
+const TIME_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+const DEFAULT_FIELDS = ['time', 'account', 'success', 'uploaded', 'downloaded', 'ratio', 'bonus', 'bonusPerHour'];
+
+/**
+ * 可导出的字段: 取值函数与单位类型 (size / time 按 --size-unit / --time-unit 换算)
+ */
+const FIELDS = {
+    time: { get: r => r.time },
+    account: { get: r => r.account },
+    success: { get: r => r.success },
+    error: { get: r => r.error },
+    uploaded: { get: r => r.metrics?.uploaded, unit: 'size' },
+    downloaded: { get: r => r.metrics?.downloaded, unit: 'size' },
+    ratio: { get: r => r.metrics?.ratio },
+    bonus: { get: r => r.metrics?.bonus },
+    bonusPerHour: { get: r => r.metrics?.bonusPerHour },
+    seedTime: { get: r => r.metrics?.seedTime, unit: 'time' },
+    downloadTime: { get: r => r.metrics?.downloadTime, unit: 'time' },
+    username: { get: r => r.data?.username },
+    level: { get: r => r.data?.level },
+    hasNewMessage: { get: r => r.data?.hasNewMessage },
+    duration: { get: r => (typeof r.run?.durationMs === 'number' ? r.run.durationMs / 1000 : null), unit: 'time' },
+    loginPath: { get: r => r.run?.loginPath },
+    sessionReused: { get: r => r.run?.sessionReused },
+    sessionSource: { get: r => r.run?.sessionSource },
+    baseUrl: { get: r => r.run?.baseUrl },
+};
+
+const USAGE = `用法: node src/export.js [--account 名称] [--since 时间] [--until 时间] [--status all|success|failure]
+                         [--format csv|json|ndjson] [--fields 字段,...] [--size-unit B|KiB|MiB|GiB|TiB|PiB]
+                         [--time-unit s|m|h|d] [--output 文件]
+
+可用字段: ${Object.keys(FIELDS).join(', ')}
+时间格式: 2026-01-01、2026-01-01T08:00:00+08:00 或相对时间 30d / 12h`;
+
+/**
+ * 解析命令行参数 (--key value 或 --key=value)
+ * @param {Array<string>} argv
+ * @returns {Object<string, string|boolean>}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!match) {
+            throw new Error(`无法识别的参数: ${argv[i]}`);
+        }
+        if (match[2] !== undefined) {
+            args[match[1]] = match[2];
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[match[1]] = argv[++i];
+        } else {
+            args[match[1]] = true;
+        }
+    }
+    return args;
+}
+
+/**
+ * 解析时间参数
+ * @param {string} value - ISO 时间、日期或相对时间 (如 30d、12h)
+ * @param {boolean} endOfDay - 只有日期时取当天结束 (用于 --until)
+ * @param {number} now
+ * @returns {number}
+ */
+export function parseTime(value, endOfDay = false, now = Date.now()) {
+    const relative = String(value).match(/^(\d+)\s*([dh])$/i);
+    if (relative) {
+        return now - Number(relative[1]) * (relative[2].toLowerCase() === 'd' ? DAY : DAY / 24);
+    }
+
+    // 只写日期时按本地时区解析 (Date.parse 会当作 UTC)
+    const date = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (date) {
+        const start = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3])).getTime();
+        return endOfDay ? start + DAY - 1 : start;
+    }
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`时间格式无效: ${value}`);
+    }
+    return time;
+}
+
+/**
+ * 按选项换算字段值
+ * @param {object} field - FIELDS 中的定义
+ * @param {*} value
+ * @param {{ sizeUnit: string, timeUnit: string }} units
+ */
+function convert(field, value, { sizeUnit, timeUnit }) {
+    if (typeof value !== 'number') {
+        return value ?? null;
+    }
+    if (field.unit === 'size') {
+        return value / SIZE_UNITS[sizeUnit];
+    }
+    if (field.unit === 'time') {
+        return value / TIME_UNITS[timeUnit];
+    }
+    return value;
+}
+
+/**
+ * 转义 CSV 单元格
+ * @param {*} value
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 导出历史记录
+ * @param {object} options
+ * @param {string} [options.account] - 账号名
+ * @param {number} [options.since] - 起始时间
+ * @param {number} [options.until] - 截止时间
+ * @param {string} [options.status] - all / success / failure
+ * @param {string} [options.format] - csv / json / ndjson
+ * @param {Array<string>} [options.fields] - 字段
+ * @param {string} [options.sizeUnit] - 容量单位
+ * @param {string} [options.timeUnit] - 时长单位
+ * @returns {{ content: string, count: number }}
+ */
+export function exportHistory({
+    account, since, until, status = 'all', format = 'csv',
+    fields = DEFAULT_FIELDS, sizeUnit = 'B', timeUnit = 's',
+} = {}) {
+    if (!['csv', 'json', 'ndjson'].includes(format)) {
+        throw new Error(`导出格式无效: ${format} (可选 csv / json / ndjson)`);
+    }
+    if (!['all', 'success', 'failure'].includes(status)) {
+        throw new Error(`状态无效: ${status} (可选 all / success / failure)`);
+    }
+    if (!SIZE_UNITS[sizeUnit]) {
+        throw new Error(`容量单位无效: ${sizeUnit} (可选 ${Object.keys(SIZE_UNITS).join(' / ')})`);
+    }
+    if (!TIME_UNITS[timeUnit]) {
+        throw new Error(`时长单位无效: ${timeUnit} (可选 ${Object.keys(TIME_UNITS).join(' / ')})`);
+    }
+    const unknown = fields.filter(name => !FIELDS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`未知字段: ${unknown.join(', ')} (可选 ${Object.keys(FIELDS).join(', ')})`);
+    }
+
+    const records = queryHistory({
+        account,
+        since,
+        until,
+        success: status === 'all' ? undefined : status === 'success',
+    });
+    const rows = records.map(record => Object.fromEntries(
+        fields.map(name => [name, convert(FIELDS[name], FIELDS[name].get(record), { sizeUnit, timeUnit })]),
+    ));
+
+    let content;
+    if (format === 'json') {
+        content = JSON.stringify(rows, null, 2) + '\n';
+    } else if (format === 'ndjson') {
+        content = rows.map(row => JSON.stringify(row) + '\n').join('');
+    } else {
+        const header = fields.map(name => (FIELDS[name].unit === 'size' ? `${name}_${sizeUnit}` : FIELDS[name].unit === 'time' ? `${name}_${timeUnit}` : name));
+        content = [header, ...rows.map(row => fields.map(name => row[name]))]
+            .map(cells => cells.map(csvCell).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    return { content, count: rows.length };
+}
+
+/**
+ * 命令行入口
+ * @param {Array<string>} argv
+ */
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const { content, count } = exportHistory({
+        account: typeof args.account === 'string' ? args.account : undefined,
+        since: args.since ? parseTime(args.since) : undefined,
+        until: args.until ? parseTime(args.until, true) : undefined,
+        status: args.status,
+        format: args.format,
+        fields: typeof args.fields === 'string' ? args.fields.split(',').map(f => f.trim()).filter(Boolean) : undefined,
+        sizeUnit: args['size-unit'],
+        timeUnit: args['time-unit'],
+    });
+
+    if (typeof args.output === 'string') {
+        fs.writeFileSync(args.output, content);
+        console.error(`✅ 已导出 ${count} 条记录到 ${args.output}`);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+// 作为脚本运行时执行导出 (被其他模块引用时不执行)
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+}
+
+export default {
+    parseTime,
+    exportHistory,
+};
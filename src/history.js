@@ -0,0 +1,179 @@
+/**
+ * 历史数据模块
+ * 每次执行后追加一条记录到 data/history.jsonl (每行一个 JSON)，供趋势图、变化量、导出等功能查询
+ *
+ * 记录结构:
+ * {
+ *   time: 完成时间 (ISO), account: 账号名, success: 是否成功, error?: 失败原因,
+ *   run: { startedAt, durationMs, loginPath, sessionReused, sessionSource, sessionRefreshed, baseUrl, dataSource },
+ *   data: 抓取结果 (显示文本), metrics: 数值指标 (见 toMetrics)
+ * }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import { parseProfile } from './profile.js';
+
+// 已解析的记录 (文件大小或修改时间变化时重新读取)
+let cache = { size: -1, mtimeMs: -1, records: [] };
+
+/**
+ * 历史文件路径: 未配置 HISTORY_PATH 时与 STORAGE_PATH 同目录
+ */
+function getHistoryPath() {
+    return config.HISTORY_PATH || path.join(path.dirname(config.STORAGE_PATH), 'history.jsonl');
+}
+
+/**
+ * 从抓取结果提取数值指标 (容量为字节数，时长为秒)
+ * @param {object} userData - 抓取结果 (见 profile.toUserData，没有类型化资料时按文本解析)
+ * @returns {{ uploaded: number|null, downloaded: number|null, ratio: number|null, bonus: number|null, bonusPerHour: number|null, seedTime: number|null, downloadTime: number|null }}
+ */
+export function toMetrics(userData) {
+    const profile = userData.profile || parseProfile(userData);
+    return {
+        uploaded: profile.uploaded,
+        downloaded: profile.downloaded,
+        // 无下载时分享率为 ∞，无法作为数值
+        ratio: profile.ratio === Infinity ? null : profile.ratio,
+        bonus: profile.bonus,
+        bonusPerHour: profile.bonusPerHour,
+        seedTime: profile.seedTime,
+        downloadTime: profile.downloadTime,
+    };
+}
+
+/**
+ * 追加一条执行记录
+ * @param {object} account - 账号配置
+ * @param {object} result
+ * @param {boolean} result.success - 是否成功
+ * @param {object} [result.userData] - 抓取结果 (成功时)
+ * @param {string} [result.error] - 失败原因
+ * @param {object} [result.run] - 运行信息: startedAt (Date)、loginPath、sessionReused、sessionSource、sessionRefreshed、baseUrl
+ * @returns {object} - 写入的记录
+ */
+export function appendRecord(account, { success, userData = null, error = null, run = {} }) {
+    const now = new Date();
+    // 类型化资料已体现在 metrics 中，不重复保存
+    const { profile, ...data } = userData || {};
+    const startedAt = run.startedAt || now;
+    const record = {
+        time: now.toISOString(),
+        account: account.name,
+        success,
+        ...(error ? { error } : {}),
+        run: {
+            startedAt: startedAt.toISOString(),
+            durationMs: now - startedAt,
+            loginPath: run.loginPath || null,
+            sessionReused: run.sessionReused ?? null,
+            sessionSource: run.sessionSource || null,
+            sessionRefreshed: run.sessionRefreshed ?? null,
+            baseUrl: run.baseUrl || null,
+            dataSource: account.dataSource || null,
+        },
+        data: userData ? data : null,
+        metrics: userData ? toMetrics(userData) : null,
+    };
+
+    try {
+        const filePath = getHistoryPath();
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    } catch (e) {
+        console.error('⚠️ 保存历史数据失败:', e.message);
+    }
+    return record;
+}
+
+/**
+ * 读取全部记录 (按时间升序)
+ * @returns {Array<object>}
+ */
+function loadRecords() {
+    const filePath = getHistoryPath();
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const { size, mtimeMs } = fs.statSync(filePath);
+    if (size === cache.size && mtimeMs === cache.mtimeMs) {
+        return cache.records;
+    }
+
+    const records = [];
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const record = JSON.parse(line);
+            // 早期版本只记录成功抓取，没有 success 字段
+            record.success = record.success !== false;
+            records.push(record);
+        } catch (e) {
+            // 跳过写入中断产生的不完整行
+        }
+    }
+    records.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+
+    cache = { size, mtimeMs, records };
+    return records;
+}
+
+/**
+ * 查询历史记录 (按时间升序)
+ * @param {object} filter
+ * @param {string} [filter.account] - 账号名 (默认全部)
+ * @param {Date|number} [filter.since] - 起始时间 (含)
+ * @param {Date|number} [filter.until] - 截止时间 (含)
+ * @param {boolean} [filter.success] - 只返回成功 (true) 或失败 (false) 的记录
+ * @param {number} [filter.limit] - 只返回最近 N 条
+ * @returns {Array<object>}
+ */
+export function queryHistory({ account, since, until, success, limit } = {}) {
+    const from = since ? new Date(since).getTime() : -Infinity;
+    const to = until ? new Date(until).getTime() : Infinity;
+
+    const records = loadRecords().filter(record => {
+        const time = Date.parse(record.time);
+        return (!account || record.account === account)
+            && time >= from && time <= to
+            && (success === undefined || record.success === success);
+    });
+    return limit ? records.slice(-limit) : records;
+}
+
+/**
+ * 获取某一时间点之前 (含) 最近的一条成功记录
+ * 跳过没有任何数值指标的记录 (登录成功但数据抓取失败)
+ * @param {string} account - 账号名
+ * @param {Date|number} at - 时间点 (默认当前)
+ * @returns {object|null}
+ */
+export function getSnapshotAt(account, at = Date.now()) {
+    const records = queryHistory({ account, until: at, success: true });
+    for (let i = records.length - 1; i >= 0; i--) {
+        const { metrics } = records[i];
+        if (metrics && Object.values(metrics).some(value => typeof value === 'number')) {
+            return records[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * 历史记录中出现过的账号名
+ * @returns {Array<string>}
+ */
+export function listAccounts() {
+    return [...new Set(loadRecords().map(record => record.account))];
+}
+
+export default {
+    toMetrics,
+    appendRecord,
+    queryHistory,
+    getSnapshotAt,
+    listAccounts,
+};
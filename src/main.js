@@ -5,15 +5,27 @@
  * 1. 随机延迟启动 (模拟真人行为)
  * 2. 登录 M-TEAM (处理设备验证和 2FA)
  * 3. 抓取用户数据
- * 4. 发送 Telegram 通知
+ * 4. 发送通知 (Telegram 及其他推送渠道)
  * 5. 更新 GitHub Secrets (Cookie 持久化)
+ * 6. 守护进程模式下响应 Telegram 命令
+ * 7. 补发之前发送失败的通知 (见 outbox.js)
  */
 
-import config, { validateConfig } from './config.js';
+import config, { validateConfig, getAccounts } from './config.js';
 import auth from './auth.js';
 import scraper from './scraper.js';
 import telegram from './telegram.js';
+import notifier from './notifier.js';
+import outbox from './outbox.js';
 import github from './github_api.js';
+import session from './session.js';
+import { getEgressIp } from './proxy.js';
+import history from './history.js';
+import chart from './chart.js';
+import bot from './bot.js';
+import server from './server.js';
+import metrics from './metrics.js';
+import alerts from './alerts.js';
 
 /**
  * 随机延迟函数
@@ -48,51 +60,105 @@ import schedule from 'node-schedule';
 // 任务锁，防止多个任务同时运行
 let isTaskRunning = false;
 
+// 任务运行期间被触发的账号 (账号名 -> 账号配置)，当前任务结束后接着执行
+const pendingAccounts = new Map();
+
+// 运行状态 (供 Telegram 命令查询)
+let schedulerPaused = false;
+let lastRun = null;                 // { startedAt, finishedAt, results, error? }
+const latestUserData = new Map();   // 账号名 -> { userData, updatedAt }
+const scheduledJobs = [];           // { cron, accounts, job }
+
 /**
- * 核心任务逻辑
+ * 单个账号的任务逻辑 (登录 -> 抓取 -> 通知 -> 保存状态)
+ * @param {object} account - 账号配置
+ * @param {import('playwright').Browser} browser - 共享的浏览器实例
+ * @returns {Promise<{account: object, success: boolean, userData?: object, error?: string}>}
  */
-async function runTask() {
-    // 检查任务锁
-    if (isTaskRunning) {
-        console.log('⚠️ 任务正在运行中，跳过本次触发');
-        return;
-    }
-
-    isTaskRunning = true;
+async function runAccount(account, browser) {
+    console.log('\n' + '-'.repeat(50));
+    console.log(`👤 账号: ${account.name}`);
+    console.log('-'.repeat(50));
 
-    console.log('='.repeat(50));
-    console.log('🚀 任务开始执行');
-    console.log(`⏰ 当前时间: ${new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}`);
-    console.log('='.repeat(50));
+    let context = null;
+    const startedAt = new Date();
+    let recorded = false;
 
-    let browser = null;
+    // 上一轮失败通知上的按钮作废
+    notifier.revokeFailureActions(account);
 
     try {
-        // 验证配置
-        validateConfig();
-
-        // 随机延迟 (仅在 CRON 模式下跳过第一次执行的延迟? 或者每次都延迟?)
-        // 在 Docker 守护进程模式下，调度器会准点触发，我们可以在这里加随机延迟
-        await randomDelay();
-
         // 执行登录
         console.log('\n📍 步骤 1: 登录 M-TEAM');
-        const loginResult = await auth.login();
+        const loginResult = await auth.login(account, browser);
 
         if (!loginResult.success) {
-            throw new Error('登录失败');
+            // 登录失败时 auth 模块已发送错误通知 (有页面时附带截图)
+            const error = loginResult.error || '登录失败';
+            history.appendRecord(account, { success: false, error, run: { startedAt } });
+            return { account, success: false, error };
         }
 
-        browser = loginResult.browser;
-        const { page, context } = loginResult;
+        context = loginResult.context;
+        const { page } = loginResult;
 
         // 抓取用户数据
         console.log('\n📍 步骤 2: 抓取用户数据');
-        const userData = await scraper.scrapeUserData(page);
+        let userData;
+        try {
+            userData = await scraper.collectUserData(page, account, loginResult.baseUrl);
+        } catch (error) {
+            // 登录已成功，先保存会话 (下次执行无需重新登录)，再按失败处理
+            await context.storageState()
+                .then(storageState => auth.saveSessionState(storageState, account))
+                .catch(e => console.error('❌ 状态保存失败:', e.message));
+            throw error;
+        }
+
+        // 查询出口 IP (与站点流量同一代理)
+        const egressIp = await getEgressIp(page);
+        if (egressIp) {
+            console.log(`🛰️ 出口 IP: ${egressIp}`);
+        }
+
+        // 记录历史数据并生成趋势图 (趋势图失败不影响报告)
+        const record = history.appendRecord(account, {
+            success: true,
+            userData,
+            run: {
+                startedAt,
+                loginPath: loginResult.loginPath,
+                sessionReused: loginResult.sessionReused,
+                sessionSource: loginResult.sessionSource,
+                sessionRefreshed: loginResult.sessionRefreshed,
+                baseUrl: loginResult.baseUrl,
+            },
+        });
+        recorded = true;
+        const chartPath = await chart.renderTrendChart(context, account).catch(e => {
+            console.error('⚠️ 生成趋势图失败:', e.message);
+            return null;
+        });
 
         // 发送成功通知
-        console.log('\n📍 步骤 3: 发送 Telegram 通知');
-        await telegram.sendSuccessReport(userData);
+        console.log('\n📍 步骤 3: 发送通知');
+        await notifier.sendSuccessReport(userData, account, {
+            sessionExpiry: loginResult.sessionExpiry,
+            egressIp,
+            baseUrl: loginResult.baseUrl,
+            sessionSource: loginResult.sessionSource,
+            chartPath,
+            recordedAt: record.time,
+        });
+
+        if (session.shouldWarnExpiry(loginResult.sessionExpiry)) {
+            await notifier.sendSessionExpiryWarning(loginResult.sessionExpiry, account);
+        }
+
+        // 检查数据告警 (告警失败不影响本次执行结果)
+        await alerts.evaluateAlerts(account, userData, Date.parse(record.time)).catch(e => {
+            console.error('⚠️ 检查告警失败:', e.message);
+        });
 
         // 保存登录状态 (本地持久化)
         console.log('\n📍 步骤 4: 保存登录状态');
@@ -101,7 +167,7 @@ async function runTask() {
             const storageState = await context.storageState();
 
             // 保存到本地文件
-            await auth.saveSessionState(storageState);
+            await auth.saveSessionState(storageState, account);
 
             // 兼容性: 如果还配置了 GitHub，也尝试推一下(可选)
             if (config.REPO_TOKEN && config.GITHUB_REPOSITORY) {
@@ -111,15 +177,95 @@ async function runTask() {
 
         } catch (saveError) {
             console.error('❌ 状态保存失败:', saveError.message);
-            await telegram.sendMessage(`⚠️ 状态保存失败: ${saveError.message}`);
+            // 本次执行已成功，按警告发送，不计入连续失败
+            await notifier.sendWarning('⚠️ 状态保存失败', `本次执行成功，但会话未能保存: ${saveError.message}`, account)
+                .catch(e => console.error('⚠️ 发送警告失败:', e.message));
         }
 
-        console.log('\n🎉 本次任务执行成功');
+        latestUserData.set(account.name, { userData, updatedAt: new Date() });
+
+        console.log(`\n🎉 账号 ${account.name} 执行成功`);
+        return { account, success: true, userData };
+
+    } catch (error) {
+        console.error(`\n❌ 账号 ${account.name} 执行失败:`, error.message);
+        if (!recorded) {
+            history.appendRecord(account, { success: false, error: error.message, run: { startedAt } });
+        }
+        try {
+            await notifier.sendErrorNotice(error.message, null, account);
+        } catch (notifyError) {
+            console.error('⚠️ 发送错误通知失败:', notifyError.message);
+        }
+        return { account, success: false, error: error.message };
+    } finally {
+        // 关闭该账号的浏览器上下文，避免状态串号
+        if (context) {
+            await context.close().catch(() => { });
+        }
+    }
+}
+
+/**
+ * 核心任务逻辑
+ * @param {Array<object>|null} accounts - 要执行的账号 (默认全部)
+ */
+async function runTask(accounts = null) {
+    // 检查任务锁: 正在运行时排队 (如多个 CRON 分组同时触发)，避免账号错过本次执行
+    if (isTaskRunning) {
+        const queued = accounts || getAccounts();
+        queued.forEach(account => pendingAccounts.set(account.name, account));
+        console.log(`⏳ 任务正在运行中，已排队等待当前任务结束: ${queued.map(a => a.name).join(', ')}`);
+        return;
+    }
+
+    isTaskRunning = true;
+
+    console.log('='.repeat(50));
+    console.log('🚀 任务开始执行');
+    console.log(`⏰ 当前时间: ${new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}`);
+    console.log('='.repeat(50));
+
+    let browser = null;
+    const startedAt = new Date();
+
+    try {
+        // 验证配置 (含告警规则)
+        validateConfig();
+        alerts.getAlertRules();
+        const targets = accounts || getAccounts();
+
+        // 先补发上次未送达的通知
+        await outbox.flushOutbox({ force: true });
+        notifier.revokeFailureActions();
+
+        // 随机延迟 (仅在 CRON 模式下跳过第一次执行的延迟? 或者每次都延迟?)
+        // 在 Docker 守护进程模式下，调度器会准点触发，我们可以在这里加随机延迟
+        await randomDelay();
+
+        browser = await auth.launchBrowser();
+
+        // 依次执行每个账号 (单核机器上串行更稳妥)
+        const results = [];
+        for (const account of targets) {
+            results.push(await runAccount(account, browser));
+        }
+
+        // 多账号时额外发送一条汇总
+        if (results.length > 1) {
+            await notifier.sendRunSummary(results);
+        }
+
+        lastRun = { startedAt, finishedAt: new Date(), results };
+
+        const successCount = results.filter(r => r.success).length;
+        console.log(`\n🎉 本次任务执行完成: ${successCount}/${results.length} 个账号成功`);
 
     } catch (error) {
         console.error('\n❌ 执行失败:', error.message);
+        lastRun = { startedAt, finishedAt: new Date(), results: [], error: error.message };
         try {
-            await telegram.sendErrorNotice(error.message);
+            await notifier.sendErrorNotice(error.message);
         } catch (notifyError) {
             console.error('⚠️ 发送错误通知失败:', notifyError.message);
         }
@@ -131,6 +277,77 @@ async function runTask() {
         // 释放任务锁
         isTaskRunning = false;
     }
+
+    // 执行运行期间排队的账号
+    if (pendingAccounts.size > 0) {
+        const next = [...pendingAccounts.values()];
+        pendingAccounts.clear();
+        console.log(`▶️ 开始执行排队的账号: ${next.map(a => a.name).join(', ')}`);
+        await runTask(next);
+    }
+}
+
+/**
+ * 按 CRON 表达式对账号分组 (未配置 cron 的账号使用全局 CRON_EXPRESSION)
+ * @returns {Map<string, Array<object>>}
+ */
+function groupAccountsBySchedule() {
+    const groups = new Map();
+    for (const account of getAccounts()) {
+        if (!account.cron) continue;
+        if (!groups.has(account.cron)) {
+            groups.set(account.cron, []);
+        }
+        groups.get(account.cron).push(account);
+    }
+    return groups;
+}
+
+/**
+ * 提供给 Telegram 命令机器人的任务控制接口
+ */
+const botController = {
+    runTask,
+    getState: () => ({
+        running: isTaskRunning,
+        paused: schedulerPaused,
+        lastRun,
+        latest: latestUserData,
+        schedules: scheduledJobs.map(({ cron, accounts, job }) => ({
+            cron,
+            accounts: accounts.map(a => a.name),
+            nextInvocation: job.nextInvocation(),
+        })),
+    }),
+    setPaused: (paused) => {
+        schedulerPaused = paused;
+        console.log(paused ? '⏸️ 定时任务已暂停' : '▶️ 定时任务已恢复');
+    },
+};
+
+/**
+ * 启动 Telegram 消息接收
+ * 配置了 TG_WEBHOOK_URL 时使用 Webhook，否则有命令处理函数时启动常驻轮询
+ * (都未启用时，等待验证码期间按需轮询 getUpdates)
+ * @param {((update: object) => Promise<void>)|null} handler - 命令处理函数
+ */
+async function startUpdateReceiver(handler) {
+    if (config.TG_WEBHOOK_URL) {
+        await server.startTelegramWebhook(handler);
+    } else if (handler) {
+        await telegram.startUpdateLoop(handler);
+    }
+}
+
+/**
+ * 停止 Telegram 消息接收
+ */
+async function stopUpdateReceiver() {
+    if (config.TG_WEBHOOK_URL) {
+        await server.stopTelegramWebhook();
+    } else {
+        telegram.stopUpdateLoop();
+    }
 }
 
 /**
@@ -139,12 +356,41 @@ async function runTask() {
 async function main() {
     console.log('M-TEAM AutoLogging Docker Daemon Started');
 
-    // 检查是否配置了 CRON 表达式
+    // 检查是否配置了 CRON 表达式 (全局或账号级)
     // 默认每天上午 9 点: '0 9 * * *'
-    const cronExp = process.env.CRON_EXPRESSION;
+    const scheduleGroups = groupAccountsBySchedule();
+
+    if (scheduleGroups.size > 0) {
+        // 先创建定时任务: CRON 表达式无效时拒绝启动 (scheduleJob 返回 null)
+        const invalid = [];
+        for (const [cronExp, accounts] of scheduleGroups) {
+            const job = schedule.scheduleJob(cronExp, () => {
+                if (schedulerPaused) {
+                    console.log(`⏸️ 定时任务已暂停，跳过本次执行 (${cronExp})`);
+                    return;
+                }
+                runTask(accounts);
+            });
+            if (!job) {
+                invalid.push(`${cronExp} (${accounts.map(a => a.name).join(', ')})`);
+                continue;
+            }
+            scheduledJobs.push({ cron: cronExp, accounts, job });
+        }
+        if (invalid.length > 0) {
+            scheduledJobs.splice(0).forEach(({ job }) => job.cancel());
+            throw new Error(`CRON 表达式无效: ${invalid.join('; ')}`);
+        }
 
-    if (cronExp) {
-        console.log(`📅 定时任务模式已启动: ${cronExp}`);
+        // 常驻响应 Telegram 命令 (/run、/status 等)
+        const handler = config.BOT_ENABLED ? await bot.startBot(botController) : null;
+        await startUpdateReceiver(handler);
+
+        // Prometheus 指标 (与 Webhook 共用内置 HTTP 服务)
+        if (config.METRICS_ENABLED) {
+            metrics.registerMetricsRoute();
+            await server.startServer();
+        }
 
         // 调试模式：启动即运行
         if (config.RUN_ON_START) {
@@ -152,13 +398,23 @@ async function main() {
             await runTask();
         }
 
+        const unscheduled = getAccounts().filter(a => !a.cron);
+        if (unscheduled.length > 0) {
+            console.log(`⚠️ 以下账号未配置 cron，不会被定时执行: ${unscheduled.map(a => a.name).join(', ')}`);
+        }
+
         console.log('⏳ 等待下一次执行...');
 
         // 立即执行一次 (可选，防止部署后要等很久)
         // await runTask(); 
 
-        schedule.scheduleJob(cronExp, () => {
-            runTask();
+        for (const { cron, accounts } of scheduledJobs) {
+            console.log(`📅 定时任务模式已启动: ${cron} (${accounts.map(a => a.name).join(', ')})`);
+        }
+
+        // 定时补发发送队列中到期的通知 (无需等到下一次任务)
+        schedule.scheduleJob('*/5 * * * *', () => {
+            outbox.flushOutbox().catch(e => console.error('⚠️ 补发通知失败:', e.message));
         });
 
         // 保持进程活跃
@@ -169,14 +425,20 @@ async function main() {
         signals.forEach(signal => {
             process.on(signal, () => {
                 console.log(`\n🛑 收到 ${signal}，正在停止...`);
-                schedule.gracefulShutdown().then(() => process.exit(0));
+                Promise.all([stopUpdateReceiver(), schedule.gracefulShutdown()])
+                    .finally(() => process.exit(0));
             });
         });
 
     } else {
         // 一次性运行模式 (如果不设 CRON)
         console.log('🚀 一次性运行模式');
-        await runTask();
+        await startUpdateReceiver(null);
+        try {
+            await runTask();
+        } finally {
+            await stopUpdateReceiver();
+        }
     }
 }
 
@@ -0,0 +1,129 @@
+/**
+ * Prometheus 指标
+ * 配置 METRICS_ENABLED=true 后在内置 HTTP 服务 (见 server.js) 上提供 /metrics
+ *
+ * 抓取数据与运行状况取自历史记录 (见 history.js)，进程重启后仍然可用；
+ * 验证码提示次数为进程内计数器 (counter，重启后从 0 开始)
+ */
+
+import config, { getAccounts } from './config.js';
+import { queryHistory, getSnapshotAt } from './history.js';
+import { addRoute, secretMatches } from './server.js';
+
+// 账号名 -> 已发送的验证码提示次数
+const tfaPrompts = new Map();
+
+/**
+ * 指标定义: 名称、类型、说明，以及从账号状态取值的函数 (返回 null 时不输出)
+ */
+const METRICS = [
+    { name: 'mteam_uploaded_bytes', type: 'gauge', help: '上传量 (字节)', value: s => s.metrics?.uploaded },
+    { name: 'mteam_downloaded_bytes', type: 'gauge', help: '下载量 (字节)', value: s => s.metrics?.downloaded },
+    { name: 'mteam_ratio', type: 'gauge', help: '分享率 (无下载时不输出)', value: s => s.metrics?.ratio },
+    { name: 'mteam_bonus', type: 'gauge', help: '魔力值', value: s => s.metrics?.bonus },
+    { name: 'mteam_bonus_per_hour', type: 'gauge', help: '时魔', value: s => s.metrics?.bonusPerHour },
+    { name: 'mteam_has_unread_messages', type: 'gauge', help: '是否有未读站内信 (1 有 / 0 无，不是数量)', value: s => (s.snapshot ? Number(Boolean(s.snapshot.data?.hasNewMessage)) : null) },
+    { name: 'mteam_last_success_timestamp_seconds', type: 'gauge', help: '最近一次成功执行的时间', value: s => toSeconds(s.snapshot?.time) },
+    { name: 'mteam_last_run_timestamp_seconds', type: 'gauge', help: '最近一次执行的完成时间', value: s => toSeconds(s.last?.time) },
+    { name: 'mteam_last_run_success', type: 'gauge', help: '最近一次执行是否成功 (1/0)', value: s => (s.last ? Number(s.last.success) : null) },
+    { name: 'mteam_last_run_duration_seconds', type: 'gauge', help: '最近一次执行耗时', value: s => (typeof s.last?.run?.durationMs === 'number' ? s.last.run.durationMs / 1000 : null) },
+    { name: 'mteam_consecutive_failures', type: 'gauge', help: '连续失败次数', value: s => s.failures },
+    { name: 'mteam_session_age_seconds', type: 'gauge', help: '当前会话已使用时长 (自最近一次完整登录)', value: s => s.sessionAge },
+    { name: 'mteam_tfa_prompts_total', type: 'counter', help: '本进程发送的验证码提示次数', value: s => s.tfaPrompts },
+];
+
+/**
+ * ISO 时间转为 Unix 秒
+ * @param {string} time
+ */
+function toSeconds(time) {
+    return time ? Date.parse(time) / 1000 : null;
+}
+
+/**
+ * 记录一次验证码提示
+ * @param {object} account - 账号配置
+ */
+export function recordTfaPrompt(account) {
+    tfaPrompts.set(account.name, (tfaPrompts.get(account.name) || 0) + 1);
+}
+
+/**
+ * 汇总账号的指标取值
+ * @param {string} name - 账号名
+ * @param {number} now
+ */
+function collectAccount(name, now) {
+    const records = queryHistory({ account: name });
+    const snapshot = getSnapshotAt(name, now);
+
+    let failures = 0;
+    for (let i = records.length - 1; i >= 0 && !records[i].success; i--) {
+        failures++;
+    }
+
+    // 会话复用时沿用上次登录得到的会话，最近一次未复用会话的成功执行即会话的建立时间
+    const established = records.filter(record => record.success && record.run?.sessionReused === false).pop();
+
+    return {
+        snapshot,
+        metrics: snapshot?.metrics,
+        last: records[records.length - 1] || null,
+        failures,
+        sessionAge: established ? (now - Date.parse(established.time)) / 1000 : null,
+        tfaPrompts: tfaPrompts.get(name) || 0,
+    };
+}
+
+/**
+ * 转义标签值
+ * @param {string} value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 生成 Prometheus 文本格式的指标
+ * @param {number} now - 当前时间
+ * @returns {string}
+ */
+export function renderMetrics(now = Date.now()) {
+    const states = getAccounts().map(account => [account.name, collectAccount(account.name, now)]);
+
+    const lines = [];
+    for (const metric of METRICS) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const [name, state] of states) {
+            const value = metric.value(state);
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                lines.push(`${metric.name}{account="${escapeLabel(name)}"} ${value}`);
+            }
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * 注册 /metrics 路由 (配置了 METRICS_TOKEN 时要求 Authorization: Bearer <token>)
+ */
+export function registerMetricsRoute() {
+    addRoute('GET', config.METRICS_PATH, async (req) => {
+        if (config.METRICS_TOKEN && !secretMatches(req.headers.authorization, `Bearer ${config.METRICS_TOKEN}`)) {
+            return { status: 401, body: 'Unauthorized' };
+        }
+        return {
+            status: 200,
+            body: renderMetrics(),
+            headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+        };
+    });
+    console.log(`📊 Prometheus 指标地址: ${config.METRICS_PATH}`);
+}
+
+export default {
+    recordTfaPrompt,
+    renderMetrics,
+    registerMetricsRoute,
+};
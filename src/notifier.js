@@ -0,0 +1,383 @@
+/**
+ * 通知模块
+ * 准备各类通知的模板字段 (见 template.js)，并按事件类型路由到已启用的通知渠道 (见 notify_channels.js)
+ *
+ * 验证码输入、/approved 等交互只能通过 Telegram 完成，其他渠道只接收提醒
+ * 通知可附带内联按钮 (keyboard)，只在 Telegram 中显示
+ * 发送前经过通知策略 (见 policy.js) 决定是否发送、是否延后以及紧急程度
+ */
+
+import config, { getAccounts } from './config.js';
+import { formatRemaining } from './session.js';
+import telegram from './telegram.js';
+import { CHANNELS } from './notify_channels.js';
+import { createCallbackContext, revokeCallbackScope } from './callbacks.js';
+import { isRetryableError } from './retry.js';
+import outbox from './outbox.js';
+import { applyPolicy, Severity } from './policy.js';
+import { toMetrics } from './history.js';
+import { buildDeltas } from './delta.js';
+import { evaluatePromotion } from './promotion.js';
+
+/**
+ * 通知事件类型
+ */
+export const NotifyEvent = Object.freeze({
+    SUCCESS: 'success',                 // 登录成功报告、执行汇总
+    FAILURE: 'failure',                 // 登录/执行失败
+    TFA: 'tfa',                         // 需要输入 2FA 验证码
+    DEVICE_APPROVAL: 'device_approval', // 需要批准新设备
+    SESSION_EXPIRY: 'session_expiry',   // 会话即将过期
+    ALERT: 'alert',                     // 数据告警 (见 alerts.js)
+    WARNING: 'warning',                 // 不影响执行结果的问题 (如会话保存失败)，不计入连续失败
+});
+
+// 需要即时处理的交互类通知过时无意义，发送失败时不进入发送队列
+const UNQUEUED_EVENTS = [NotifyEvent.TFA, NotifyEvent.DEVICE_APPROVAL];
+
+/**
+ * 格式化时间 (北京时间)
+ * @param {Date} date
+ */
+function formatTime(date) {
+    return date.toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+}
+
+/**
+ * 模板公共字段: 账号名、是否多账号、当前时间
+ * @param {object|null} account
+ */
+function baseData(account) {
+    return {
+        account: account?.name || '',
+        multiAccount: Boolean(account && getAccounts().length > 1),
+        time: formatTime(new Date()),
+    };
+}
+
+/**
+ * 获取事件对应的渠道列表 (未单独配置时使用 NOTIFY_CHANNELS)
+ * @param {string} event
+ * @returns {Array<string>}
+ */
+function getRoute(event) {
+    const route = config.NOTIFY_ROUTES[event];
+    return route && route.length > 0 ? route : config.NOTIFY_CHANNELS;
+}
+
+/**
+ * 失败通知按钮的回调范围: 账号级失败按账号区分，整体执行失败共用一个范围
+ * @param {object|null} account
+ */
+function failureScope(account) {
+    return account ? `failure:${account.name}` : 'failure';
+}
+
+/**
+ * 作废失败通知上的按钮 (开始新一轮执行时调用，旧的按钮不再响应)
+ * @param {object|null} account - 账号配置 (为空时作废整体执行失败的按钮)
+ */
+export function revokeFailureActions(account = null) {
+    revokeCallbackScope(failureScope(account));
+}
+
+/**
+ * 发送通知到事件对应的所有渠道
+ * 通知策略决定跳过时不发送，处于免打扰时段时加入发送队列延后发送
+ * 单个渠道失败不影响其他渠道；临时性错误 (网络、限流、5xx) 重试后仍失败的通知进入发送队列稍后补发 (见 outbox.js)
+ * 所有渠道均失败且无法补发时抛出错误
+ * @param {object} notification
+ * @param {string} notification.event - 事件类型
+ * @param {string} [notification.template] - 模板名称 (见 template.js)，配合 data 使用
+ * @param {object} [notification.data] - 模板字段
+ * @param {string} [notification.title] - 纯文本通知的标题 (不使用模板时)
+ * @param {string} [notification.text] - 纯文本通知的正文 (不使用模板时)
+ * @param {string} [notification.photo] - 图片路径
+ * @param {object} [notification.account] - 账号配置
+ * @param {string} [notification.severity] - 紧急程度 (默认按事件类型，见 policy.js)
+ * @param {{ token: string, rows: Array<Array<{ text: string, action: string }>> }} [notification.keyboard] - Telegram 内联按钮
+ * @param {object} options
+ * @param {Array<string>} options.always - 无论路由如何都发送的渠道 (如需要用户回复的 Telegram)
+ * @param {Array<string>|null} options.only - 只发送到指定渠道 (忽略路由)
+ */
+export async function notify(notification, { always = [], only = null } = {}) {
+    const decision = applyPolicy(notification);
+    if (decision.action === 'skip') {
+        console.log(`🔕 通知策略 (${config.NOTIFY_MODE}) 跳过本次通知: ${notification.event}`);
+        return;
+    }
+
+    const names = only || [...new Set([...always, ...getRoute(notification.event)])];
+
+    const channels = [];
+    for (const name of names) {
+        const channel = CHANNELS[name];
+        if (!channel) {
+            console.log(`⚠️ 未知的通知渠道: ${name}`);
+        } else if (!channel.enabled()) {
+            console.log(`⚠️ 通知渠道 ${name} 未配置，已跳过`);
+        } else {
+            channels.push({ name, channel });
+        }
+    }
+
+    if (channels.length === 0) {
+        return;
+    }
+
+    if (decision.action === 'defer') {
+        for (const { name } of channels) {
+            outbox.defer(name, notification, decision.until);
+        }
+        console.log(`🌙 免打扰时段，通知将在 ${formatTime(decision.until)} 后发送`);
+        return;
+    }
+
+    const results = await Promise.allSettled(channels.map(({ channel }) => channel.send(notification)));
+
+    const queueable = !UNQUEUED_EVENTS.includes(notification.event);
+    const errors = [];
+    let queued = 0;
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            const name = channels[index].name;
+            console.error(`❌ 通知渠道 ${name} 发送失败:`, result.reason.message);
+            if (queueable && isRetryableError(result.reason)) {
+                outbox.enqueue(name, notification, result.reason);
+                queued++;
+            } else {
+                errors.push(`${name}: ${result.reason.message}`);
+            }
+        }
+    });
+
+    if (queued === 0 && errors.length === channels.length) {
+        throw new Error(`所有通知渠道发送失败 (${errors.join('; ')})`);
+    }
+}
+
+/**
+ * 发送登录成功报告
+ * 附带与历史快照对比的变化量 (见 delta.js) 与升级进度 (见 promotion.js)
+ * @param {object} userData - 用户数据
+ * @param {object} account - 账号配置 (可选)
+ * @param {object} meta - 运行信息 (可选)，如 sessionExpiry、egressIp、baseUrl、chartPath (趋势图)、
+ *                        recordedAt (本次历史记录时间，之后的记录不作为对比基准)
+ */
+export async function sendSuccessReport(userData, account = null, meta = {}) {
+    const expiry = meta.sessionExpiry;
+    const now = meta.recordedAt ? Date.parse(meta.recordedAt) : Date.now();
+    let deltas = [];
+    let promotion = null;
+    if (account) {
+        try {
+            deltas = buildDeltas(account.name, toMetrics(userData), now);
+        } catch (e) {
+            console.error('⚠️ 计算变化量失败:', e.message);
+        }
+        if (userData.profile) {
+            try {
+                promotion = evaluatePromotion(userData.profile, account.name, now);
+            } catch (e) {
+                console.error('⚠️ 计算升级进度失败:', e.message);
+            }
+        }
+    }
+
+    await notify({
+        event: NotifyEvent.SUCCESS,
+        template: 'success',
+        data: {
+            ...baseData(account),
+            ...userData,
+            egressIp: meta.egressIp || '',
+            baseUrl: meta.baseUrl || '',
+            sessionSource: meta.sessionSource || '',
+            sessionRemaining: expiry ? formatRemaining(expiry.remainingMs) : '',
+            sessionExpiresAt: expiry ? formatTime(expiry.expiresAt) : '',
+            deltas,
+            promotion,
+        },
+        photo: meta.chartPath || null,
+        account,
+    });
+}
+
+/**
+ * 发送会话即将过期提醒
+ * @param {{ expiresAt: Date, remainingMs: number, cookieName: string }} expiry - 过期信息
+ * @param {object} account - 账号配置 (可选)
+ */
+export async function sendSessionExpiryWarning(expiry, account = null) {
+    await notify({
+        event: NotifyEvent.SESSION_EXPIRY,
+        template: 'session_expiry',
+        data: {
+            ...baseData(account),
+            sessionRemaining: formatRemaining(expiry.remainingMs),
+            sessionExpiresAt: formatTime(expiry.expiresAt),
+            cookieName: expiry.cookieName,
+        },
+        account,
+    });
+}
+
+/**
+ * 发送运行警告 (账号执行成功，但有需要处理的问题)
+ * @param {string} title - 标题
+ * @param {string} text - 正文
+ * @param {object} account - 账号配置 (可选)
+ */
+export async function sendWarning(title, text, account = null) {
+    await notify({
+        event: NotifyEvent.WARNING,
+        title,
+        text,
+        account,
+    });
+}
+
+/**
+ * 发送错误通知
+ * 命令机器人运行中时附带 "重新执行"、"查看截图"、"页面文字" 按钮 (由 bot.js 响应)
+ * @param {string} error - 错误信息
+ * @param {string} screenshotPath - 截图路径(可选)
+ * @param {object} account - 账号配置 (可选)
+ * @param {string} pageText - 出错时的页面文字 (可选)
+ */
+export async function sendErrorNotice(error, screenshotPath = null, account = null, pageText = '') {
+    let keyboard = null;
+    if (telegram.hasUpdateHandler()) {
+        const token = createCallbackContext(failureScope(account), {
+            accounts: account ? [account.name] : null,
+            screenshotPath,
+            pageText,
+        });
+        const details = [];
+        if (screenshotPath) {
+            details.push({ text: '🖼️ 查看截图', action: 'show_screenshot' });
+        }
+        if (pageText) {
+            details.push({ text: '📄 页面文字', action: 'show_page_text' });
+        }
+        keyboard = {
+            token,
+            rows: [[{ text: '🔄 重新执行', action: 'retry_run' }], ...(details.length > 0 ? [details] : [])],
+        };
+    }
+
+    await notify({
+        event: NotifyEvent.FAILURE,
+        template: 'failure',
+        data: { ...baseData(account), error },
+        photo: screenshotPath,
+        account,
+        keyboard,
+    });
+}
+
+/**
+ * 发送设备验证通知
+ * @param {string} approvalUrl - 批准链接
+ * @param {object} account - 账号配置 (可选)
+ */
+export async function sendDeviceApprovalNotice(approvalUrl, account = null) {
+    await notify({
+        event: NotifyEvent.DEVICE_APPROVAL,
+        template: 'device_approval',
+        data: {
+            ...baseData(account),
+            approvalUrl: approvalUrl || '',
+            timeoutMinutes: Math.round(config.DEVICE_APPROVAL_TIMEOUT / 60000),
+        },
+        account,
+    });
+}
+
+/**
+ * 发送验证码输入提示
+ * Telegram 是唯一可以回复验证码的渠道，始终发送；其他渠道按路由发送提醒
+ * @param {{ isEmail: boolean, attempt: number, maxAttempts: number }} info - 验证码类型与尝试次数
+ * @param {object} account - 账号配置 (可选)
+ * @param {object} keyboard - Telegram 内联按钮 (可选，见 notify)
+ * @param {object} options
+ * @param {boolean} options.resend - 用户要求重新发送提示，只发送到 Telegram
+ */
+export async function sendTfaPrompt({ isEmail, attempt, maxAttempts }, account = null, keyboard = null, { resend = false } = {}) {
+    await notify({
+        event: NotifyEvent.TFA,
+        template: 'tfa',
+        data: {
+            ...baseData(account),
+            isEmail,
+            codeType: isEmail ? '邮箱' : '2FA',
+            retry: attempt > 1,
+            attempt,
+            remainingAttempts: maxAttempts - attempt + 1,
+            timeoutMinutes: Math.round(config.TFA_TIMEOUT / 60000),
+        },
+        account,
+        keyboard,
+    }, resend ? { only: ['telegram'] } : { always: ['telegram'] });
+}
+
+/**
+ * 发送数据告警或告警解除通知
+ * @param {{ rule: string, message: string, value: string, since?: string }} alert - 规则原文、说明、当前值、开始时间 (解除时)
+ * @param {object} account - 账号配置
+ * @param {object} options
+ * @param {boolean} options.resolved - 是否为解除通知 (按 info 级别发送)
+ */
+export async function sendAlert(alert, account, { resolved = false } = {}) {
+    await notify({
+        event: NotifyEvent.ALERT,
+        template: 'alert',
+        data: {
+            ...baseData(account),
+            rule: alert.rule,
+            message: alert.message,
+            value: alert.value,
+            resolved,
+            since: alert.since ? formatTime(new Date(alert.since)) : '',
+        },
+        account,
+        ...(resolved ? { severity: Severity.INFO } : {}),
+    });
+}
+
+/**
+ * 发送多账号汇总
+ * @param {Array<{account: object, success: boolean, userData?: object, error?: string}>} results
+ */
+export async function sendRunSummary(results) {
+    const successCount = results.filter(r => r.success).length;
+    await notify({
+        event: successCount === results.length ? NotifyEvent.SUCCESS : NotifyEvent.FAILURE,
+        template: 'summary',
+        data: {
+            ...baseData(null),
+            successCount,
+            total: results.length,
+            results: results.map(result => ({
+                ...(result.userData || {}),
+                account: result.account.name,
+                success: result.success,
+                error: result.error || '未知错误',
+            })),
+        },
+    });
+}
+
+export default {
+    NotifyEvent,
+    notify,
+    revokeFailureActions,
+    sendSuccessReport,
+    sendSessionExpiryWarning,
+    sendWarning,
+    sendErrorNotice,
+    sendDeviceApprovalNotice,
+    sendTfaPrompt,
+    sendAlert,
+    sendRunSummary,
+};
@@ -0,0 +1,264 @@
+/**
+ * 通知渠道模块
+ * 每个渠道实现 send(notification)，由 notifier.js 按事件路由调用
+ *
+ * notification 结构见 notifier.notify()，各渠道按自身支持的格式渲染 (见 template.js)
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import FormData from 'form-data';
+import nodemailer from 'nodemailer';
+import config from './config.js';
+import telegram from './telegram.js';
+import { toAxiosProxyOptions } from './proxy.js';
+import { Format, TELEGRAM_FORMATS, renderMessage } from './template.js';
+import { withRetry } from './retry.js';
+
+// 除 SMTP 外的通知渠道与 Telegram 一样走 NOTIFY_PROXY
+const http = axios.create({ timeout: 15000, ...toAxiosProxyOptions(config.NOTIFY_PROXY) });
+
+/**
+ * 按紧急程度 (见 policy.js) 选择渠道的推送级别，静默通知使用 silent
+ * @param {object} notification
+ * @param {{ silent: *, info: *, warning: *, critical: * }} levels
+ */
+function pickLevel(notification, levels) {
+    return notification.silent ? levels.silent : (levels[notification.severity] ?? levels.warning);
+}
+
+/**
+ * 按 UTF-8 字节数截断文本 (不截断多字节字符)
+ * @param {string} text
+ * @param {number} maxBytes
+ */
+function truncateBytes(text, maxBytes) {
+    let result = text;
+    while (Buffer.byteLength(result) > maxBytes) {
+        result = result.slice(0, -Math.max(1, Math.floor((Buffer.byteLength(result) - maxBytes) / 3)));
+    }
+    return result;
+}
+
+/**
+ * 解析 JSON 格式的附加请求头
+ * @param {string} value
+ */
+function parseHeaders(value) {
+    if (!value) {
+        return {};
+    }
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        throw new Error(`NOTIFY_WEBHOOK_HEADERS 不是有效的 JSON: ${e.message}`);
+    }
+}
+
+/**
+ * 检查业务返回码 (部分推送服务 HTTP 200 时也可能失败)
+ * @param {string} channel - 渠道名
+ * @param {boolean} ok - 是否成功
+ * @param {object} data - 响应内容
+ */
+function assertOk(channel, ok, data) {
+    if (!ok) {
+        throw new Error(`${channel} 推送失败: ${JSON.stringify(data)}`);
+    }
+}
+
+/**
+ * 发送 POST 请求，临时性错误自动重试
+ * @param {string} label - 渠道名 (用于日志)
+ * @param {string} url
+ * @param {object} data
+ * @param {object} options - axios 请求选项
+ */
+function post(label, url, data, options = {}) {
+    return withRetry(() => http.post(url, data, options), { label: `${label} 推送` });
+}
+
+/**
+ * 通知渠道定义
+ * - enabled(): 是否已配置
+ * - send(notification): 发送通知，失败时抛出错误 (临时性错误会进入发送队列，见 outbox.js)
+ */
+export const CHANNELS = {
+    telegram: {
+        enabled: () => Boolean(config.TG_BOT_TOKEN),
+        async send(notification) {
+            const { photo, account, keyboard, silent } = notification;
+            const chatId = account?.tgUserId || config.TG_USER_ID;
+            const { title, full } = renderMessage(notification, TELEGRAM_FORMATS[config.TG_PARSE_MODE]);
+            const replyMarkup = keyboard ? telegram.buildKeyboard(keyboard.rows, keyboard.token) : null;
+            await telegram.sendMessage(full, config.TG_PARSE_MODE, chatId, { replyMarkup, silent });
+            if (photo && fs.existsSync(photo)) {
+                // 文字已送达，截图失败不再整体重发，避免重复消息
+                await telegram.sendPhoto(photo, title, chatId, { silent }).catch(() => {});
+            }
+        },
+    },
+
+    webhook: {
+        enabled: () => Boolean(config.NOTIFY_WEBHOOK_URL),
+        async send(notification) {
+            const { event, account } = notification;
+            const { title, body } = renderMessage(notification, Format.PLAIN);
+            await post('Webhook', config.NOTIFY_WEBHOOK_URL, {
+                event,
+                title,
+                text: body,
+                account: account?.name || null,
+                timestamp: new Date().toISOString(),
+            }, { headers: parseHeaders(config.NOTIFY_WEBHOOK_HEADERS) });
+        },
+    },
+
+    email: {
+        enabled: () => Boolean(config.SMTP_HOST && config.SMTP_TO),
+        async send(notification) {
+            const { photo } = notification;
+            const { title, body } = renderMessage(notification, Format.PLAIN);
+            const html = renderMessage(notification, Format.HTML).body;
+            const transporter = nodemailer.createTransport({
+                host: config.SMTP_HOST,
+                port: config.SMTP_PORT,
+                secure: config.SMTP_SECURE,
+                auth: config.SMTP_USER ? { user: config.SMTP_USER, pass: config.SMTP_PASS } : undefined,
+            });
+            await withRetry(() => transporter.sendMail({
+                from: config.SMTP_FROM || config.SMTP_USER,
+                to: config.SMTP_TO,
+                subject: title,
+                text: body,
+                html: `<div style="white-space: pre-wrap">${html}</div>`,
+                attachments: photo && fs.existsSync(photo)
+                    ? [{ filename: path.basename(photo), path: photo }]
+                    : [],
+            }), { label: '邮件发送' });
+        },
+    },
+
+    ntfy: {
+        enabled: () => Boolean(config.NTFY_TOPIC),
+        async send(notification) {
+            const { title, body } = renderMessage(notification, Format.MARKDOWN);
+            // 使用 JSON 发布，避免中文标题放在 HTTP 头中
+            await post('ntfy', config.NTFY_URL, {
+                topic: config.NTFY_TOPIC,
+                title,
+                message: body,
+                markdown: true,
+                priority: pickLevel(notification, { silent: 2, info: 3, warning: 4, critical: 5 }),
+            }, {
+                headers: config.NTFY_TOKEN ? { Authorization: `Bearer ${config.NTFY_TOKEN}` } : {},
+            });
+        },
+    },
+
+    gotify: {
+        enabled: () => Boolean(config.GOTIFY_URL && config.GOTIFY_TOKEN),
+        async send(notification) {
+            const { title, body } = renderMessage(notification, Format.MARKDOWN);
+            await post('Gotify', `${config.GOTIFY_URL.replace(/\/+$/, '')}/message`, {
+                title,
+                message: body,
+                priority: pickLevel(notification, { silent: 2, info: 5, warning: 6, critical: 8 }),
+                extras: { 'client::display': { contentType: 'text/markdown' } },
+            }, {
+                headers: { 'X-Gotify-Key': config.GOTIFY_TOKEN },
+            });
+        },
+    },
+
+    bark: {
+        enabled: () => Boolean(config.BARK_KEY),
+        async send(notification) {
+            const { title, body } = renderMessage(notification, Format.PLAIN);
+            const { data } = await post('Bark', `${config.BARK_URL.replace(/\/+$/, '')}/push`, {
+                device_key: config.BARK_KEY,
+                title,
+                body,
+                group: 'M-TEAM',
+                level: pickLevel(notification, { silent: 'passive', info: 'active', warning: 'active', critical: 'timeSensitive' }),
+            });
+            assertOk('Bark', data.code === 200, data);
+        },
+    },
+
+    serverchan: {
+        enabled: () => Boolean(config.SERVERCHAN_KEY),
+        async send(notification) {
+            const { title, body } = renderMessage(notification, Format.MARKDOWN);
+            // Server 酱³ 的 SendKey 形如 sctp{uid}t...，使用独立域名
+            const key = config.SERVERCHAN_KEY;
+            const match = key.match(/^sctp(\d+)t/);
+            const url = match
+                ? `https://${match[1]}.push.ft07.com/send/${key}.send`
+                : `https://sctapi.ftqq.com/${key}.send`;
+
+            const { data } = await post('Server 酱', url, { title, desp: body });
+            assertOk('Server 酱', data.code === 0, data);
+        },
+    },
+
+    pushplus: {
+        enabled: () => Boolean(config.PUSHPLUS_TOKEN),
+        async send(notification) {
+            const { title, body } = renderMessage(notification, Format.MARKDOWN);
+            const { data } = await post('PushPlus', 'https://www.pushplus.plus/send', {
+                token: config.PUSHPLUS_TOKEN,
+                title,
+                content: body,
+                template: 'markdown',
+            });
+            assertOk('PushPlus', data.code === 200, data);
+        },
+    },
+
+    wecom: {
+        enabled: () => Boolean(config.WECOM_WEBHOOK_URL),
+        async send(notification) {
+            // 企业微信群机器人 markdown 内容上限 4096 字节
+            const { full } = renderMessage(notification, Format.MARKDOWN);
+            const { data } = await post('企业微信', config.WECOM_WEBHOOK_URL, {
+                msgtype: 'markdown',
+                markdown: { content: truncateBytes(full, 4096) },
+            });
+            assertOk('企业微信', data.errcode === 0, data);
+        },
+    },
+
+    discord: {
+        enabled: () => Boolean(config.DISCORD_WEBHOOK_URL),
+        async send(notification) {
+            const { photo } = notification;
+            const { title, body } = renderMessage(notification, Format.MARKDOWN);
+            const payload = {
+                embeds: [{
+                    title,
+                    // embed 描述上限 4096 字符
+                    description: body.slice(0, 4096),
+                    color: pickLevel(notification, { silent: 0x2ecc71, info: 0x2ecc71, warning: 0xf39c12, critical: 0xe74c3c }),
+                }],
+            };
+
+            if (photo && fs.existsSync(photo)) {
+                // 文件流只能读取一次，每次重试重新构造表单
+                await withRetry(() => {
+                    const form = new FormData();
+                    form.append('payload_json', JSON.stringify(payload));
+                    form.append('files[0]', fs.createReadStream(photo));
+                    return http.post(config.DISCORD_WEBHOOK_URL, form, { headers: form.getHeaders() });
+                }, { label: 'Discord 推送' });
+            } else {
+                await post('Discord', config.DISCORD_WEBHOOK_URL, payload);
+            }
+        },
+    },
+};
+
+export default {
+    CHANNELS,
+};
@@ -0,0 +1,236 @@
+/**
+ * 通知发送队列
+ * 重试后仍因临时性错误发送失败的通知会写入 data/outbox.json，在下次运行 (或守护进程定时) 时补发，
+ * 容器重启后也不会丢失；免打扰时段内延后发送的通知 (见 policy.js) 也存放在这里
+ *
+ * 通知附带的图片 (趋势图、截图) 位于临时目录，会被下一次运行覆盖或在重启后丢失，
+ * 入队时复制到队列文件旁的 outbox_files 目录，通知送达或丢弃后删除
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import { writeFileAtomic } from './session_store.js';
+import { CHANNELS } from './notify_channels.js';
+import { getRetryAfterMs, isRetryableError, describeError } from './retry.js';
+
+// 补发间隔: 1 分钟起，每次翻倍，最长 6 小时
+const BASE_BACKOFF = 60 * 1000;
+const MAX_BACKOFF = 6 * 60 * 60 * 1000;
+
+let entries = null;
+let flushing = false;
+
+/**
+ * 队列文件路径: 未配置 OUTBOX_PATH 时与 STORAGE_PATH 同目录
+ */
+function getOutboxPath() {
+    return config.OUTBOX_PATH || path.join(path.dirname(config.STORAGE_PATH), 'outbox.json');
+}
+
+/**
+ * 队列图片目录
+ */
+function getFilesDir() {
+    return path.join(path.dirname(getOutboxPath()), 'outbox_files');
+}
+
+/**
+ * 复制通知图片到队列图片目录 (图片已不存在时不附带)
+ * @param {string|null} photo - 图片路径
+ * @param {string} id - 队列记录 ID
+ * @returns {string|null} - 副本路径
+ */
+function persistPhoto(photo, id) {
+    if (!photo || !fs.existsSync(photo)) {
+        return null;
+    }
+    try {
+        const target = path.join(getFilesDir(), `${id}${path.extname(photo)}`);
+        fs.mkdirSync(getFilesDir(), { recursive: true });
+        fs.copyFileSync(photo, target);
+        return target;
+    } catch (e) {
+        console.error('⚠️ 保存队列图片失败，补发时不附带图片:', e.message);
+        return null;
+    }
+}
+
+/**
+ * 从队列移除一条记录并删除其图片副本
+ * @param {object} entry
+ */
+function removeEntry(entry) {
+    entries = entries.filter(e => e.id !== entry.id);
+    if (entry.notification.photo) {
+        fs.rmSync(entry.notification.photo, { force: true });
+    }
+}
+
+/**
+ * 加载队列 (首次使用时从文件读取)
+ * @returns {Array<object>}
+ */
+function loadEntries() {
+    if (entries) {
+        return entries;
+    }
+
+    entries = [];
+    try {
+        if (fs.existsSync(getOutboxPath())) {
+            entries = JSON.parse(fs.readFileSync(getOutboxPath(), 'utf8'));
+        }
+    } catch (e) {
+        console.log(`⚠️ 发送队列文件损坏，已忽略: ${e.message}`);
+    }
+    return entries;
+}
+
+/**
+ * 保存队列 (队列为空时删除文件)
+ */
+function saveEntries() {
+    const filePath = getOutboxPath();
+    try {
+        if (entries.length === 0) {
+            fs.rmSync(filePath, { force: true });
+            return;
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        writeFileAtomic(filePath, JSON.stringify(entries, null, 2));
+    } catch (e) {
+        console.error('⚠️ 保存发送队列失败:', e.message);
+    }
+}
+
+/**
+ * 计算下次补发时间
+ * @param {number} attempts - 已尝试次数
+ * @param {Error} error - 最近一次错误
+ */
+function nextAttemptAt(attempts, error) {
+    const backoff = Math.min(BASE_BACKOFF * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF);
+    return Date.now() + Math.max(backoff, getRetryAfterMs(error) || 0);
+}
+
+/**
+ * 写入一条队列记录
+ * 账号信息只保留渠道需要的字段，避免密码等敏感信息落盘；补发时按钮已过期，不再附带；图片保存副本
+ * @param {string} channel - 渠道名
+ * @param {object} notification - 通知 (见 notifier.notify)
+ * @param {object} fields - attempts、nextAttemptAt、lastError
+ */
+function addEntry(channel, notification, fields) {
+    const { account, keyboard, photo, ...rest } = notification;
+    const id = crypto.randomUUID();
+    loadEntries().push({
+        id,
+        channel,
+        notification: {
+            ...rest,
+            photo: persistPhoto(photo, id),
+            account: account ? { name: account.name, tgUserId: account.tgUserId } : null,
+        },
+        createdAt: Date.now(),
+        ...fields,
+    });
+    saveEntries();
+}
+
+/**
+ * 加入发送队列 (发送失败，稍后重试)
+ * @param {string} channel - 渠道名
+ * @param {object} notification - 通知 (见 notifier.notify)
+ * @param {Error} error - 发送失败的错误
+ */
+export function enqueue(channel, notification, error) {
+    addEntry(channel, notification, {
+        attempts: 1,
+        nextAttemptAt: nextAttemptAt(1, error),
+        lastError: describeError(error),
+    });
+    console.log(`📮 通知已加入发送队列 (${channel})，稍后重试`);
+}
+
+/**
+ * 延后发送 (如免打扰时段)
+ * @param {string} channel - 渠道名
+ * @param {object} notification - 通知 (见 notifier.notify)
+ * @param {Date} until - 最早发送时间
+ */
+export function defer(channel, notification, until) {
+    addEntry(channel, notification, {
+        attempts: 0,
+        nextAttemptAt: until.getTime(),
+        deferredUntil: until.getTime(),
+        lastError: null,
+    });
+}
+
+/**
+ * 补发队列中到期的通知
+ * @param {object} options
+ * @param {boolean} options.force - 忽略重试间隔立即尝试 (延后发送的通知仍等到指定时间)
+ */
+export async function flushOutbox({ force = false } = {}) {
+    if (flushing || loadEntries().length === 0) {
+        return;
+    }
+
+    flushing = true;
+    try {
+        const now = Date.now();
+        const due = entries.filter(entry => entry.nextAttemptAt <= now || (force && !(entry.deferredUntil > now)));
+        if (due.length === 0) {
+            return;
+        }
+
+        console.log(`📮 补发队列中的通知: ${due.length} 条`);
+        for (const entry of due) {
+            const channel = CHANNELS[entry.channel];
+            const expired = now - entry.createdAt > config.OUTBOX_MAX_AGE;
+
+            if (!channel || !channel.enabled() || expired) {
+                console.log(`🗑️ 丢弃队列中的通知 (${entry.channel}): ${expired ? '已超过保留时间' : '渠道不可用'}`);
+                removeEntry(entry);
+                saveEntries();
+                continue;
+            }
+
+            try {
+                await channel.send(entry.notification);
+                removeEntry(entry);
+                console.log(`✅ 补发成功 (${entry.channel})`);
+            } catch (error) {
+                if (isRetryableError(error)) {
+                    entry.attempts++;
+                    entry.nextAttemptAt = nextAttemptAt(entry.attempts, error);
+                    entry.lastError = describeError(error);
+                    console.log(`⚠️ 补发失败 (${entry.channel}): ${entry.lastError}，第 ${entry.attempts} 次`);
+                } else {
+                    removeEntry(entry);
+                    console.error(`❌ 补发失败且无法重试，已丢弃 (${entry.channel}):`, describeError(error));
+                }
+            }
+            saveEntries();
+        }
+    } finally {
+        flushing = false;
+    }
+}
+
+/**
+ * 队列中待发送的通知数量
+ */
+export function getPendingCount() {
+    return loadEntries().length;
+}
+
+export default {
+    enqueue,
+    defer,
+    flushOutbox,
+    getPendingCount,
+};
@@ -0,0 +1,191 @@
+/**
+ * 页面状态识别模块
+ * 将登录过程中的页面归类为唯一确定的状态，供 auth.js 的状态机驱动流程
+ *
+ * 识别分两步:
+ * 1. capturePageSnapshot() 从页面提取 URL、标题、文本以及各组选择器的可见匹配情况
+ * 2. classifyPage() 仅根据快照判断状态 (纯函数，可直接用保存的快照复现)
+ */
+
+import { getSiteProfile } from './site.js';
+
+/**
+ * 页面状态
+ */
+export const PageState = Object.freeze({
+    LOGIN_FORM: 'login_form',           // 用户名密码表单
+    DEVICE_APPROVAL: 'device_approval', // 新设备需要批准
+    TOTP: 'totp',                       // 2FA 动态验证码
+    EMAIL_CODE: 'email_code',           // 邮箱验证码
+    ANNOUNCEMENT: 'announcement',       // 公告弹窗遮挡
+    LOGGED_IN: 'logged_in',             // 已登录
+    BANNED: 'banned',                   // 账号被禁用/封禁
+    CAPTCHA: 'captcha',                 // 人机验证
+    RATE_LIMITED: 'rate_limited',       // 请求过于频繁
+    UNKNOWN: 'unknown',
+});
+
+/**
+ * 页面状态的中文描述 (用于日志和通知)
+ */
+export const PageStateLabel = Object.freeze({
+    [PageState.LOGIN_FORM]: '登录表单',
+    [PageState.DEVICE_APPROVAL]: '设备验证',
+    [PageState.TOTP]: '2FA 验证码',
+    [PageState.EMAIL_CODE]: '邮箱验证码',
+    [PageState.ANNOUNCEMENT]: '公告弹窗',
+    [PageState.LOGGED_IN]: '已登录',
+    [PageState.BANNED]: '账号被禁用',
+    [PageState.CAPTCHA]: '人机验证',
+    [PageState.RATE_LIMITED]: '请求受限',
+    [PageState.UNKNOWN]: '未知页面',
+});
+
+/**
+ * 参与状态识别的选择器分组 (对应站点配置 selectors 中的键)
+ */
+export const SNAPSHOT_SELECTOR_GROUPS = Object.freeze([
+    'tfaIndicators',
+    'passwordInput',
+    'userIndicators',
+    'announcementDialog',
+    'announcementConfirm',
+    'captcha',
+]);
+
+/**
+ * 返回第一个可见的匹配选择器
+ * @param {import('playwright').Page} page
+ * @param {Array<string>} selectors
+ * @returns {Promise<string|null>}
+ */
+async function findVisible(page, selectors) {
+    for (const selector of selectors || []) {
+        try {
+            const element = await page.$(selector);
+            if (element && await element.isVisible()) {
+                return selector;
+            }
+        } catch (e) {
+            // 选择器无效或元素已分离，继续
+        }
+    }
+    return null;
+}
+
+/**
+ * 提取页面快照
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ url: string, title: string, text: string, errors: Array<string>, matches: object }>}
+ */
+export async function capturePageSnapshot(page) {
+    const { selectors } = getSiteProfile();
+
+    const url = page.url();
+    const title = await page.title().catch(() => '');
+    const { text, errors } = await page.evaluate((errorSelectors) => ({
+        text: document.body ? document.body.innerText : '',
+        errors: Array.from(document.querySelectorAll(errorSelectors.join(', ')))
+            .map(el => el.textContent.trim())
+            .filter(Boolean),
+    }), selectors.loginErrors).catch(() => ({ text: '', errors: [] }));
+
+    const matches = {};
+    for (const group of SNAPSHOT_SELECTOR_GROUPS) {
+        matches[group] = await findVisible(page, selectors[group]);
+    }
+
+    return { url, title, text, errors, matches };
+}
+
+/**
+ * 文本是否包含任一关键字 (大小写不敏感)
+ * @param {string} text
+ * @param {Array<string>} keywords
+ */
+function containsAny(text, keywords) {
+    const lower = (text || '').toLowerCase();
+    return (keywords || []).some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
+/**
+ * 根据快照判断页面状态
+ * 判断顺序即优先级: 阻断性状态 > 验证码 > 设备验证 > 公告 > 登录表单 > 已登录
+ *
+ * 阻断性关键字只在标题和错误提示中始终生效；正文关键字仅在页面既没有用户元素也没有登录表单时生效，
+ * 避免已登录首页的公告、帖子中出现 "rate limit"、"人机验证" 等字样造成误判
+ * @param {{ url: string, title: string, text: string, errors: Array<string>, matches: object }} snapshot
+ * @param {object} profile - 站点配置 (默认当前配置)
+ * @returns {string} - PageState 中的值
+ */
+export function classifyPage(snapshot, profile = getSiteProfile()) {
+    const { texts } = profile;
+    const { url = '', title = '', text = '', errors = [], matches = {} } = snapshot;
+    const content = `${title}\n${text}`;
+    const onLoginPage = /login/i.test(url);
+    const hasPageContent = Boolean(matches.userIndicators || matches.passwordInput);
+    const isBlocked = keywords => containsAny(`${title}\n${errors.join('\n')}`, keywords) ||
+        (!hasPageContent && containsAny(text, keywords));
+
+    // 1. 阻断性状态: 无法自动处理，直接结束流程
+    if (isBlocked(texts.rateLimited)) {
+        return PageState.RATE_LIMITED;
+    }
+    if (isBlocked(texts.banned)) {
+        return PageState.BANNED;
+    }
+    if (matches.captcha || isBlocked(texts.captcha)) {
+        return PageState.CAPTCHA;
+    }
+
+    // 2. 验证码: 必须有可见的验证码输入框，避免公告中的 "验证" 字样造成误判
+    if (matches.tfaIndicators && !matches.userIndicators) {
+        return containsAny(content, texts.emailCode) ? PageState.EMAIL_CODE : PageState.TOTP;
+    }
+
+    // 3. 设备验证: 仅在未登录时判断
+    if (!matches.userIndicators && !matches.passwordInput && containsAny(content, texts.deviceApproval)) {
+        return PageState.DEVICE_APPROVAL;
+    }
+
+    // 4. 公告弹窗: 有可见对话框且有可点击的确认按钮
+    if (matches.announcementDialog && matches.announcementConfirm) {
+        return PageState.ANNOUNCEMENT;
+    }
+
+    // 5. 登录表单
+    if (matches.passwordInput) {
+        return PageState.LOGIN_FORM;
+    }
+
+    // 6. 已登录: 有用户元素，或标题匹配且不在登录页
+    if (matches.userIndicators) {
+        return PageState.LOGGED_IN;
+    }
+    if (!onLoginPage && containsAny(title, texts.loggedInTitles)) {
+        return PageState.LOGGED_IN;
+    }
+
+    return PageState.UNKNOWN;
+}
+
+/**
+ * 识别当前页面状态
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ state: string, snapshot: object }>}
+ */
+export async function detectPageState(page) {
+    const snapshot = await capturePageSnapshot(page);
+    const state = classifyPage(snapshot);
+    console.log(`🧭 页面状态: ${PageStateLabel[state]} (${snapshot.url})`);
+    return { state, snapshot };
+}
+
+export default {
+    PageState,
+    PageStateLabel,
+    SNAPSHOT_SELECTOR_GROUPS,
+    capturePageSnapshot,
+    classifyPage,
+    detectPageState,
+};
@@ -0,0 +1,214 @@
+/**
+ * 通知策略
+ * 在通知发送前决定: 立即发送、免打扰时段内延后 (见 outbox.js) 还是跳过，并确定紧急程度
+ *
+ * - NOTIFY_MODE: always (全部发送) / on-failure (只发送失败，成功时仅在从失败中恢复时发送) /
+ *   on-change (成功报告的关键字段变化或从失败中恢复时发送)
+ * - 紧急程度: info (成功报告，默认静默推送) < warning (失败、会话即将过期) < critical (验证码、设备验证)
+ * - 同一账号连续失败达到 NOTIFY_ESCALATE_AFTER 次时升级为 critical，免打扰时段内也立即发送
+ *
+ * 连续失败次数与上次成功报告的关键字段保存在 data/notify_state.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import { writeFileAtomic } from './session_store.js';
+import { parseHourRange, isInHourRange } from './session.js';
+
+/**
+ * 紧急程度
+ */
+export const Severity = Object.freeze({
+    INFO: 'info',
+    WARNING: 'warning',
+    CRITICAL: 'critical',
+});
+
+/**
+ * 通知模式
+ */
+export const NotifyMode = Object.freeze({
+    ALWAYS: 'always',
+    ON_FAILURE: 'on-failure',
+    ON_CHANGE: 'on-change',
+});
+
+// 事件的默认紧急程度 (事件类型见 notifier.NotifyEvent)
+const EVENT_SEVERITY = {
+    success: Severity.INFO,
+    session_expiry: Severity.WARNING,
+    failure: Severity.WARNING,
+    tfa: Severity.CRITICAL,
+    device_approval: Severity.CRITICAL,
+    alert: Severity.WARNING,
+    warning: Severity.WARNING,
+};
+
+// 整体执行失败 (不属于某个账号) 使用的状态键
+const RUN_KEY = '*';
+
+let state = null;
+
+/**
+ * 状态文件路径: 未配置 NOTIFY_STATE_PATH 时与 STORAGE_PATH 同目录
+ */
+function getStatePath() {
+    return config.NOTIFY_STATE_PATH || path.join(path.dirname(config.STORAGE_PATH), 'notify_state.json');
+}
+
+/**
+ * 加载状态 (首次使用时从文件读取)
+ * @returns {Object<string, { failures: number, fingerprint: string|null }>}
+ */
+function loadState() {
+    if (state) {
+        return state;
+    }
+
+    state = {};
+    try {
+        if (fs.existsSync(getStatePath())) {
+            state = JSON.parse(fs.readFileSync(getStatePath(), 'utf8'));
+        }
+    } catch (e) {
+        console.log(`⚠️ 通知状态文件损坏，已忽略: ${e.message}`);
+    }
+    return state;
+}
+
+/**
+ * 保存状态
+ */
+function saveState() {
+    const filePath = getStatePath();
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+    } catch (e) {
+        console.error('⚠️ 保存通知状态失败:', e.message);
+    }
+}
+
+/**
+ * 获取账号的状态记录
+ * @param {string} key - 账号名或 RUN_KEY
+ */
+function getEntry(key) {
+    const entries = loadState();
+    if (!entries[key]) {
+        entries[key] = { failures: 0, fingerprint: null };
+    }
+    return entries[key];
+}
+
+/**
+ * 成功报告关键字段 (NOTIFY_CHANGE_FIELDS) 的指纹，用于 on-change 模式判断是否变化
+ * @param {object} data - 模板字段
+ */
+function fingerprint(data = {}) {
+    const picked = config.NOTIFY_CHANGE_FIELDS.map(field => [field, data[field] ?? null]);
+    return crypto.createHash('sha256').update(JSON.stringify(picked)).digest('hex').slice(0, 16);
+}
+
+/**
+ * 计算免打扰结束时间
+ * @param {Date} date - 当前时间
+ * @returns {Date|null} - 当前不在免打扰时段时返回 null
+ */
+export function getQuietUntil(date = new Date()) {
+    const range = parseHourRange(config.NOTIFY_QUIET_HOURS);
+    if (!range || !isInHourRange(range, date)) {
+        return null;
+    }
+
+    const until = new Date(date);
+    until.setMinutes(0, 0, 0);
+    for (let i = 0; i < 24 && isInHourRange(range, until); i++) {
+        until.setHours(until.getHours() + 1);
+    }
+    return until;
+}
+
+/**
+ * 成功类通知是否需要发送
+ * @param {object} notification
+ */
+function shouldSendSuccess(notification) {
+    // 多账号汇总: 全部成功时只在 always 模式下发送 (各账号的成功报告已按策略处理)
+    if (notification.template === 'summary') {
+        return config.NOTIFY_MODE === NotifyMode.ALWAYS;
+    }
+
+    const entry = getEntry(notification.account?.name || RUN_KEY);
+    const recovered = entry.failures > 0 || getEntry(RUN_KEY).failures > 0;
+    entry.failures = 0;
+    getEntry(RUN_KEY).failures = 0;
+
+    const previous = entry.fingerprint;
+    if (notification.data) {
+        entry.fingerprint = fingerprint(notification.data);
+    }
+
+    switch (config.NOTIFY_MODE) {
+        case NotifyMode.ON_FAILURE:
+            return recovered;
+        case NotifyMode.ON_CHANGE:
+            return recovered || previous !== entry.fingerprint;
+        default:
+            return true;
+    }
+}
+
+/**
+ * 对通知应用策略
+ * 会在 notification 上写入 severity (紧急程度) 与 silent (静默推送)，失败通知的模板字段
+ * 写入 consecutiveFailures 与 escalated
+ * @param {object} notification - 通知 (见 notifier.notify)
+ * @param {Date} date - 当前时间
+ * @returns {{ action: 'send'|'defer'|'skip', until?: Date }}
+ */
+export function applyPolicy(notification, date = new Date()) {
+    const { event } = notification;
+    let severity = notification.severity || EVENT_SEVERITY[event] || Severity.INFO;
+    let action = 'send';
+
+    if (event === 'success') {
+        if (!shouldSendSuccess(notification)) {
+            action = 'skip';
+        }
+    } else if (event === 'failure' && notification.template !== 'summary') {
+        const entry = getEntry(notification.account?.name || RUN_KEY);
+        entry.failures++;
+        if (entry.failures >= config.NOTIFY_ESCALATE_AFTER) {
+            severity = Severity.CRITICAL;
+        }
+        if (notification.data) {
+            notification.data.consecutiveFailures = entry.failures;
+            notification.data.escalated = severity === Severity.CRITICAL;
+        }
+    }
+
+    if (event === 'success' || event === 'failure') {
+        saveState();
+    }
+
+    notification.severity = severity;
+    notification.silent = severity === Severity.INFO && config.NOTIFY_SILENT_SUCCESS;
+
+    if (action === 'skip') {
+        return { action };
+    }
+
+    // 免打扰时段: 紧急通知立即发送，其余延后到时段结束
+    const until = severity === Severity.CRITICAL ? null : getQuietUntil(date);
+    return until ? { action: 'defer', until } : { action };
+}
+
+export default {
+    Severity,
+    NotifyMode,
+    getQuietUntil,
+    applyPolicy,
+};
@@ -0,0 +1,319 @@
+/**
+ * 用户资料模型
+ * 页面抓取和 API 采集得到的原始值统一按字段类型解析为数值 (容量为字节数，时长为秒，日期为毫秒时间戳)，
+ * 校验不可能出现的数值后再格式化为报告中显示的文本
+ *
+ * 用户数据对象 (scraper.collectUserData 的返回值):
+ * - 各字段为显示文本 (如 uploaded: "48.74 TB")，供消息模板、机器人等使用
+ * - profile 为解析后的类型化资料 (如 profile.uploaded: 53591862945710)，profile.issues 为校验发现的问题
+ */
+
+// 容量单位 (站点使用 1024 进制，KB 与 KiB 等价)
+const SIZE_UNITS = { B: 0, KB: 1, MB: 2, GB: 3, TB: 4, PB: 5, EB: 6 };
+
+// 时长单位 (秒)，按完整的单位文本匹配 (避免 "day" 结尾的 y 被当作年)
+const DURATION_UNITS = [
+    { pattern: /^(?:年|years?|yrs?|y)$/i, seconds: 365 * 86400 },
+    { pattern: /^(?:个?月|個?月|months?|mo)$/i, seconds: 30 * 86400 },
+    { pattern: /^(?:[周週]|星期|weeks?|wks?|w)$/i, seconds: 7 * 86400 },
+    { pattern: /^(?:[天日]|days?|d)$/i, seconds: 86400 },
+    { pattern: /^(?:小[时時]|[时時]|hours?|hrs?|h)$/i, seconds: 3600 },
+    { pattern: /^(?:分[钟鐘]?|minutes?|mins?|m)$/i, seconds: 60 },
+    { pattern: /^(?:秒[钟鐘]?|seconds?|secs?|s)$/i, seconds: 1 },
+];
+
+/**
+ * 原始值是否为空 (未抓取到)
+ * @param {*} value
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || value === 'N/A';
+}
+
+/**
+ * 解析数字 (去掉千分位逗号)
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+export function parseNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * 解析容量，如 "48.74 TB"、"1,024.5 GiB"、"512 KB"
+ * @param {string|number} value - 文本或字节数
+ * @returns {number|null} - 字节数
+ */
+export function parseBytes(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const match = String(value ?? '').replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*([KMGTPE]?)i?B\b/i);
+    if (!match) {
+        return null;
+    }
+    return Math.round(parseFloat(match[1]) * 1024 ** SIZE_UNITS[`${match[2].toUpperCase()}B`]);
+}
+
+/**
+ * 解析分享率 (无下载时为 ∞)
+ * @param {string|number} value
+ * @returns {number|null} - ∞ 返回 Infinity
+ */
+export function parseRatio(value) {
+    if (value === Infinity || /∞|inf/i.test(String(value ?? ''))) {
+        return Infinity;
+    }
+    return parseNumber(value);
+}
+
+/**
+ * 解析时长，如 "123天 04:05:06"、"5天3時20分"、"2 days 3 hours"
+ * @param {string|number} value - 文本或秒数
+ * @returns {number|null} - 秒数
+ */
+export function parseDuration(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+
+    let text = String(value ?? '').replace(/,/g, '');
+    let seconds = 0;
+    let matched = false;
+
+    // 时:分[:秒]
+    text = text.replace(/(\d+):(\d{1,2})(?::(\d{1,2}))?/, (_, h, m, s) => {
+        seconds += Number(h) * 3600 + Number(m) * 60 + Number(s || 0);
+        matched = true;
+        return ' ';
+    });
+
+    for (const match of text.matchAll(/(-?\d+(?:\.\d+)?)\s*([^\d\s.:-]+)/g)) {
+        const unit = DURATION_UNITS.find(u => u.pattern.test(match[2].replace(/[^\p{L}]/gu, '')));
+        if (unit) {
+            seconds += parseFloat(match[1]) * unit.seconds;
+            matched = true;
+        }
+    }
+
+    return matched ? Math.round(seconds) : null;
+}
+
+/**
+ * 解析日期，如 "2020-01-02 03:04:05"、"2020/1/2" (按本地时区)
+ * @param {string|number} value - 文本或毫秒时间戳
+ * @returns {number|null} - 毫秒时间戳
+ */
+export function parseDate(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const match = String(value ?? '').match(/(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+    return new Date(year, month - 1, day, hour, minute, second).getTime();
+}
+
+/**
+ * 格式化字节数 (1024 进制)
+ * @param {number} bytes
+ * @returns {string} - 如 "48.74 TB"
+ */
+export function formatBytes(bytes) {
+    const units = Object.keys(SIZE_UNITS);
+    let value = bytes;
+    let index = 0;
+    while (Math.abs(value) >= 1024 && index < units.length - 1) {
+        value /= 1024;
+        index++;
+    }
+    return `${value.toFixed(index === 0 ? 0 : 2)} ${units[index]}`;
+}
+
+/**
+ * 格式化时长
+ * @param {number} seconds
+ * @returns {string} - 如 "123 天 4 小时 5 分"
+ */
+export function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    const parts = [];
+    if (days > 0) parts.push(`${days} 天`);
+    if (hours > 0) parts.push(`${hours} 小时`);
+    if (minutes > 0 || parts.length === 0) parts.push(`${minutes} 分`);
+    return parts.join(' ');
+}
+
+/**
+ * 字段类型: 解析、格式化，以及数值类型的取值下限
+ */
+const FIELD_TYPES = {
+    string: { parse: value => String(value).replace(/\s+/g, ' ').trim() || null, format: String },
+    boolean: { parse: value => Boolean(value), format: Boolean },
+    bytes: { parse: parseBytes, format: formatBytes, min: 0 },
+    number: { parse: parseNumber, format: value => value.toLocaleString('en-US', { maximumFractionDigits: 2 }), min: 0 },
+    ratio: { parse: parseRatio, format: value => (value === Infinity ? '∞' : value.toFixed(2)), min: 0 },
+    duration: { parse: parseDuration, format: formatDuration, min: 0 },
+    date: { parse: parseDate, format: value => new Date(value).toLocaleDateString('zh-CN', { timeZone: 'Asia/Shanghai' }) },
+};
+
+/**
+ * 用户资料字段及类型
+ */
+export const PROFILE_SCHEMA = Object.freeze({
+    username: 'string',
+    level: 'string',
+    uploaded: 'bytes',
+    downloaded: 'bytes',
+    ratio: 'ratio',
+    bonus: 'number',
+    bonusPerHour: 'number',
+    btClient: 'string',
+    ipv4: 'string',
+    ipv6: 'string',
+    seedTime: 'duration',
+    downloadTime: 'duration',
+    joinDate: 'date',
+    hasNewMessage: 'boolean',
+});
+
+// 报告中的字段名称 (用于校验提示、告警)
+const FIELD_LABELS = {
+    username: '用户名',
+    level: '等级',
+    uploaded: '上传量',
+    downloaded: '下载量',
+    ratio: '分享率',
+    bonus: '魔力值',
+    bonusPerHour: '时魔',
+    seedTime: '做种时间',
+    downloadTime: '下载时间',
+    joinDate: '注册日期',
+    btClient: '客户端',
+    ipv4: 'IPv4',
+    ipv6: 'IPv6',
+    hasNewMessage: '新站内信',
+};
+
+/**
+ * 字段的显示名称
+ * @param {string} field
+ */
+export function getFieldLabel(field) {
+    return FIELD_LABELS[field] || field;
+}
+
+/**
+ * 按字段类型解析单个值 (如告警阈值 "100 TB"、"30d")
+ * @param {string} field - PROFILE_SCHEMA 中的字段
+ * @param {string|number} value
+ * @returns {*} - 无法解析时返回 null
+ */
+export function parseValue(field, value) {
+    return FIELD_TYPES[PROFILE_SCHEMA[field]].parse(value);
+}
+
+/**
+ * 按字段类型格式化单个值
+ * @param {string} field - PROFILE_SCHEMA 中的字段
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatValue(field, value) {
+    return value === null || value === undefined ? 'N/A' : String(FIELD_TYPES[PROFILE_SCHEMA[field]].format(value));
+}
+
+/**
+ * 按 PROFILE_SCHEMA 解析原始数据并校验
+ * 无法解析或不可能出现的数值 (如负数) 置为 null 并记录到 issues
+ * @param {object} raw - 原始数据 (页面文本或接口数值)
+ * @returns {object} - 类型化资料，附带 issues (问题描述数组)
+ */
+export function parseProfile(raw) {
+    const profile = { issues: [] };
+
+    for (const [field, type] of Object.entries(PROFILE_SCHEMA)) {
+        const { parse, min } = FIELD_TYPES[type];
+        const value = raw[field];
+        if (isEmpty(value)) {
+            profile[field] = type === 'boolean' ? false : null;
+            continue;
+        }
+
+        let parsed = parse(value);
+        const label = getFieldLabel(field);
+        if (parsed === null) {
+            profile.issues.push(`${label}无法解析: ${value}`);
+        } else if (min !== undefined && parsed < min) {
+            profile.issues.push(`${label}不可能为负数: ${value}`);
+            parsed = null;
+        } else if (type === 'date' && parsed > Date.now()) {
+            profile.issues.push(`${label}不可能晚于当前时间: ${value}`);
+            parsed = null;
+        }
+        profile[field] = parsed;
+    }
+
+    // 分享率应与上传量 / 下载量一致 (页面显示保留两位小数，允许 2% 误差)
+    const { uploaded, downloaded, ratio } = profile;
+    if (uploaded !== null && downloaded > 0 && ratio !== null) {
+        const expected = uploaded / downloaded;
+        if (ratio === Infinity || Math.abs(ratio - expected) > Math.max(0.01, expected * 0.02)) {
+            profile.issues.push(`分享率 ${ratio} 与上传量 / 下载量 (${expected.toFixed(2)}) 不一致`);
+        }
+    }
+
+    return profile;
+}
+
+/**
+ * 把原始数据转换为用户数据对象 (显示文本 + 类型化资料)
+ * 无法解析的字段保留原始文本，缺失的字段显示为 N/A
+ * @param {object} raw - 原始数据
+ * @returns {object}
+ */
+export function toUserData(raw) {
+    const profile = parseProfile(raw);
+    for (const issue of profile.issues) {
+        console.log(`⚠️ 数据校验: ${issue}`);
+    }
+
+    const userData = {};
+    for (const [field, type] of Object.entries(PROFILE_SCHEMA)) {
+        const value = profile[field];
+        if (type === 'boolean') {
+            userData[field] = value;
+        } else if (value !== null) {
+            userData[field] = FIELD_TYPES[type].format(value);
+        } else {
+            userData[field] = isEmpty(raw[field]) ? 'N/A' : String(raw[field]).trim();
+        }
+    }
+    userData.profile = profile;
+    return userData;
+}
+
+export default {
+    PROFILE_SCHEMA,
+    parseNumber,
+    parseBytes,
+    parseRatio,
+    parseDuration,
+    parseDate,
+    formatBytes,
+    formatDuration,
+    getFieldLabel,
+    parseValue,
+    formatValue,
+    parseProfile,
+    toUserData,
+};
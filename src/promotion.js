@@ -0,0 +1,201 @@
+/**
+ * 升级进度
+ * 按站点配置的等级条件 (见 site.js 的 classes) 计算距离下一等级的差距，
+ * 并根据近 7 天的增长速度 (见 history.js) 估算达到条件所需时间
+ */
+
+import { getSiteProfile } from './site.js';
+import { queryHistory } from './history.js';
+import { formatRemaining } from './session.js';
+import { parseBytes, formatBytes } from './profile.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+// 估算增长速度使用的时间窗口 (取窗口内最早的快照，距今不足 1 天的快照不使用)
+const RATE_WINDOW_DAYS = 7;
+
+/**
+ * 规范化等级名称用于匹配
+ * @param {string} name
+ */
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * 获取等级列表 (从低到高)
+ * @returns {Array<{ name: string, aliases: Array<string>, minWeeks: number, minUploaded: number, minRatio: number, minBonus: number }>}
+ */
+export function getClasses() {
+    const { classes } = getSiteProfile();
+    if (!Array.isArray(classes) || classes.length === 0) {
+        throw new Error('当前站点配置没有等级条件 (classes)');
+    }
+
+    return classes.map(item => {
+        const minUploaded = item.minUploaded ? parseBytes(item.minUploaded) : 0;
+        if (minUploaded === null) {
+            throw new Error(`等级 ${item.name} 的 minUploaded 无法解析: ${item.minUploaded}`);
+        }
+        return {
+            name: item.name,
+            aliases: item.aliases || [],
+            minWeeks: Number(item.minWeeks) || 0,
+            minUploaded,
+            minRatio: Number(item.minRatio) || 0,
+            minBonus: Number(item.minBonus) || 0,
+        };
+    });
+}
+
+/**
+ * 查找当前等级在列表中的位置
+ * @param {Array<object>} classes
+ * @param {string} level - 页面显示的等级
+ * @returns {number} - 未找到时返回 -1
+ */
+function findClassIndex(classes, level) {
+    const target = normalizeName(level);
+    return classes.findIndex(item => [item.name, ...item.aliases].some(name => normalizeName(name) === target));
+}
+
+/**
+ * 计算近期增长速度 (每毫秒)
+ * @param {string} accountName
+ * @param {object} profile - 本次资料
+ * @param {number} now
+ * @returns {{ uploaded: number, downloaded: number, bonus: number }|null} - 历史不足时返回 null
+ */
+function getGrowthRates(accountName, profile, now) {
+    const records = queryHistory({ account: accountName, since: now - RATE_WINDOW_DAYS * DAY, until: now - DAY, success: true })
+        .filter(record => record.metrics);
+    const from = records[0];
+    if (!from) {
+        return null;
+    }
+
+    const elapsed = now - Date.parse(from.time);
+    const rate = (field) => {
+        const before = from.metrics[field];
+        return typeof before === 'number' && profile[field] !== null ? (profile[field] - before) / elapsed : null;
+    };
+    return { uploaded: rate('uploaded'), downloaded: rate('downloaded'), bonus: rate('bonus') };
+}
+
+/**
+ * 估算线性增长的指标达到目标所需时间
+ * @param {number} gap - 差距
+ * @param {number|null} rate - 每毫秒增长
+ * @returns {number|null} - 毫秒，无法达到时返回 null
+ */
+function etaFor(gap, rate) {
+    if (gap <= 0) return 0;
+    return rate > 0 ? gap / rate : null;
+}
+
+/**
+ * 计算升级进度
+ * @param {object} profile - 类型化资料 (见 profile.parseProfile)
+ * @param {string} accountName - 账号名 (用于读取历史增长速度)
+ * @param {number} now - 当前时间
+ * @returns {{
+ *   current: string, next: string|null,
+ *   requirements: Array<{ key: string, label: string, actual: string, required: string, gap: string, met: boolean, etaMs: number|null }>,
+ *   etaMs: number|null, eta: string, summary: string,
+ * }|null} - 无法识别当前等级时返回 null；已是最高等级时 next 为 null
+ */
+export function evaluatePromotion(profile, accountName, now = Date.now()) {
+    const classes = getClasses();
+    const index = findClassIndex(classes, profile.level);
+    if (index === -1) {
+        return null;
+    }
+
+    const current = classes[index].name;
+    const target = classes[index + 1];
+    if (!target) {
+        return { current, next: null, requirements: [], etaMs: 0, eta: '', summary: '已是最高等级' };
+    }
+
+    const rates = getGrowthRates(accountName, profile, now);
+    const requirements = [];
+
+    if (target.minWeeks > 0) {
+        const due = profile.joinDate !== null ? profile.joinDate + target.minWeeks * WEEK : null;
+        requirements.push({
+            key: 'weeks',
+            label: '注册时长',
+            actual: profile.joinDate !== null ? `${Math.floor((now - profile.joinDate) / WEEK)} 周` : 'N/A',
+            required: `${target.minWeeks} 周`,
+            gap: due !== null && due > now ? formatRemaining(due - now) : '',
+            met: due !== null && due <= now,
+            // 注册时长按时间推移必然满足
+            etaMs: due !== null ? Math.max(0, due - now) : null,
+        });
+    }
+
+    if (target.minUploaded > 0) {
+        const gap = profile.uploaded !== null ? target.minUploaded - profile.uploaded : null;
+        requirements.push({
+            key: 'uploaded',
+            label: '上传量',
+            actual: profile.uploaded !== null ? formatBytes(profile.uploaded) : 'N/A',
+            required: formatBytes(target.minUploaded),
+            gap: gap > 0 ? formatBytes(gap) : '',
+            met: gap !== null && gap <= 0,
+            etaMs: gap !== null ? etaFor(gap, rates?.uploaded) : null,
+        });
+    }
+
+    if (target.minRatio > 0) {
+        const ratio = profile.ratio;
+        const met = ratio !== null && ratio >= target.minRatio;
+        // 分享率 = 上传 / 下载，按上传与下载的增长速度求解达到目标的时间
+        let etaMs = met ? 0 : null;
+        if (!met && rates && profile.uploaded !== null && profile.downloaded !== null && rates.uploaded !== null && rates.downloaded !== null) {
+            const speed = rates.uploaded - target.minRatio * rates.downloaded;
+            const deficit = target.minRatio * profile.downloaded - profile.uploaded;
+            etaMs = speed > 0 ? Math.max(0, deficit / speed) : null;
+        }
+        requirements.push({
+            key: 'ratio',
+            label: '分享率',
+            actual: ratio === null ? 'N/A' : ratio === Infinity ? '∞' : ratio.toFixed(2),
+            required: target.minRatio.toFixed(2),
+            gap: !met && ratio !== null ? (target.minRatio - ratio).toFixed(2) : '',
+            met,
+            etaMs,
+        });
+    }
+
+    if (target.minBonus > 0) {
+        const gap = profile.bonus !== null ? target.minBonus - profile.bonus : null;
+        const format = value => Math.round(value).toLocaleString('en-US');
+        requirements.push({
+            key: 'bonus',
+            label: '魔力值',
+            actual: profile.bonus !== null ? format(profile.bonus) : 'N/A',
+            required: format(target.minBonus),
+            gap: gap > 0 ? format(gap) : '',
+            met: gap !== null && gap <= 0,
+            etaMs: gap !== null ? etaFor(gap, rates?.bonus) : null,
+        });
+    }
+
+    // 全部条件中最晚满足的时间即为预计升级时间
+    const etas = requirements.map(item => item.etaMs);
+    const etaMs = etas.some(value => value === null) ? null : Math.max(0, ...etas);
+    const eta = etaMs === null ? '' : etaMs === 0 ? '已满足全部条件' : `约 ${formatRemaining(etaMs)}后`;
+
+    const summary = requirements
+        .map(item => `${item.label} ${item.met ? '✓' : `差 ${item.gap || 'N/A'}`}`)
+        .join(' · ');
+
+    return { current, next: target.name, requirements, etaMs, eta, summary };
+}
+
+export default {
+    getClasses,
+    evaluatePromotion,
+};
@@ -0,0 +1,101 @@
+/**
+ * 重试模块
+ * 发送通知时对临时性错误 (网络错误、超时、429、5xx) 自动重试，
+ * 遵循 Telegram 返回的 retry_after 和 HTTP Retry-After
+ */
+
+import config from './config.js';
+
+// 单次请求内等待的上限，超过后交给发送队列 (outbox.js) 稍后重试
+const MAX_INLINE_WAIT = 60 * 1000;
+
+// 网络层错误码 (Node.js / axios / nodemailer)
+const NETWORK_ERROR_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN',
+    'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE', 'ERR_NETWORK', 'ESOCKET', 'ECONNECTION',
+];
+
+/**
+ * 获取服务端要求的等待时间
+ * @param {Error} error
+ * @returns {number|null} - 毫秒，未要求时返回 null
+ */
+export function getRetryAfterMs(error) {
+    const retryAfter = error?.response?.data?.parameters?.retry_after;
+    if (retryAfter) {
+        return retryAfter * 1000;
+    }
+
+    const header = error?.response?.headers?.['retry-after'];
+    if (header && Number.isFinite(Number(header))) {
+        return Number(header) * 1000;
+    }
+    return null;
+}
+
+/**
+ * 判断错误是否为临时性错误 (值得重试)
+ * 400/401/403 等请求本身有问题的错误重试也不会成功
+ * @param {Error} error
+ */
+export function isRetryableError(error) {
+    const status = error?.response?.status;
+    if (status) {
+        return status === 429 || status >= 500;
+    }
+
+    // SMTP 4xx 为临时错误
+    if (error?.responseCode) {
+        return error.responseCode >= 400 && error.responseCode < 500;
+    }
+
+    return NETWORK_ERROR_CODES.includes(error?.code);
+}
+
+/**
+ * 错误的简短描述 (用于日志)
+ * @param {Error} error
+ */
+export function describeError(error) {
+    const status = error?.response?.status;
+    const description = error?.response?.data?.description;
+    if (status) {
+        return `HTTP ${status}${description ? ` ${description}` : ''}`;
+    }
+    return error?.code || error?.message || String(error);
+}
+
+/**
+ * 执行请求，临时性错误按指数退避重试
+ * @param {() => Promise<*>} fn - 每次调用都需要重新构造请求 (如重新打开文件流)
+ * @param {object} options
+ * @param {string} options.label - 日志中的请求名称
+ * @param {number} options.retries - 最大重试次数
+ */
+export async function withRetry(fn, { label = '请求', retries = config.NOTIFY_RETRIES } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (!isRetryableError(error) || attempt >= retries) {
+                throw error;
+            }
+
+            const retryAfter = getRetryAfterMs(error);
+            if (retryAfter !== null && retryAfter > MAX_INLINE_WAIT) {
+                throw error;
+            }
+
+            const delay = retryAfter ?? Math.min(1000 * 2 ** attempt, 30000) + Math.floor(Math.random() * 500);
+            console.log(`⏳ ${label}失败 (${describeError(error)})，${Math.ceil(delay / 1000)} 秒后第 ${attempt + 1} 次重试...`);
+            await new Promise(res => setTimeout(res, delay));
+        }
+    }
+}
+
+export default {
+    getRetryAfterMs,
+    isRetryableError,
+    describeError,
+    withRetry,
+};
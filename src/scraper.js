@@ -3,45 +3,31 @@
  * 从 M-TEAM 页面提取用户信息
  */
 
-import config from './config.js';
-
-/**
- * 格式化文件大小
- */
-function formatSize(sizeStr) {
-    if (!sizeStr) return 'N/A';
-    return sizeStr.replace(/\s+/g, ' ').trim();
-}
-
-/**
- * 解析比率
- */
-function parseRatio(ratioStr) {
-    if (!ratioStr) return 'N/A';
-    if (ratioStr.includes('∞') || ratioStr.toLowerCase().includes('inf')) {
-        return '∞';
-    }
-    return ratioStr.trim();
-}
+import { getSiteProfile, buildUrl } from './site.js';
+import apiCollector from './api_collector.js';
+import { toUserData } from './profile.js';
 
 /**
  * 抓取用户数据 (导航到用户详情页获取完整信息)
+ * 抓取失败时抛出错误，由调用方按失败记录
  * @param {import('playwright').Page} page - Playwright 页面对象
- * @returns {object} - 用户数据
+ * @param {string} baseUrl - 当前使用的镜像地址 (默认第一个镜像)
+ * @returns {object} - 用户数据 (见 profile.toUserData)
  */
-export async function scrapeUserData(page) {
+export async function scrapeUserData(page, baseUrl = getSiteProfile().mirrors[0]) {
     console.log('📊 开始抓取用户数据...');
+    const { selectors } = getSiteProfile();
 
     try {
         // 确保在首页
         const currentUrl = page.url();
         if (!currentUrl.includes('index') && !currentUrl.includes('userdetails')) {
-            await page.goto(config.MT_INDEX_URL, { waitUntil: 'networkidle' });
+            await page.goto(buildUrl(baseUrl, 'index'), { waitUntil: 'networkidle' });
         }
 
         // 首先从首页获取基本信息
         console.log('📍 从首页获取基本信息...');
-        const basicData = await page.evaluate(() => {
+        const basicData = await page.evaluate((messageSelectors) => {
             const data = {
                 username: null,
                 bonus: null,
@@ -64,17 +50,17 @@ export async function scrapeUserData(page) {
             }
 
             // 检测新消息
-            const messageEl = document.querySelector('a[href*="messages"], a[href*="inbox"]');
+            const messageEl = document.querySelector(messageSelectors.join(', '));
             if (messageEl && /\(\d+\)/.test(messageEl.textContent)) {
                 data.hasNewMessage = true;
             }
 
             return data;
-        });
+        }, selectors.messageLink);
 
         // 点击用户名进入详情页
         console.log('📍 导航到用户详情页...');
-        const userLink = await page.$('a[href*="userdetails"]');
+        const userLink = await page.$(selectors.userDetailsLink.join(', '));
         if (userLink) {
             await userLink.click();
             await page.waitForLoadState('networkidle');
@@ -83,7 +69,7 @@ export async function scrapeUserData(page) {
 
         // 从详情页获取完整信息
         console.log('📍 从详情页获取详细信息...');
-        const detailData = await page.evaluate(() => {
+        const detailData = await page.evaluate((levelSelectors) => {
             const data = {
                 username: null,
                 level: null,
@@ -97,6 +83,7 @@ export async function scrapeUserData(page) {
                 ipv6: null,
                 seedTime: null,
                 downloadTime: null,
+                joinDate: null,
             };
 
             const pageText = document.body.innerText;
@@ -108,7 +95,7 @@ export async function scrapeUserData(page) {
             }
 
             // 等级 - 从 img 的 alt 或 title 属性
-            const levelImg = document.querySelector('img[src*="class"], img[alt*="User"], img[title]');
+            const levelImg = document.querySelector(levelSelectors.join(', '));
             if (levelImg) {
                 data.level = levelImg.getAttribute('alt') || levelImg.getAttribute('title') || null;
             }
@@ -178,25 +165,23 @@ export async function scrapeUserData(page) {
                 data.downloadTime = downloadTimeMatch[1].trim();
             }
 
+            // 注册日期 (用于计算升级所需的注册时长)
+            // 格式: 加入日期 2020-01-02 03:04:05 (3年前)
+            const joinDateMatch = pageText.match(/加入日期[：:\s]*(\d{4}-\d{1,2}-\d{1,2}(?:\s+\d{1,2}:\d{2}(?::\d{2})?)?)/);
+            if (joinDateMatch) {
+                data.joinDate = joinDateMatch[1];
+            }
+
             return data;
-        });
+        }, selectors.levelImage);
 
-        // 合并数据 (详情页优先)
-        const formattedData = {
+        // 合并数据 (详情页优先)，按资料模型解析并格式化
+        const formattedData = toUserData({
+            ...detailData,
             username: detailData.username || basicData.username || 'Unknown',
-            level: detailData.level || 'N/A',
-            uploaded: formatSize(detailData.uploaded),
-            downloaded: formatSize(detailData.downloaded),
-            ratio: parseRatio(detailData.ratio),
-            bonus: detailData.bonus || basicData.bonus || 'N/A',
-            bonusPerHour: detailData.bonusPerHour || 'N/A',
-            btClient: detailData.btClient || 'N/A',
-            ipv4: detailData.ipv4 || 'N/A',
-            ipv6: detailData.ipv6 || 'N/A',
-            seedTime: detailData.seedTime || 'N/A',
-            downloadTime: detailData.downloadTime || 'N/A',
+            bonus: detailData.bonus || basicData.bonus,
             hasNewMessage: basicData.hasNewMessage,
-        };
+        });
 
         console.log('✅ 用户数据抓取完成');
         console.log('   用户名:', formattedData.username);
@@ -212,22 +197,30 @@ export async function scrapeUserData(page) {
 
     } catch (error) {
         console.error('❌ 数据抓取失败:', error.message);
-        return {
-            username: 'Error',
-            level: 'N/A',
-            uploaded: 'N/A',
-            downloaded: 'N/A',
-            ratio: 'N/A',
-            bonus: 'N/A',
-            bonusPerHour: 'N/A',
-            btClient: 'N/A',
-            ipv4: 'N/A',
-            ipv6: 'N/A',
-            hasNewMessage: false,
-        };
+        throw new Error(`数据抓取失败: ${error.message}`);
+    }
+}
+
+/**
+ * 采集用户数据
+ * 账号配置 dataSource=api 时优先调用 JSON 接口，失败后回退到页面抓取
+ * @param {import('playwright').Page} page - 已登录的页面
+ * @param {object} account - 账号配置
+ * @param {string} baseUrl - 当前使用的镜像地址
+ * @returns {object} - 用户数据
+ */
+export async function collectUserData(page, account, baseUrl) {
+    if (account.dataSource === 'api') {
+        try {
+            return await apiCollector.collectUserData(page, account);
+        } catch (error) {
+            console.error('⚠️ API 采集失败，回退到页面抓取:', error.message);
+        }
     }
+    return await scrapeUserData(page, baseUrl);
 }
 
 export default {
     scrapeUserData,
+    collectUserData,
 };
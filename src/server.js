@@ -0,0 +1,169 @@
+/**
+ * 内置 HTTP 服务
+ * 配置 TG_WEBHOOK_URL 后启动，接收 Telegram Webhook 推送的 updates
+ * (Webhook 地址需要公网 HTTPS，通常由反向代理转发到 HTTP_PORT)；
+ * 配置 METRICS_ENABLED 后同时提供 Prometheus 指标 (见 metrics.js)
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import config from './config.js';
+import telegram from './telegram.js';
+
+// 请求体大小上限 (Telegram update 通常只有几 KB)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// 路由表: "METHOD /path" -> handler(req, body) => { status, body?, headers? }
+const routes = new Map();
+
+let server = null;
+
+/**
+ * 注册路由
+ * @param {string} method - HTTP 方法
+ * @param {string} pathname - 路径
+ * @param {(req: http.IncomingMessage, body: string) => Promise<{ status: number, body?: string, headers?: object }>} handler
+ */
+export function addRoute(method, pathname, handler) {
+    routes.set(`${method.toUpperCase()} ${pathname}`, handler);
+}
+
+/**
+ * 读取请求体
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error('请求体过大'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 处理单个请求
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const handler = routes.get(`${req.method} ${pathname}`);
+
+    let result;
+    if (!handler) {
+        result = { status: 404, body: 'Not Found' };
+    } else {
+        try {
+            const body = await readBody(req);
+            result = await handler(req, body);
+        } catch (error) {
+            console.error(`❌ 处理请求失败 ${req.method} ${pathname}:`, error.message);
+            result = { status: 500, body: 'Internal Server Error' };
+        }
+    }
+
+    res.writeHead(result.status, { 'Content-Type': 'text/plain; charset=utf-8', ...(result.headers || {}) });
+    res.end(result.body || '');
+}
+
+/**
+ * 启动 HTTP 服务
+ */
+export async function startServer() {
+    if (server) {
+        return;
+    }
+
+    server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(() => res.destroy());
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.HTTP_PORT, config.HTTP_HOST, resolve);
+    });
+    console.log(`🌐 HTTP 服务已启动: ${config.HTTP_HOST}:${config.HTTP_PORT}`);
+}
+
+/**
+ * 停止 HTTP 服务
+ */
+export async function stopServer() {
+    if (!server) {
+        return;
+    }
+
+    const closing = server;
+    server = null;
+    await new Promise(resolve => closing.close(() => resolve()));
+    console.log('🛑 HTTP 服务已停止');
+}
+
+/**
+ * 常量时间比较 secret，避免计时攻击
+ * @param {string} actual
+ * @param {string} expected
+ */
+export function secretMatches(actual, expected) {
+    const a = Buffer.from(String(actual || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 启动 Telegram Webhook 接收
+ * 收到的 update 与轮询模式一样交给 telegram.dispatchUpdate 分发 (验证码等待、命令处理)
+ * @param {((update: object) => Promise<void>)|null} handler - 处理未被订阅者消费的 update (如命令)
+ */
+export async function startTelegramWebhook(handler) {
+    const webhookUrl = new URL(config.TG_WEBHOOK_URL);
+    // 未配置 secret 时每次启动随机生成 (注册 Webhook 时一并提交给 Telegram)
+    const secret = config.TG_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+    addRoute('POST', webhookUrl.pathname, async (req, body) => {
+        if (!secretMatches(req.headers['x-telegram-bot-api-secret-token'], secret)) {
+            console.log('⛔ 拒绝 secret 不匹配的 Webhook 请求');
+            return { status: 401, body: 'Unauthorized' };
+        }
+
+        let update;
+        try {
+            update = JSON.parse(body);
+        } catch (e) {
+            return { status: 400, body: 'Bad Request' };
+        }
+
+        telegram.dispatchUpdate(update);
+        return { status: 200, body: 'ok' };
+    });
+
+    await startServer();
+    await telegram.setWebhook(webhookUrl.toString(), secret, handler);
+}
+
+/**
+ * 停止 Telegram Webhook 接收 (删除 Webhook 并关闭 HTTP 服务)
+ */
+export async function stopTelegramWebhook() {
+    await telegram.deleteWebhook();
+    await stopServer();
+}
+
+export default {
+    addRoute,
+    startServer,
+    stopServer,
+    startTelegramWebhook,
+    stopTelegramWebhook,
+};
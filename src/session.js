@@ -0,0 +1,125 @@
+/**
+ * 会话分析模块
+ * 根据 storageState 中 Cookie 的 expires 预测会话过期时间
+ */
+
+import config from './config.js';
+
+/**
+ * 获取需要关注的认证 Cookie
+ * 配置了 SESSION_AUTH_COOKIES 时按名称过滤，否则取站点域名下所有持久 Cookie
+ * @param {object} storageState - Playwright storageState
+ * @returns {Array<object>}
+ */
+function getAuthCookies(storageState) {
+    const cookies = (storageState && storageState.cookies) || [];
+    const names = config.SESSION_AUTH_COOKIES;
+
+    return cookies.filter(cookie => {
+        // expires 为 -1 表示会话 Cookie，没有固定过期时间
+        if (!cookie.expires || cookie.expires <= 0) return false;
+        if (names.length > 0) return names.includes(cookie.name);
+        return (cookie.domain || '').includes(config.SESSION_COOKIE_DOMAIN);
+    });
+}
+
+/**
+ * 计算会话过期信息 (取最早过期的认证 Cookie)
+ * @param {object} storageState - Playwright storageState
+ * @param {number} now - 当前时间戳(毫秒)
+ * @returns {{ expiresAt: Date, remainingMs: number, cookieName: string }|null}
+ */
+export function getSessionExpiry(storageState, now = Date.now()) {
+    const cookies = getAuthCookies(storageState);
+    if (cookies.length === 0) {
+        return null;
+    }
+
+    const earliest = cookies.reduce((min, cookie) => (cookie.expires < min.expires ? cookie : min));
+    const expiresAt = new Date(earliest.expires * 1000);
+
+    return {
+        expiresAt,
+        remainingMs: expiresAt.getTime() - now,
+        cookieName: earliest.name,
+    };
+}
+
+/**
+ * 格式化剩余时间
+ * @param {number} ms - 毫秒
+ * @returns {string} - 如 "12 天 3 小时"
+ */
+export function formatRemaining(ms) {
+    if (ms <= 0) return '已过期';
+
+    const totalHours = Math.floor(ms / 3600000);
+    const days = Math.floor(totalHours / 24);
+    const hours = totalHours % 24;
+
+    if (days > 0) return `${days} 天 ${hours} 小时`;
+    if (totalHours > 0) return `${totalHours} 小时`;
+    return `${Math.max(1, Math.floor(ms / 60000))} 分钟`;
+}
+
+/**
+ * 解析小时区间 (如 "9-22" 表示 9:00 ~ 22:59，支持跨午夜的 "22-2")
+ * @param {string} range
+ * @returns {{ start: number, end: number }|null} - 格式无效时返回 null
+ */
+export function parseHourRange(range) {
+    const match = String(range || '').match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = parseInt(match[2], 10);
+    return start < 24 && end < 24 ? { start, end } : null;
+}
+
+/**
+ * 时间是否处于小时区间内
+ * @param {{ start: number, end: number }} range - 见 parseHourRange
+ * @param {Date} date
+ */
+export function isInHourRange({ start, end }, date = new Date()) {
+    const hour = date.getHours();
+    return start <= end ? hour >= start && hour <= end : hour >= start || hour <= end;
+}
+
+/**
+ * 当前是否处于允许主动刷新的时间段 (如 "9-22" 表示 9:00 ~ 22:59)
+ * @param {Date} date - 当前时间
+ */
+function isInRefreshWindow(date = new Date()) {
+    const range = parseHourRange(config.SESSION_REFRESH_HOURS);
+    return range ? isInHourRange(range, date) : true;
+}
+
+/**
+ * 是否需要发送即将过期的提醒
+ * @param {{ remainingMs: number }|null} expiry
+ */
+export function shouldWarnExpiry(expiry) {
+    if (!expiry || config.SESSION_EXPIRY_WARN_DAYS <= 0) return false;
+    return expiry.remainingMs < config.SESSION_EXPIRY_WARN_DAYS * 86400000;
+}
+
+/**
+ * 是否需要主动刷新会话 (在人工可响应 2FA 的时间段内提前重新登录)
+ * @param {{ remainingMs: number }|null} expiry
+ * @param {Date} date - 当前时间
+ */
+export function shouldForceRefresh(expiry, date = new Date()) {
+    if (!expiry || config.SESSION_REFRESH_DAYS <= 0) return false;
+    if (expiry.remainingMs >= config.SESSION_REFRESH_DAYS * 86400000) return false;
+    return isInRefreshWindow(date);
+}
+
+export default {
+    getSessionExpiry,
+    formatRemaining,
+    parseHourRange,
+    isInHourRange,
+    shouldWarnExpiry,
+    shouldForceRefresh,
+};
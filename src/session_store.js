@@ -0,0 +1,351 @@
+/**
+ * 会话存储模块
+ * 负责 session.json 的读写，支持基于口令或密钥文件的加密存储 (XChaCha20-Poly1305)
+ * 写入采用临时文件 + rename 保证原子性，并保留最近 N 份可用会话作为备份
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import config from './config.js';
+import { getSessionExpiry } from './session.js';
+
+const require = createRequire(import.meta.url);
+const sodium = require('libsodium-wrappers');
+
+const ENVELOPE_FORMAT = 'mteam-session';
+const ENVELOPE_VERSION = 1;
+const CIPHER = 'xchacha20poly1305-ietf';
+
+// scrypt 参数 (约 32MB 内存)
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * 是否启用了会话加密
+ */
+export function isEncryptionEnabled() {
+    return Boolean(config.SESSION_PASSPHRASE || config.SESSION_KEY_FILE);
+}
+
+/**
+ * 从密钥文件读取 32 字节密钥
+ * 文件内容可以是 32 字节原始数据、64 位 hex 或 base64，其他内容会经 BLAKE2b 哈希为 32 字节
+ */
+function readKeyFile() {
+    const raw = fs.readFileSync(config.SESSION_KEY_FILE);
+    const text = raw.toString('utf8').trim();
+
+    if (raw.length === 32) {
+        return new Uint8Array(raw);
+    }
+    if (/^[0-9a-fA-F]{64}$/.test(text)) {
+        return new Uint8Array(Buffer.from(text, 'hex'));
+    }
+    const decoded = Buffer.from(text, 'base64');
+    if (decoded.length === 32 && /^[A-Za-z0-9+/]+={0,2}$/.test(text)) {
+        return new Uint8Array(decoded);
+    }
+    return sodium.crypto_generichash(32, raw);
+}
+
+/**
+ * 派生加密密钥
+ * @param {object} params - 信封中的 kdf 与 salt
+ * @returns {Uint8Array}
+ */
+function deriveKey({ kdf, salt }) {
+    if (kdf === 'keyfile') {
+        if (!config.SESSION_KEY_FILE) {
+            throw new Error('会话文件使用密钥文件加密，但未配置 SESSION_KEY_FILE');
+        }
+        return readKeyFile();
+    }
+
+    if (kdf === 'scrypt') {
+        if (!config.SESSION_PASSPHRASE) {
+            throw new Error('会话文件使用口令加密，但未配置 SESSION_PASSPHRASE');
+        }
+        const key = crypto.scryptSync(config.SESSION_PASSPHRASE, Buffer.from(salt, 'base64'), 32, SCRYPT_PARAMS);
+        return new Uint8Array(key);
+    }
+
+    throw new Error(`不支持的密钥派生方式: ${kdf}`);
+}
+
+/**
+ * 判断文件内容是否为加密信封
+ * @param {object} doc - 解析后的 JSON
+ */
+function isEnvelope(doc) {
+    return Boolean(doc && doc.format === ENVELOPE_FORMAT);
+}
+
+/**
+ * 加密 storageState
+ * 优先使用密钥文件，其次使用口令
+ * @param {object} storageState - Playwright storageState
+ * @returns {Promise<object>} - 加密信封
+ */
+async function encryptState(storageState) {
+    await sodium.ready;
+
+    const kdf = config.SESSION_KEY_FILE ? 'keyfile' : 'scrypt';
+    const salt = kdf === 'scrypt' ? crypto.randomBytes(16).toString('base64') : undefined;
+    const key = deriveKey({ kdf, salt });
+
+    const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+    const header = `${ENVELOPE_FORMAT}/v${ENVELOPE_VERSION}/${CIPHER}/${kdf}`;
+    const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+        sodium.from_string(JSON.stringify(storageState)),
+        sodium.from_string(header),
+        null,
+        nonce,
+        key
+    );
+
+    return {
+        format: ENVELOPE_FORMAT,
+        version: ENVELOPE_VERSION,
+        cipher: CIPHER,
+        kdf,
+        ...(salt ? { salt } : {}),
+        nonce: Buffer.from(nonce).toString('base64'),
+        data: Buffer.from(ciphertext).toString('base64'),
+    };
+}
+
+/**
+ * 解密信封
+ * @param {object} envelope - 加密信封
+ * @returns {Promise<object>} - storageState
+ */
+async function decryptState(envelope) {
+    await sodium.ready;
+
+    if (envelope.version !== ENVELOPE_VERSION || envelope.cipher !== CIPHER) {
+        throw new Error(`不支持的会话加密格式: v${envelope.version} ${envelope.cipher}`);
+    }
+
+    const key = deriveKey(envelope);
+    const header = `${ENVELOPE_FORMAT}/v${envelope.version}/${envelope.cipher}/${envelope.kdf}`;
+
+    let plaintext;
+    try {
+        plaintext = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+            null,
+            new Uint8Array(Buffer.from(envelope.data, 'base64')),
+            sodium.from_string(header),
+            new Uint8Array(Buffer.from(envelope.nonce, 'base64')),
+            key
+        );
+    } catch (e) {
+        throw new Error('会话文件解密失败 (口令/密钥错误或文件被篡改)');
+    }
+
+    return JSON.parse(sodium.to_string(plaintext));
+}
+
+/**
+ * 备份目录: 会话文件同目录下的 backups/
+ * @param {string} filePath - 会话文件路径
+ */
+function getBackupDir(filePath) {
+    return path.join(path.dirname(filePath), 'backups');
+}
+
+/**
+ * 列出会话文件的备份 (从新到旧)
+ * @param {string} filePath - 会话文件路径
+ * @returns {Array<string>} - 备份文件路径
+ */
+export function listBackups(filePath) {
+    const dir = getBackupDir(filePath);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    // <会话文件名>.<时间戳>.json，只按前缀匹配会把 a.b 的备份算作 a 的
+    const base = path.basename(filePath, '.json').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${base}\\.\\d{8}-\\d{9}\\.json$`);
+    return fs.readdirSync(dir)
+        .filter(name => pattern.test(name))
+        .sort()
+        .reverse()
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * 原子写入: 先写临时文件并 fsync，再 rename 覆盖目标文件
+ * @param {string} filePath - 目标文件
+ * @param {string} data - 文件内容
+ */
+export function writeFileAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp-${process.pid}`;
+    try {
+        const fd = fs.openSync(tmpPath, 'w', 0o600);
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, filePath);
+    } catch (e) {
+        fs.rmSync(tmpPath, { force: true });
+        throw e;
+    }
+}
+
+/**
+ * 写入一份备份并清理超出数量的旧备份
+ * @param {string} filePath - 会话文件路径
+ * @param {string} data - 文件内容
+ */
+function writeBackup(filePath, data) {
+    if (config.SESSION_BACKUP_COUNT <= 0) {
+        return;
+    }
+
+    const dir = getBackupDir(filePath);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace(/\.(\d+)Z$/, '$1');
+    const backupPath = path.join(dir, `${path.basename(filePath, '.json')}.${stamp}.json`);
+    writeFileAtomic(backupPath, data);
+
+    for (const oldPath of listBackups(filePath).slice(config.SESSION_BACKUP_COUNT)) {
+        fs.rmSync(oldPath, { force: true });
+    }
+}
+
+/**
+ * 校验 storageState 结构及认证 Cookie 是否已过期
+ * @param {object} state - storageState
+ * @returns {string|null} - 无效原因，有效时返回 null
+ */
+function validateState(state) {
+    if (!state || typeof state !== 'object') {
+        return '内容不是对象';
+    }
+    if (!Array.isArray(state.cookies) && !Array.isArray(state.origins)) {
+        return '缺少 cookies/origins';
+    }
+    const expiry = getSessionExpiry(state);
+    if (expiry && expiry.remainingMs <= 0) {
+        return `认证 Cookie 已过期 (${expiry.cookieName})`;
+    }
+    return null;
+}
+
+/**
+ * 加载所有可用的会话候选 (当前文件优先，其次从新到旧的备份)
+ * 损坏、无法解密或已过期的文件会被跳过
+ * @param {string} filePath - 会话文件路径
+ * @returns {Promise<Array<{ source: string, path: string, state: object }>>}
+ */
+export async function loadSessionCandidates(filePath) {
+    const candidates = [];
+    const files = [
+        { source: 'current', path: filePath },
+        ...listBackups(filePath).map(backupPath => ({ source: 'backup', path: backupPath })),
+    ];
+
+    // 当前文件通常与最新备份内容相同，去重避免重复验证
+    const seen = new Set();
+
+    for (const file of files) {
+        try {
+            const state = await readSessionFile(file.path);
+            if (!state) continue;
+
+            const fingerprint = JSON.stringify(state);
+            if (seen.has(fingerprint)) continue;
+            seen.add(fingerprint);
+
+            const invalidReason = validateState(state);
+            if (invalidReason) {
+                console.log(`⚠️ 跳过无效会话 ${file.path}: ${invalidReason}`);
+                continue;
+            }
+            candidates.push({ ...file, state });
+        } catch (e) {
+            console.log(`⚠️ 会话文件损坏 ${file.path}: ${e.message}`);
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * 读取会话文件
+ * 明文文件在启用加密后会被自动升级为加密格式
+ * @param {string} filePath - 会话文件路径
+ * @returns {Promise<object|null>} - storageState，文件不存在或为空时返回 null
+ */
+export async function readSessionFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const fileData = fs.readFileSync(filePath, 'utf8');
+    if (!fileData) {
+        return null;
+    }
+
+    const doc = JSON.parse(fileData);
+    if (isEnvelope(doc)) {
+        console.log('🔓 解密会话文件...');
+        return await decryptState(doc);
+    }
+
+    // 旧版明文文件: 启用加密后透明迁移
+    if (isEncryptionEnabled()) {
+        console.log('🔐 检测到明文会话文件，正在迁移为加密格式...');
+        try {
+            await writeSessionFile(filePath, doc);
+        } catch (e) {
+            console.log('⚠️ 会话文件加密迁移失败:', e.message);
+        }
+    }
+    return doc;
+}
+
+/**
+ * 写入会话文件 (启用加密时写入加密信封)
+ * @param {string} filePath - 会话文件路径
+ * @param {object} storageState - Playwright storageState
+ * @param {object} options
+ * @param {boolean} options.backup - 是否同时写入一份备份 (仅用于已验证可用的会话)
+ */
+export async function writeSessionFile(filePath, storageState, { backup = false } = {}) {
+    const content = isEncryptionEnabled()
+        ? await encryptState(storageState)
+        : storageState;
+    const data = JSON.stringify(content, null, 2);
+
+    // 确保目录存在 (使用 path 模块保证跨平台兼容性)
+    const dir = path.dirname(filePath);
+    if (dir && !fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    writeFileAtomic(filePath, data);
+
+    if (backup) {
+        try {
+            writeBackup(filePath, data);
+        } catch (e) {
+            console.log('⚠️ 写入会话备份失败:', e.message);
+        }
+    }
+}
+
+export default {
+    isEncryptionEnabled,
+    listBackups,
+    loadSessionCandidates,
+    readSessionFile,
+    writeSessionFile,
+    writeFileAtomic,
+};
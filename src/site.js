@@ -0,0 +1,309 @@
+/**
+ * 站点配置模块
+ * 集中管理站点地址 (含镜像域名)、页面路径以及登录/抓取使用的选择器和关键字
+ */
+
+import fs from 'fs';
+import config from './config.js';
+
+/**
+ * 内置站点配置
+ * mirrors 按优先级排列，登录时遇到 DNS/超时错误会依次切换
+ */
+const PROFILES = {
+    mteam: {
+        name: 'mteam',
+        mirrors: [
+            'https://kp.m-team.cc',
+            'https://zp.m-team.io',
+            'https://xp.m-team.io',
+        ],
+        paths: {
+            login: '/login.php',
+            index: '/index.php',
+        },
+        selectors: {
+            // 登录表单
+            loginForm: ['input[name="username"]', 'input[name="email"]', 'input[id="username"]'],
+            usernameInput: ['input[name="username"]', 'input[name="email"]', 'input[id="username"]'],
+            passwordInput: ['input[name="password"]', 'input[type="password"]', 'input[id="password"]'],
+            loginButton: [
+                'button:has-text("登 录")',
+                'button:has-text("登录")',
+                'button:has-text("Sign in")',
+                'button:has-text("Login")',
+                'button[type="submit"]',
+                'input[type="submit"]',
+                '#login-btn',
+            ],
+            loginErrors: ['.error', '.alert-danger', '.message-error'],
+
+            // 设备验证
+            approvalLinks: ['a[href*="approve"]', 'a[href*="confirm"]'],
+
+            // 2FA
+            tfaIndicators: [
+                'input[placeholder*="6位"]',
+                'input[placeholder*="验证码"]',
+                'input[placeholder*="数字"]',
+                'input[name*="2fa"]',
+                'input[name*="totp"]',
+                'input[name*="otp"]',
+                'input[name*="code"]',
+                'input[type="text"][maxlength="6"]',
+            ],
+            codeInput: [
+                'input[placeholder*="6位"]',
+                'input[placeholder*="验证码"]',
+                'input[placeholder*="数字"]',
+                'input[type="text"][maxlength="6"]',
+                'input[name*="code"]',
+                'input[name*="2fa"]',
+                'input[name*="totp"]',
+                'input[name*="otp"]',
+                'input[type="text"]:not([name="username"]):not([name="password"])',
+            ],
+            codeSubmit: [
+                'button:has-text("登 录")',
+                'button:has-text("登录")',
+                'button:has-text("验证")',
+                'button:has-text("确认")',
+                'button:has-text("提交")',
+                'button[type="submit"]',
+                'input[type="submit"]',
+            ],
+            errorMessages: [
+                '.error',
+                '.alert-danger',
+                '.message-error',
+                '.ant-message-error',
+                '[class*="error"]',
+            ],
+
+            // 公告弹窗
+            announcementDialog: ['.ant-modal', 'div[role="dialog"]', '.modal.show'],
+            announcementConfirm: [
+                'button:has-text("確認")',
+                'button:has-text("确认")',
+                'button:has-text("Confirm")',
+                'button:has-text("我知道了")',
+                'button:has-text("Close")',
+                '.ant-modal-footer button',
+                'div[role="dialog"] button',
+            ],
+
+            // 人机验证
+            captcha: [
+                'iframe[src*="recaptcha"]',
+                'iframe[src*="hcaptcha"]',
+                'iframe[src*="challenges.cloudflare.com"]',
+                '.cf-turnstile',
+                'input[name*="captcha"]',
+                'img[src*="captcha"]',
+            ],
+
+            // 登录状态
+            userIndicators: [
+                'a[href*="userdetails"]',
+                '.username',
+                '#userinfo',
+                // 可能的新版选择器
+                'div[class*="user-profile"]',
+                'span[class*="avatar"]',
+            ],
+
+            // 数据抓取
+            userDetailsLink: ['a[href*="userdetails"]'],
+            messageLink: ['a[href*="messages"]', 'a[href*="inbox"]'],
+            levelImage: ['img[src*="class"]', 'img[alt*="User"]', 'img[title]'],
+        },
+        // 页面状态识别关键字 (见 page_state.js)
+        texts: {
+            deviceApproval: ['新设备', '新裝置', 'new device', '批准', 'approve', '验证此设备'],
+            emailCode: ['邮箱验证码', '郵箱驗證碼', '邮件验证码', 'email code', 'email verification'],
+            banned: ['账号已被禁用', '帳號已被禁用', '账号已被封禁', '帳號已被封禁', 'account has been disabled', 'account is disabled', 'account has been banned'],
+            captcha: ['Checking your browser', 'Just a moment...', '请完成安全验证', '人机验证'],
+            rateLimited: ['Too Many Requests', '请求过于频繁', '請求過於頻繁', '操作过于频繁', 'rate limit'],
+            loggedInTitles: ['M-Team', '首頁', '首页'],
+        },
+        // JSON 接口 (DATA_SOURCE=api 时使用)
+        // fields: 用户数据字段 -> { endpoint: 接口名, path: 响应中的点分路径, type: 转换类型 }
+        api: {
+            baseUrl: 'https://api.m-team.cc/api',
+            tokenStorageKey: 'auth',
+            endpoints: {
+                profile: { path: '/member/profile', method: 'POST' },
+                bonus: { path: '/tracker/mybonus', method: 'POST' },
+            },
+            fields: {
+                username: { endpoint: 'profile', path: 'data.username', type: 'string' },
+                level: { endpoint: 'profile', path: 'data.role', type: 'string' },
+                uploaded: { endpoint: 'profile', path: 'data.memberCount.uploaded', type: 'bytes' },
+                downloaded: { endpoint: 'profile', path: 'data.memberCount.downloaded', type: 'bytes' },
+                ratio: { endpoint: 'profile', path: 'data.memberCount.shareRate', type: 'ratio' },
+                bonus: { endpoint: 'profile', path: 'data.memberCount.bonus', type: 'number' },
+                bonusPerHour: { endpoint: 'bonus', path: 'data.formulaParams.finalBs', type: 'number' },
+                joinDate: { endpoint: 'profile', path: 'data.createdDate', type: 'date' },
+            },
+        },
+        // 等级及升级条件 (从低到高，见 promotion.js)
+        // name/aliases 与页面显示的等级匹配 (不区分大小写和空格)；条件: minWeeks 注册周数、minUploaded 上传量、
+        // minRatio 分享率、minBonus 魔力值。站点调整规则时可通过 SITE_PROFILE_FILE 的 classes 整体覆盖
+        classes: [
+            { name: 'User' },
+            { name: 'Power User', minWeeks: 4, minUploaded: '200 GB', minRatio: 2.0, minBonus: 40000 },
+            { name: 'Elite User', minWeeks: 8, minUploaded: '400 GB', minRatio: 3.0, minBonus: 80000 },
+            { name: 'Crazy User', minWeeks: 15, minUploaded: '500 GB', minRatio: 4.0, minBonus: 150000 },
+            { name: 'Insane User', minWeeks: 25, minUploaded: '1 TB', minRatio: 5.0, minBonus: 250000 },
+            { name: 'Veteran User', minWeeks: 40, minUploaded: '2 TB', minRatio: 6.0, minBonus: 400000 },
+            { name: 'Extreme User', minWeeks: 60, minUploaded: '5 TB', minRatio: 7.0, minBonus: 600000 },
+            { name: 'Ultimate User', minWeeks: 80, minUploaded: '10 TB', minRatio: 8.0, minBonus: 800000 },
+            { name: 'Nexus Master', minWeeks: 100, minUploaded: '20 TB', minRatio: 9.0, minBonus: 1000000 },
+        ],
+    },
+};
+
+/**
+ * 合并站点配置 (selectors/texts/paths/api 按键覆盖)
+ * @param {object} base - 基础配置
+ * @param {object} override - 覆盖配置
+ */
+function mergeProfile(base, override) {
+    return {
+        ...base,
+        ...override,
+        paths: { ...base.paths, ...(override.paths || {}) },
+        selectors: { ...base.selectors, ...(override.selectors || {}) },
+        texts: { ...base.texts, ...(override.texts || {}) },
+        api: override.api ? { ...base.api, ...override.api } : base.api,
+    };
+}
+
+let profileCache = null;
+
+/**
+ * 获取当前站点配置
+ * 优先级: MT_MIRRORS > SITE_PROFILE_FILE > 内置配置 (SITE_PROFILE)
+ * @returns {object}
+ */
+export function getSiteProfile() {
+    if (profileCache) {
+        return profileCache;
+    }
+
+    let profile = PROFILES[config.SITE_PROFILE];
+    if (!profile) {
+        throw new Error(`未知的站点配置: ${config.SITE_PROFILE}`);
+    }
+
+    if (config.SITE_PROFILE_FILE) {
+        let override;
+        try {
+            override = JSON.parse(fs.readFileSync(config.SITE_PROFILE_FILE, 'utf8'));
+        } catch (e) {
+            throw new Error(`站点配置文件解析失败: ${e.message}`);
+        }
+        const base = PROFILES[override.extends] || profile;
+        profile = mergeProfile(base, override);
+    }
+
+    if (config.MT_MIRRORS.length > 0) {
+        profile = { ...profile, mirrors: config.MT_MIRRORS };
+    }
+
+    if (!Array.isArray(profile.mirrors) || profile.mirrors.length === 0) {
+        throw new Error('站点配置中没有可用的域名 (mirrors)');
+    }
+
+    profileCache = {
+        ...profile,
+        mirrors: profile.mirrors.map(url => url.replace(/\/+$/, '')),
+    };
+    return profileCache;
+}
+
+/**
+ * 拼接站点页面地址
+ * @param {string} baseUrl - 镜像地址，如 https://kp.m-team.cc
+ * @param {string} pathKey - paths 中的键，如 login / index
+ */
+export function buildUrl(baseUrl, pathKey) {
+    const pagePath = getSiteProfile().paths[pathKey];
+    if (!pagePath) {
+        throw new Error(`站点配置中缺少页面路径: ${pathKey}`);
+    }
+    return new URL(pagePath, baseUrl).toString();
+}
+
+/**
+ * 判断错误是否为网络层错误 (DNS 解析失败、连接失败、页面导航超时)，此类错误需要切换镜像
+ * 等待元素、等待网络空闲等超时发生在页面已打开之后，不属于网络错误
+ * @param {Error} error
+ */
+export function isNetworkError(error) {
+    const message = (error && error.message) || '';
+    return /net::ERR_(NAME_NOT_RESOLVED|NAME_RESOLUTION_FAILED|CONNECTION_\w+|ADDRESS_UNREACHABLE|TIMED_OUT|INTERNET_DISCONNECTED|SSL_\w+|CERT_\w+|EMPTY_RESPONSE|TUNNEL_CONNECTION_FAILED|PROXY_CONNECTION_FAILED)/.test(message) ||
+        /\b(ECONNREFUSED|ENOTFOUND|ECONNRESET|ETIMEDOUT|EAI_AGAIN)\b/.test(message) ||
+        /page\.(goto|reload): Timeout \d+ms exceeded/.test(message);
+}
+
+/**
+ * 获取域名的主域 (如 kp.m-team.cc -> m-team.cc)
+ * @param {string} host
+ */
+function rootDomain(host) {
+    return host.split('.').slice(-2).join('.');
+}
+
+/**
+ * 将 storageState 迁移到指定镜像
+ * 属于任一镜像域名的 Cookie 会改写为目标镜像的域名，已过期的 Cookie 会被丢弃；
+ * LocalStorage 的 origin 也一并改写
+ * @param {object|null} storageState - Playwright storageState
+ * @param {string} targetBaseUrl - 目标镜像地址
+ * @returns {object|null}
+ */
+export function rebaseStorageState(storageState, targetBaseUrl) {
+    if (!storageState) {
+        return storageState;
+    }
+
+    const target = new URL(targetBaseUrl);
+    const targetRoot = rootDomain(target.hostname);
+    const mirrors = getSiteProfile().mirrors.map(url => new URL(url));
+    const nowSeconds = Date.now() / 1000;
+
+    const cookies = (storageState.cookies || [])
+        .filter(cookie => !(cookie.expires > 0 && cookie.expires < nowSeconds))
+        .map(cookie => {
+            const hasDot = (cookie.domain || '').startsWith('.');
+            const domain = (cookie.domain || '').replace(/^\./, '');
+
+            // 先按完整的镜像域名匹配，再按主域匹配 (避免靠后镜像的 Cookie 被靠前镜像的主域先匹配)
+            let rebased = null;
+            if (mirrors.some(mirror => mirror.hostname === domain)) {
+                rebased = target.hostname;
+            } else {
+                const mirrorRoot = mirrors.map(mirror => rootDomain(mirror.hostname))
+                    .find(root => domain === root || domain.endsWith(`.${root}`));
+                if (mirrorRoot) {
+                    rebased = domain.slice(0, domain.length - mirrorRoot.length) + targetRoot;
+                }
+            }
+            return rebased ? { ...cookie, domain: hasDot ? `.${rebased}` : rebased } : cookie;
+        });
+
+    const origins = (storageState.origins || []).map(entry => {
+        const isMirror = mirrors.some(mirror => mirror.origin === entry.origin);
+        return isMirror ? { ...entry, origin: target.origin } : entry;
+    });
+
+    return { ...storageState, cookies, origins };
+}
+
+export default {
+    getSiteProfile,
+    buildUrl,
+    isNetworkError,
+    rebaseStorageState,
+};
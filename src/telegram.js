@@ -1,30 +1,52 @@
 /**
  * Telegram Bot API 模块
- * 处理消息发送、验证码轮询和截图发送
+ * 处理消息发送、验证码轮询和截图发送，以及守护进程模式下的常驻消息分发
+ *
+ * 内联按钮的 callback_data 格式为 action:token，token 标识按钮所属的交互 (见 callbacks.js)
  */
 
 import axios from 'axios';
 import fs from 'fs';
 import FormData from 'form-data';
 import config from './config.js';
+import { toAxiosProxyOptions } from './proxy.js';
+import { withRetry } from './retry.js';
 
 const TG_API_BASE = `https://api.telegram.org/bot${config.TG_BOT_TOKEN}`;
 
+// 通知流量单独走 NOTIFY_PROXY (与站点代理互不影响)
+const http = axios.create(toAxiosProxyOptions(config.NOTIFY_PROXY));
+
 // 记录最后处理的 update_id，避免重复处理
 let lastUpdateId = 0;
 
+// 等待中的消息订阅 (验证码、/approved、内联按钮等)，收到消息时优先分发给订阅者
+const waiters = new Set();
+
+// 消息来源: null (等待验证码时按需轮询) / 'polling' (常驻轮询) / 'webhook' (见 server.js)
+// 未被订阅者消费的消息交给 updateHandler 处理 (见 bot.js)
+let updateSource = null;
+let updateHandler = null;
+
 /**
  * 发送文本消息
+ * 遇到 429 限流时按 retry_after 等待，网络错误和 5xx 按指数退避重试 (见 retry.js)
  * @param {string} text - 消息内容
- * @param {boolean} markdown - 是否使用 Markdown 格式
+ * @param {boolean|string} markdown - 是否使用 Markdown 格式，也可直接指定 parse_mode (HTML / MarkdownV2)
+ * @param {string} chatId - 接收者 (默认 TG_USER_ID)
+ * @param {object} options
+ * @param {object} options.replyMarkup - 内联键盘 (可选，见 buildKeyboard)
+ * @param {boolean} options.silent - 静默推送 (不响铃)
  */
-export async function sendMessage(text, markdown = true) {
+export async function sendMessage(text, markdown = true, chatId = config.TG_USER_ID, { replyMarkup = null, silent = false } = {}) {
     try {
-        const response = await axios.post(`${TG_API_BASE}/sendMessage`, {
-            chat_id: config.TG_USER_ID,
+        const response = await withRetry(() => http.post(`${TG_API_BASE}/sendMessage`, {
+            chat_id: chatId,
             text: text,
-            parse_mode: markdown ? 'Markdown' : undefined,
-        });
+            parse_mode: typeof markdown === 'string' ? markdown : (markdown ? 'Markdown' : undefined),
+            reply_markup: replyMarkup || undefined,
+            disable_notification: silent || undefined,
+        }), { label: '发送 Telegram 消息' });
         return response.data;
     } catch (error) {
         console.error('❌ 发送 Telegram 消息失败:', error.message);
@@ -36,19 +58,27 @@ export async function sendMessage(text, markdown = true) {
  * 发送截图/图片
  * @param {string} imagePath - 图片路径
  * @param {string} caption - 图片说明
+ * @param {string} chatId - 接收者 (默认 TG_USER_ID)
+ * @param {object} options
+ * @param {boolean} options.silent - 静默推送 (不响铃)
  */
-export async function sendPhoto(imagePath, caption = '') {
+export async function sendPhoto(imagePath, caption = '', chatId = config.TG_USER_ID, { silent = false } = {}) {
     try {
-        const form = new FormData();
-        form.append('chat_id', config.TG_USER_ID);
-        form.append('photo', fs.createReadStream(imagePath));
-        if (caption) {
-            form.append('caption', caption);
-        }
-
-        const response = await axios.post(`${TG_API_BASE}/sendPhoto`, form, {
-            headers: form.getHeaders(),
-        });
+        // 文件流只能读取一次，每次重试重新构造表单
+        const response = await withRetry(() => {
+            const form = new FormData();
+            form.append('chat_id', chatId);
+            form.append('photo', fs.createReadStream(imagePath));
+            if (caption) {
+                form.append('caption', caption);
+            }
+            if (silent) {
+                form.append('disable_notification', 'true');
+            }
+            return http.post(`${TG_API_BASE}/sendPhoto`, form, {
+                headers: form.getHeaders(),
+            });
+        }, { label: '发送截图' });
         return response.data;
     } catch (error) {
         console.error('❌ 发送截图失败:', error.message);
@@ -56,12 +86,95 @@ export async function sendPhoto(imagePath, caption = '') {
     }
 }
 
+/**
+ * 构造内联键盘
+ * @param {Array<Array<{ text: string, action: string }>>} rows - 按钮行
+ * @param {string} token - 交互 token
+ */
+export function buildKeyboard(rows, token) {
+    return {
+        inline_keyboard: rows.map(row => row.map(({ text, action }) => ({
+            text,
+            callback_data: `${action}:${token}`,
+        }))),
+    };
+}
+
+/**
+ * 解析按钮的 callback_data
+ * @param {string} data
+ * @returns {{ action: string, token: string }}
+ */
+export function parseCallbackData(data) {
+    const [action = '', token = ''] = String(data || '').split(':');
+    return { action, token };
+}
+
+/**
+ * 应答按钮点击 (不应答时客户端会一直显示加载状态)
+ * @param {string} callbackQueryId
+ * @param {string} text - 提示文字 (可选)
+ * @param {boolean} showAlert - 是否以弹窗显示
+ */
+export async function answerCallbackQuery(callbackQueryId, text = '', showAlert = false) {
+    try {
+        await http.post(`${TG_API_BASE}/answerCallbackQuery`, {
+            callback_query_id: callbackQueryId,
+            text: text || undefined,
+            show_alert: showAlert,
+        });
+    } catch (error) {
+        console.error('⚠️ 应答按钮点击失败:', error.message);
+    }
+}
+
+/**
+ * 移除消息上的内联键盘 (交互结束后避免重复点击)
+ * @param {string} chatId
+ * @param {number} messageId
+ */
+export async function removeKeyboard(chatId, messageId) {
+    try {
+        await http.post(`${TG_API_BASE}/editMessageReplyMarkup`, {
+            chat_id: chatId,
+            message_id: messageId,
+            reply_markup: { inline_keyboard: [] },
+        });
+    } catch (error) {
+        console.error('⚠️ 移除按钮失败:', error.message);
+    }
+}
+
+/**
+ * 是否有常驻处理函数 (命令机器人运行中)，此时失败通知上的按钮才能被响应
+ */
+export function hasUpdateHandler() {
+    return Boolean(updateHandler);
+}
+
+/**
+ * 设置机器人命令菜单
+ * @param {Array<{ command: string, description: string }>} commands
+ */
+export async function setCommands(commands) {
+    try {
+        await http.post(`${TG_API_BASE}/setMyCommands`, { commands });
+    } catch (error) {
+        console.error('⚠️ 设置命令菜单失败:', error.message);
+    }
+}
+
 /**
  * 初始化 - 清空旧的 updates
+ * 常驻轮询或 Webhook 模式下无需处理，直接跳过
  */
 export async function initUpdates() {
+    if (updateSource) {
+        return;
+    }
+
     try {
-        const response = await axios.get(`${TG_API_BASE}/getUpdates`, {
+        const response = await http.get(`${TG_API_BASE}/getUpdates`, {
             params: { offset: -1 }
         });
         if (response.data.ok && response.data.result.length > 0) {
@@ -74,167 +187,273 @@ export async function initUpdates() {
 }
 
 /**
- * 轮询获取用户输入的验证码
- * 支持两种格式:
- * 1. 直接发送 6 位数字: 123456
- * 2. 命令格式: /mtcode 123456
- * @param {string} prompt - 提示消息
- * @param {number} timeout - 超时时间(毫秒)
- * @returns {Promise<string|null>} - 用户输入的验证码
+ * 拉取新的 updates
+ * @param {number} timeoutSeconds - 长轮询等待时间(秒)
+ * @returns {Promise<Array<object>>}
  */
-export async function waitForVerificationCode(prompt, timeout = config.TFA_TIMEOUT) {
-    // 发送提示消息
-    await sendMessage(prompt);
-    console.log('⏳ 等待用户输入验证码...');
+async function fetchUpdates(timeoutSeconds) {
+    const response = await http.get(`${TG_API_BASE}/getUpdates`, {
+        params: {
+            offset: lastUpdateId + 1,
+            timeout: timeoutSeconds,
+        },
+    });
+    return response.data.ok ? response.data.result : [];
+}
+
+/**
+ * 分发一条 update
+ * 先交给等待中的订阅者 (按发送者匹配)，未被消费的再交给常驻处理函数
+ * @param {object} update - Telegram update 对象
+ */
+export function dispatchUpdate(update) {
+    if (update.update_id <= lastUpdateId) {
+        return;
+    }
+    lastUpdateId = update.update_id;
+
+    const query = update.callback_query;
+    if (query && query.from) {
+        const { action, token } = parseCallbackData(query.data);
+        for (const waiter of waiters) {
+            if (String(query.from.id) !== String(waiter.chatId)) continue;
+
+            if (waiter.actions && waiter.actions.token === token && waiter.actions.names.includes(action)) {
+                answerCallbackQuery(query.id);
+                waiter.resolve({ action, messageId: query.message?.message_id });
+                return;
+            }
+        }
 
-    const startTime = Date.now();
-    const pollInterval = config.TFA_POLL_INTERVAL;
+        // 没有订阅者也没有常驻处理函数: 按钮所属的交互已结束
+        if (!updateHandler) {
+            answerCallbackQuery(query.id, '⌛ 按钮已过期', true);
+            return;
+        }
+    }
 
-    while (Date.now() - startTime < timeout) {
-        try {
-            const response = await axios.get(`${TG_API_BASE}/getUpdates`, {
-                params: {
-                    offset: lastUpdateId + 1,
-                    timeout: 5,
-                },
-            });
+    const message = update.message;
+    if (message && message.from) {
+        const text = (message.text || '').trim();
+        for (const waiter of waiters) {
+            if (String(message.from.id) !== String(waiter.chatId)) continue;
 
-            if (response.data.ok && response.data.result.length > 0) {
-                for (const update of response.data.result) {
-                    lastUpdateId = update.update_id;
-
-                    // 检查是否来自目标用户的消息
-                    if (update.message &&
-                        update.message.from &&
-                        String(update.message.from.id) === String(config.TG_USER_ID)) {
-
-                        const text = (update.message.text || '').trim();
-
-                        // 支持两种格式:
-                        // 1. /mtcode 123456
-                        // 2. 直接发送 123456
-                        let code = null;
-
-                        // 检查 /mtcode 命令
-                        const cmdMatch = text.match(/^\/mtcode\s+(\d{6})$/i);
-                        if (cmdMatch) {
-                            code = cmdMatch[1];
-                        }
-
-                        // 检查纯 6 位数字
-                        if (!code) {
-                            const numMatch = text.match(/^(\d{6})$/);
-                            if (numMatch) {
-                                code = numMatch[1];
-                            }
-                        }
-
-                        if (code) {
-                            console.log('✅ 收到验证码');
-                            await sendMessage('✅ 验证码已收到，正在验证...');
-                            return code;
-                        }
-                    }
-                }
+            const result = waiter.matcher(text);
+            if (result) {
+                waiter.resolve(result);
+                return;
             }
-        } catch (error) {
-            console.error('⚠️ 轮询 updates 失败:', error.message);
         }
-
-        // 等待下次轮询
-        await new Promise(res => setTimeout(res, pollInterval));
     }
 
-    console.log('❌ 等待验证码超时');
-    await sendMessage('❌ 验证码输入超时，请重新运行');
-    return null;
+    if (updateHandler) {
+        // 不等待处理完成，避免耗时命令 (如 /run) 阻塞验证码等消息的分发
+        Promise.resolve()
+            .then(() => updateHandler(update))
+            .catch(error => console.error('⚠️ 处理 Telegram 消息失败:', error.message));
+    }
 }
 
 /**
- * 发送设备验证通知
- * @param {string} approvalUrl - 批准链接
+ * 启动常驻轮询
+ * @param {(update: object) => Promise<void>} handler - 处理未被订阅者消费的 update
  */
-export async function sendDeviceApprovalNotice(approvalUrl) {
-    const message = `
-🔐 *M-TEAM 新设备登录验证*
+export async function startUpdateLoop(handler) {
+    if (updateSource) {
+        return;
+    }
 
-检测到需要设备验证，请在 45 秒内点击以下链接批准:
+    // 跳过离线期间积压的消息，避免启动后执行过期的命令
+    await initUpdates();
 
-${approvalUrl || '(请在已登录设备上批准)'}
+    updateHandler = handler;
+    updateSource = 'polling';
+    console.log('🤖 Telegram 消息监听已启动 (轮询)');
 
-⏳ 脚本将等待 45 秒后继续...
-`;
-    await sendMessage(message);
+    (async () => {
+        while (updateSource === 'polling') {
+            try {
+                for (const update of await fetchUpdates(25)) {
+                    dispatchUpdate(update);
+                }
+            } catch (error) {
+                console.error('⚠️ 轮询 updates 失败:', error.message);
+                await new Promise(res => setTimeout(res, config.TFA_POLL_INTERVAL));
+            }
+        }
+    })();
 }
 
 /**
- * 发送登录成功报告
- * @param {object} userData - 用户数据
+ * 停止常驻轮询 (当前的长轮询请求返回后退出)
  */
-export async function sendSuccessReport(userData) {
-    // 构建消息，只显示有效数据
-    let message = `✅ *M-TEAM 登录成功*\n\n`;
-
-    message += `👤 *用户名:* ${userData.username || 'Unknown'}\n`;
-
-    if (userData.level && userData.level !== 'N/A') {
-        message += `🏆 *等级:* ${userData.level}\n`;
+export function stopUpdateLoop() {
+    if (updateSource === 'polling') {
+        updateSource = null;
+        updateHandler = null;
     }
+}
 
-    message += `\n`;
-    message += `📤 *上传量:* ${userData.uploaded || 'N/A'}\n`;
-    message += `📥 *下载量:* ${userData.downloaded || 'N/A'}\n`;
-    message += `📈 *分享率:* ${userData.ratio || 'N/A'}\n`;
+/**
+ * 注册 Webhook，此后 updates 由 HTTP 服务推送给 dispatchUpdate
+ * 注册时丢弃积压的消息，避免执行过期的命令
+ * @param {string} url - 公网可访问的 HTTPS 地址
+ * @param {string} secret - 校验用的 secret_token
+ * @param {((update: object) => Promise<void>)|null} handler - 处理未被订阅者消费的 update
+ */
+export async function setWebhook(url, secret, handler) {
+    const response = await http.post(`${TG_API_BASE}/setWebhook`, {
+        url,
+        secret_token: secret,
+        drop_pending_updates: true,
+    });
+    if (!response.data.ok) {
+        throw new Error(`注册 Webhook 失败: ${response.data.description}`);
+    }
 
-    message += `\n`;
-    message += `✨ *魔力值:* ${userData.bonus || 'N/A'}`;
+    updateHandler = handler;
+    updateSource = 'webhook';
+    console.log('🤖 Telegram 消息监听已启动 (Webhook)');
+}
 
-    if (userData.bonusPerHour && userData.bonusPerHour !== 'N/A') {
-        message += ` (⏱️ ${userData.bonusPerHour}/时)`;
+/**
+ * 删除 Webhook，恢复为 getUpdates 轮询
+ */
+export async function deleteWebhook() {
+    if (updateSource === 'webhook') {
+        updateSource = null;
+        updateHandler = null;
     }
-    message += `\n`;
 
-    if (userData.btClient && userData.btClient !== 'N/A') {
-        message += `💻 *客户端:* ${userData.btClient}\n`;
+    try {
+        await http.post(`${TG_API_BASE}/deleteWebhook`);
+        console.log('✅ Telegram Webhook 已删除');
+    } catch (error) {
+        console.error('⚠️ 删除 Webhook 失败:', error.message);
     }
+}
 
-    if (userData.ipv4 && userData.ipv4 !== 'N/A') {
-        message += `🌐 *IPv4:* ${userData.ipv4}\n`;
-    }
+/**
+ * 等待指定用户发送满足条件的消息
+ * 常驻轮询或 Webhook 模式下只需注册订阅，否则在等待期间自行轮询
+ * @param {(text: string) => *} matcher - 返回非空值表示匹配成功
+ * @param {number} timeout - 超时时间(毫秒)
+ * @param {string} chatId - 目标用户
+ * @param {{ token: string, names: Array<string> }|null} actions - 同时接受的按钮 (可选)
+ * @returns {Promise<*>} - matcher 的返回值或点击的按钮 { action, messageId }，超时返回 null
+ */
+async function waitForMessage(matcher, timeout, chatId, actions = null) {
+    let waiter;
+    const result = new Promise((resolve) => {
+        const timer = setTimeout(() => waiter.resolve(null), timeout);
+        waiter = {
+            matcher,
+            chatId,
+            actions,
+            resolve: (value) => {
+                clearTimeout(timer);
+                waiters.delete(waiter);
+                resolve(value);
+            },
+        };
+        waiters.add(waiter);
+    });
+
+    while (waiters.has(waiter) && !updateSource) {
+        try {
+            for (const update of await fetchUpdates(5)) {
+                dispatchUpdate(update);
+            }
+        } catch (error) {
+            console.error('⚠️ 轮询 updates 失败:', error.message);
+        }
 
-    message += `\n`;
-    message += userData.hasNewMessage ? '📬 *有新站内信!*\n' : '';
-    message += `⏰ ${new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}`;
+        if (waiters.has(waiter)) {
+            await new Promise(res => setTimeout(res, config.TFA_POLL_INTERVAL));
+        }
+    }
 
-    await sendMessage(message);
+    return await result;
 }
 
 /**
- * 发送错误通知
- * @param {string} error - 错误信息
- * @param {string} screenshotPath - 截图路径(可选)
+ * 轮询获取用户输入的验证码
+ * 支持两种格式:
+ * 1. 直接发送 6 位数字: 123456
+ * 2. 命令格式: /mtcode 123456
+ * 传入 actions 时也接受提示消息上的按钮 (如取消登录)，由调用方处理
+ * @param {string|null} prompt - 提示消息 (为空时不发送，由调用方提前发送)
+ * @param {number} timeout - 超时时间(毫秒)
+ * @param {string} chatId - 接收验证码的用户 (默认 TG_USER_ID)
+ * @param {{ token: string, names: Array<string> }|null} actions - 同时接受的按钮 (可选)
+ * @returns {Promise<string|{ action: string, messageId: number }|null>} - 用户输入的验证码或点击的按钮，超时返回 null
  */
-export async function sendErrorNotice(error, screenshotPath = null) {
-    const message = `
-❌ *M-TEAM 登录失败*
+export async function waitForVerificationCode(prompt, timeout = config.TFA_TIMEOUT, chatId = config.TG_USER_ID, actions = null) {
+    // 发送提示消息
+    if (prompt) {
+        await sendMessage(prompt, true, chatId);
+    }
+    console.log('⏳ 等待用户输入验证码...');
 
-错误信息: \`${error}\`
+    const code = await waitForMessage((text) => {
+        // 1. /mtcode 123456
+        const cmdMatch = text.match(/^\/mtcode\s+(\d{6})$/i);
+        if (cmdMatch) {
+            return cmdMatch[1];
+        }
 
-⏰ *时间:* ${new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}
-`;
-    await sendMessage(message);
+        // 2. 直接发送 123456
+        const numMatch = text.match(/^(\d{6})$/);
+        return numMatch ? numMatch[1] : null;
+    }, timeout, chatId, actions);
 
-    if (screenshotPath && fs.existsSync(screenshotPath)) {
-        await sendPhoto(screenshotPath, '错误截图');
+    if (code && typeof code === 'object') {
+        console.log(`🔘 用户点击了按钮: ${code.action}`);
+        return code;
     }
+
+    if (code) {
+        console.log('✅ 收到验证码');
+        await sendMessage('✅ 验证码已收到，正在验证...', true, chatId);
+        return code;
+    }
+
+    console.log('❌ 等待验证码超时');
+    await sendMessage('❌ 验证码输入超时，请重新运行', true, chatId);
+    return null;
+}
+
+/**
+ * 等待用户发送指定命令之一 (如 /approved、/cancel)
+ * @param {Array<string>} commands - 命令名 (不含 /)
+ * @param {number} timeout - 超时时间(毫秒)
+ * @param {string} chatId - 目标用户 (默认 TG_USER_ID)
+ * @returns {Promise<string|null>} - 收到的命令名，超时返回 null
+ */
+export async function waitForCommand(commands, timeout, chatId = config.TG_USER_ID) {
+    return await waitForMessage((text) => {
+        // 兼容群组中的 /command@botname 格式
+        const match = text.match(/^\/(\w+)(@\w+)?$/);
+        const command = match ? match[1].toLowerCase() : null;
+        return commands.includes(command) ? command : null;
+    }, timeout, chatId);
 }
 
 export default {
     sendMessage,
     sendPhoto,
+    buildKeyboard,
+    parseCallbackData,
+    answerCallbackQuery,
+    removeKeyboard,
+    hasUpdateHandler,
+    setCommands,
     initUpdates,
+    dispatchUpdate,
+    startUpdateLoop,
+    stopUpdateLoop,
+    setWebhook,
+    deleteWebhook,
     waitForVerificationCode,
-    sendDeviceApprovalNotice,
-    sendSuccessReport,
-    sendErrorNotice,
+    waitForCommand,
 };
@@ -0,0 +1,420 @@
+/**
+ * 消息模板模块
+ * 通知内容由模板渲染，同一模板可输出为 Telegram HTML / MarkdownV2、通用 Markdown 和纯文本
+ *
+ * 模板语法:
+ * - {{name}}                 插入字段 (按输出格式自动转义)
+ * - {{#name}}...{{/name}}    字段有值时输出 (空、false、N/A 视为无值)；数组会逐项输出
+ * - {{^name}}...{{/name}}    字段无值时输出
+ * - <b> <i> <code> <a href="..."> 格式标记，按输出格式转换 (纯文本中去掉)
+ * - 文本中的 < > & 需要写成 &lt; &gt; &amp;
+ *
+ * 自定义模板: TEMPLATE_DIR 目录下的 <名称>.tpl，第一行为标题，其余为正文
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+
+/**
+ * 输出格式
+ */
+export const Format = Object.freeze({
+    HTML: 'html',               // Telegram HTML、邮件
+    MARKDOWN_V2: 'markdownv2',  // Telegram MarkdownV2
+    MARKDOWN: 'markdown',       // 通用 Markdown (ntfy、Discord、企业微信等)
+    PLAIN: 'plain',             // 纯文本
+});
+
+/**
+ * Telegram parse_mode 对应的输出格式
+ */
+export const TELEGRAM_FORMATS = Object.freeze({ HTML: Format.HTML, MarkdownV2: Format.MARKDOWN_V2 });
+
+/**
+ * 内置模板
+ */
+const DEFAULT_TEMPLATES = {
+    success: {
+        title: '✅ M-TEAM 登录成功{{#multiAccount}} [{{account}}]{{/multiAccount}}',
+        body: `👤 <b>用户名:</b> {{username}}
+{{#level}}
+🏆 <b>等级:</b> {{level}}
+{{/level}}
+
+📤 <b>上传量:</b> {{uploaded}}
+📥 <b>下载量:</b> {{downloaded}}
+📈 <b>分享率:</b> {{ratio}}
+
+✨ <b>魔力值:</b> {{bonus}}{{#bonusPerHour}} (⏱️ {{bonusPerHour}}/时){{/bonusPerHour}}
+{{#deltas}}
+📊 <b>{{label}}</b> ({{elapsed}}): 📤 {{uploaded}} (⚡ {{uploadRate}}) | 📥 {{downloaded}} | 📈 {{ratio}} | ✨ {{bonus}}
+{{/deltas}}
+{{#promotion.next}}
+🎖️ <b>距离 {{promotion.next}}:</b> {{promotion.summary}}{{#promotion.eta}} ({{promotion.eta}}){{/promotion.eta}}
+{{/promotion.next}}
+{{#btClient}}
+💻 <b>客户端:</b> {{btClient}}
+{{/btClient}}
+{{#ipv4}}
+🌐 <b>IPv4:</b> {{ipv4}}
+{{/ipv4}}
+{{#egressIp}}
+🛰️ <b>出口 IP:</b> {{egressIp}}
+{{/egressIp}}
+{{#sessionRemaining}}
+🍪 <b>会话剩余:</b> {{sessionRemaining}}
+{{/sessionRemaining}}
+
+{{#hasNewMessage}}
+📬 <b>有新站内信!</b>
+{{/hasNewMessage}}
+⏰ {{time}}`,
+    },
+
+    failure: {
+        title: '{{#escalated}}🚨{{/escalated}}{{^escalated}}❌{{/escalated}} M-TEAM 登录失败{{#multiAccount}} [{{account}}]{{/multiAccount}}',
+        body: `{{#escalated}}
+🚨 <b>已连续失败 {{consecutiveFailures}} 次</b>
+
+{{/escalated}}
+错误信息: <code>{{error}}</code>
+
+⏰ <b>时间:</b> {{time}}`,
+    },
+
+    tfa: {
+        title: '🔐 M-TEAM 需要验证码 ({{codeType}}){{#multiAccount}} [{{account}}]{{/multiAccount}}',
+        body: `{{#retry}}
+⚠️ 第 {{attempt}} 次尝试 (剩余 {{remainingAttempts}} 次机会)
+
+{{/retry}}
+{{#isEmail}}
+请查收邮件，并在 Telegram 回复 6 位验证码:
+{{/isEmail}}
+{{^isEmail}}
+请在 Telegram 回复 6 位数字验证码:
+{{/isEmail}}
+• 直接发送: <code>123456</code>
+• 或命令: <code>/mtcode 123456</code>
+
+⏰ 等待时间: {{timeoutMinutes}} 分钟`,
+    },
+
+    device_approval: {
+        title: '🔐 M-TEAM 新设备登录验证{{#multiAccount}} [{{account}}]{{/multiAccount}}',
+        body: `检测到需要设备验证，请点击以下链接批准:
+
+{{#approvalUrl}}
+<a href="{{approvalUrl}}">{{approvalUrl}}</a>
+{{/approvalUrl}}
+{{^approvalUrl}}
+(请在已登录设备上批准)
+{{/approvalUrl}}
+
+⏳ 脚本将持续检查批准状态，最多等待 {{timeoutMinutes}} 分钟
+• 已批准: 在 Telegram 回复 /approved 立即检查
+• 放弃登录: 在 Telegram 回复 /cancel`,
+    },
+
+    session_expiry: {
+        title: '⚠️ M-TEAM 会话即将过期{{#multiAccount}} [{{account}}]{{/multiAccount}}',
+        body: `剩余有效期: {{sessionRemaining}}
+过期时间: {{sessionExpiresAt}}
+
+过期后需要重新登录 (可能需要 2FA)，可设置 <code>SESSION_REFRESH_DAYS</code> 在白天提前刷新。`,
+    },
+
+    alert: {
+        title: '{{#resolved}}✅ M-TEAM 告警解除{{/resolved}}{{^resolved}}🚨 M-TEAM 数据告警{{/resolved}}{{#multiAccount}} [{{account}}]{{/multiAccount}}',
+        body: `{{^resolved}}
+<b>{{message}}</b>
+
+规则: <code>{{rule}}</code>
+{{/resolved}}
+{{#resolved}}
+规则 <code>{{rule}}</code> 的条件已解除
+{{/resolved}}
+当前值: {{value}}
+{{#since}}
+告警开始于: {{since}}
+{{/since}}
+
+⏰ {{time}}`,
+    },
+
+    summary: {
+        title: '📋 M-TEAM 执行汇总 ({{successCount}}/{{total}} 成功)',
+        body: `{{#results}}
+{{#success}}
+✅ <b>{{account}}</b>: 📈 {{ratio}} | 📤 {{uploaded}} | ✨ {{bonus}}
+{{/success}}
+{{^success}}
+❌ <b>{{account}}</b>: <code>{{error}}</code>
+{{/success}}
+{{/results}}
+
+⏰ {{time}}`,
+    },
+};
+
+// 模板中的占位符与格式标记
+const TOKEN_PATTERN = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}|<(\/?)(b|i|code)>|<a href="([^"]*)">|<\/a>/g;
+
+// 独占一行的区块标记不输出该行 (避免条件区块留下空行)
+const STANDALONE_SECTION = /^[ \t]*(\{\{\s*[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * 还原文本中的 HTML 实体
+ * @param {string} text
+ */
+function decodeEntities(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+/**
+ * 解析模板为语法树
+ * @param {string} source - 模板文本
+ * @returns {Array<object>}
+ */
+export function parseTemplate(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    const pushText = (text) => {
+        if (text) {
+            stack[stack.length - 1].children.push({ type: 'text', value: decodeEntities(text) });
+        }
+    };
+
+    const normalized = source.replace(STANDALONE_SECTION, '$1');
+    for (const match of normalized.matchAll(TOKEN_PATTERN)) {
+        pushText(normalized.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        const current = stack[stack.length - 1];
+        const [token, sigil, name, closing, tag, href] = match;
+
+        if (name) {
+            if (sigil === '#' || sigil === '^') {
+                const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+                current.children.push(section);
+                stack.push(section);
+            } else if (sigil === '/') {
+                if (current.type !== 'section' || current.name !== name) {
+                    throw new Error(`模板区块未正确闭合: {{/${name}}}`);
+                }
+                stack.pop();
+            } else {
+                current.children.push({ type: 'var', name });
+            }
+        } else if (tag) {
+            current.children.push({ type: 'tag', tag, closing: closing === '/' });
+        } else if (href !== undefined) {
+            current.children.push({ type: 'tag', tag: 'a', closing: false, href: parseTemplate(href) });
+        } else if (token === '</a>') {
+            current.children.push({ type: 'tag', tag: 'a', closing: true });
+        }
+    }
+    pushText(normalized.slice(lastIndex));
+
+    if (stack.length > 1) {
+        throw new Error(`模板区块未闭合: {{#${stack[stack.length - 1].name}}}`);
+    }
+    return root.children;
+}
+
+/**
+ * 按输出格式转义文本
+ * @param {string} text
+ * @param {string} format
+ * @param {string} context - text / code / url
+ */
+function escapeText(text, format, context = 'text') {
+    switch (format) {
+        case Format.HTML:
+            return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        case Format.MARKDOWN_V2:
+            if (context === 'code') return text.replace(/[`\\]/g, '\\$&');
+            if (context === 'url') return text.replace(/[)\\]/g, '\\$&');
+            return text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+        case Format.MARKDOWN:
+            if (context !== 'text') return text;
+            return text.replace(/[\\`*_[\]]/g, '\\$&');
+        default:
+            return text;
+    }
+}
+
+/**
+ * 字段是否"有值" (用于区块判断)
+ * @param {*} value
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== false && value !== '' && value !== 'N/A';
+}
+
+/**
+ * 在上下文栈中查找字段 (支持点分路径，内层优先)
+ * @param {Array<object>} contexts
+ * @param {string} name
+ */
+function lookup(contexts, name) {
+    const [head, ...rest] = name.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const ctx = contexts[i];
+        if (ctx && typeof ctx === 'object' && head in ctx) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), ctx[head]);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * 格式标记的输出
+ */
+const TAG_OUTPUT = {
+    [Format.HTML]: { b: ['<b>', '</b>'], i: ['<i>', '</i>'], code: ['<code>', '</code>'] },
+    [Format.MARKDOWN_V2]: { b: ['*', '*'], i: ['_', '_'], code: ['`', '`'] },
+    [Format.MARKDOWN]: { b: ['**', '**'], i: ['*', '*'], code: ['`', '`'] },
+    [Format.PLAIN]: { b: ['', ''], i: ['', ''], code: ['', ''] },
+};
+
+/**
+ * 渲染语法树
+ * @param {Array<object>} nodes
+ * @param {Array<object>} contexts - 上下文栈
+ * @param {string} format
+ * @param {{ inCode: boolean, links: Array<string> }} state
+ */
+function renderNodes(nodes, contexts, format, state) {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += escapeText(node.value, format, state.inCode ? 'code' : 'text');
+        } else if (node.type === 'var') {
+            const value = lookup(contexts, node.name);
+            if (value !== undefined && value !== null) {
+                output += escapeText(String(value), format, state.inCode ? 'code' : 'text');
+            }
+        } else if (node.type === 'section') {
+            const value = lookup(contexts, node.name);
+            if (node.inverted) {
+                if (!isTruthy(value)) {
+                    output += renderNodes(node.children, contexts, format, state);
+                }
+            } else if (Array.isArray(value)) {
+                for (const item of value) {
+                    output += renderNodes(node.children, [...contexts, item], format, state);
+                }
+            } else if (isTruthy(value)) {
+                output += renderNodes(node.children, [...contexts, value], format, state);
+            }
+        } else if (node.type === 'tag' && node.tag === 'a') {
+            output += renderLink(node, contexts, format, state);
+        } else if (node.type === 'tag') {
+            state.inCode = node.tag === 'code' && !node.closing;
+            output += TAG_OUTPUT[format][node.tag][node.closing ? 1 : 0];
+        }
+    }
+
+    return output;
+}
+
+/**
+ * 渲染链接标记 (开始标记记录地址，结束标记输出)
+ */
+function renderLink(node, contexts, format, state) {
+    if (!node.closing) {
+        const url = renderNodes(node.href, contexts, Format.PLAIN, { inCode: false, links: [] });
+        state.links.push(url);
+        if (format === Format.HTML) return `<a href="${escapeText(url, format, 'url')}">`;
+        if (format === Format.MARKDOWN_V2 || format === Format.MARKDOWN) return '[';
+        return '';
+    }
+
+    const url = state.links.pop() || '';
+    if (format === Format.HTML) return '</a>';
+    if (format === Format.MARKDOWN_V2 || format === Format.MARKDOWN) return `](${escapeText(url, format, 'url')})`;
+    return '';
+}
+
+/**
+ * 渲染模板
+ * @param {string|Array<object>} template - 模板文本或已解析的语法树
+ * @param {object} data - 字段
+ * @param {string} format - 输出格式
+ * @returns {string}
+ */
+export function renderTemplate(template, data, format = Format.PLAIN) {
+    const nodes = typeof template === 'string' ? parseTemplate(template) : template;
+    return renderNodes(nodes, [data], format, { inCode: false, links: [] }).trim();
+}
+
+const templateCache = new Map();
+
+/**
+ * 获取模板 (TEMPLATE_DIR 中的自定义模板优先)
+ * @param {string} name - 模板名称，如 success / failure / tfa
+ * @returns {{ title: Array<object>, body: Array<object> }}
+ */
+export function getTemplate(name) {
+    if (templateCache.has(name)) {
+        return templateCache.get(name);
+    }
+
+    let source = DEFAULT_TEMPLATES[name];
+    const filePath = config.TEMPLATE_DIR ? path.join(config.TEMPLATE_DIR, `${name}.tpl`) : '';
+    if (filePath && fs.existsSync(filePath)) {
+        const [title, ...lines] = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+        source = { title, body: lines.join('\n') };
+    }
+    if (!source) {
+        throw new Error(`未知的消息模板: ${name}`);
+    }
+
+    let template;
+    try {
+        template = { title: parseTemplate(source.title), body: parseTemplate(source.body) };
+    } catch (e) {
+        throw new Error(`消息模板 ${filePath || name} 解析失败: ${e.message}`);
+    }
+
+    templateCache.set(name, template);
+    return template;
+}
+
+/**
+ * 渲染通知 (模板通知或纯文本通知)
+ * @param {{ template?: string, data?: object, title?: string, text?: string }} notification
+ * @param {string} format - 输出格式
+ * @returns {{ title: string, body: string, full: string }} - title 为纯文本，full 为加粗标题 + 正文
+ */
+export function renderMessage(notification, format) {
+    let title;
+    let body;
+
+    if (notification.template) {
+        const template = getTemplate(notification.template);
+        title = renderTemplate(template.title, notification.data, Format.PLAIN);
+        body = renderTemplate(template.body, notification.data, format);
+    } else {
+        title = notification.title || '';
+        body = escapeText(notification.text || '', format);
+    }
+
+    const heading = `${TAG_OUTPUT[format].b[0]}${escapeText(title, format)}${TAG_OUTPUT[format].b[1]}`;
+    return { title, body, full: `${heading}\n\n${body}` };
+}
+
+export default {
+    Format,
+    TELEGRAM_FORMATS,
+    parseTemplate,
+    renderTemplate,
+    getTemplate,
+    renderMessage,
+};
@@ -0,0 +1,149 @@
+/**
+ * TOTP 模块
+ * 基于 RFC 6238 / RFC 4226 生成 2FA 验证码，支持 base32 密钥和 otpauth:// URI
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_OPTIONS = {
+    algorithm: 'SHA1',
+    digits: 6,
+    period: 30,
+};
+
+/**
+ * 解码 base32 字符串 (忽略空格、连字符和填充符，大小写不敏感)
+ * @param {string} input - base32 编码的密钥
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+    const cleaned = input.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`TOTP 密钥包含无效字符: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+
+    if (bytes.length === 0) {
+        throw new Error('TOTP 密钥为空');
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * 解析 TOTP 配置
+ * 支持:
+ * 1. 纯 base32 密钥: JBSWY3DPEHPK3PXP
+ * 2. otpauth URI: otpauth://totp/M-TEAM:user?secret=JBSWY3DPEHPK3PXP&digits=6&period=30
+ * @param {string} secretOrUri - 密钥或 URI
+ * @returns {{ key: Buffer, algorithm: string, digits: number, period: number }}
+ */
+export function parseTotpSecret(secretOrUri) {
+    const raw = String(secretOrUri || '').trim();
+    if (!raw) {
+        throw new Error('TOTP 密钥为空');
+    }
+
+    if (!raw.toLowerCase().startsWith('otpauth://')) {
+        return { key: base32Decode(raw), ...DEFAULT_OPTIONS };
+    }
+
+    const url = new URL(raw);
+    if (url.host.toLowerCase() !== 'totp') {
+        throw new Error(`不支持的 otpauth 类型: ${url.host}`);
+    }
+
+    const secret = url.searchParams.get('secret');
+    if (!secret) {
+        throw new Error('otpauth URI 中缺少 secret 参数');
+    }
+
+    const algorithm = (url.searchParams.get('algorithm') || DEFAULT_OPTIONS.algorithm).toUpperCase();
+    if (!['SHA1', 'SHA256', 'SHA512'].includes(algorithm)) {
+        throw new Error(`不支持的 TOTP 算法: ${algorithm}`);
+    }
+
+    const digits = parseInt(url.searchParams.get('digits') || DEFAULT_OPTIONS.digits, 10);
+    const period = parseInt(url.searchParams.get('period') || DEFAULT_OPTIONS.period, 10);
+    if (!(digits >= 6 && digits <= 8) || !(period > 0)) {
+        throw new Error('otpauth URI 中的 digits/period 参数无效');
+    }
+
+    return { key: base32Decode(secret), algorithm, digits, period };
+}
+
+/**
+ * 计算 HOTP (RFC 4226)
+ * @param {Buffer} key - 密钥
+ * @param {number} counter - 计数器
+ * @param {string} algorithm - 哈希算法
+ * @param {number} digits - 位数
+ * @returns {string}
+ */
+function hotp(key, counter, algorithm, digits) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm.toLowerCase(), key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * 生成 TOTP 验证码 (RFC 6238)
+ * @param {string} secretOrUri - base32 密钥或 otpauth URI
+ * @param {number} timestamp - 时间戳(毫秒)，默认当前时间
+ * @returns {{ code: string, remainingMs: number }} - 验证码及其剩余有效时间
+ */
+export function generateTotp(secretOrUri, timestamp = Date.now()) {
+    const { key, algorithm, digits, period } = parseTotpSecret(secretOrUri);
+    const periodMs = period * 1000;
+    const counter = Math.floor(timestamp / periodMs);
+
+    return {
+        code: hotp(key, counter, algorithm, digits),
+        remainingMs: periodMs - (timestamp % periodMs),
+    };
+}
+
+/**
+ * 获取可安全提交的 TOTP 验证码
+ * 如果当前验证码即将过期，则等待下一个周期，避免提交时恰好失效
+ * @param {string} secretOrUri - base32 密钥或 otpauth URI
+ * @param {number} minRemainingMs - 最少剩余有效时间(毫秒)
+ * @returns {Promise<string>}
+ */
+export async function getFreshTotp(secretOrUri, minRemainingMs = 5000) {
+    const { code, remainingMs } = generateTotp(secretOrUri);
+    if (remainingMs >= minRemainingMs) {
+        return code;
+    }
+
+    console.log(`⏳ TOTP 即将过期，等待 ${Math.ceil(remainingMs / 1000)} 秒后生成新验证码...`);
+    await new Promise(res => setTimeout(res, remainingMs + 200));
+    return generateTotp(secretOrUri).code;
+}
+
+export default {
+    parseTotpSecret,
+    generateTotp,
+    getFreshTotp,
+};
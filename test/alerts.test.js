@@ -0,0 +1,146 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import notifier from '../src/notifier.js';
+import { parseProfile } from '../src/profile.js';
+import { parseRule, evaluateAlerts } from '../src/alerts.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+let dir;
+
+// 记录发出的告警，sendFails 为 true 时模拟发送失败
+const sent = [];
+let sendFails = false;
+
+/**
+ * 构造抓取结果 (只需要类型化资料)
+ * @param {object} raw - 页面文本，如 { ratio: '1.2' }
+ */
+const userData = raw => ({ profile: parseProfile(raw) });
+
+/**
+ * 构造历史记录
+ */
+function record(account, daysAgo, metrics) {
+    return { time: new Date(NOW - daysAgo * DAY).toISOString(), account, success: true, metrics };
+}
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mteam-alerts-'));
+    config.ALERT_STATE_PATH = path.join(dir, 'alert_state.json');
+    config.HISTORY_PATH = path.join(dir, 'history.jsonl');
+    config.ALERT_RULES = ['ratio < 1.5', 'missing:btClient'];
+    fs.writeFileSync(config.HISTORY_PATH, [
+        record('history', 4, { uploaded: 1000, bonusPerHour: 100 }),
+        record('history', 2, { uploaded: 1000, bonusPerHour: 80 }),
+        record('history', 1, { uploaded: 1000, bonusPerHour: 120 }),
+    ].map(r => JSON.stringify(r) + '\n').join(''));
+
+    notifier.sendAlert = async (alert, account, options = {}) => {
+        if (sendFails) {
+            throw new Error('network down');
+        }
+        sent.push({ account: account.name, resolved: Boolean(options.resolved), ...alert });
+    };
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    sent.length = 0;
+    sendFails = false;
+});
+
+test('parseRule: 阈值规则', () => {
+    const rule = parseRule('uploaded >= 100TB');
+    assert.equal(rule.id, 'uploaded>=100TB');
+
+    const result = rule.evaluate({ profile: parseProfile({ uploaded: '120 TB' }) });
+    assert.equal(result.triggered, true);
+    assert.equal(result.message, '上传量 120.00 TB ≥ 100.00 TB');
+    assert.equal(rule.evaluate({ profile: parseProfile({ uploaded: '80 TB' }) }).triggered, false);
+    assert.equal(rule.evaluate({ profile: parseProfile({}) }).triggered, null);
+});
+
+test('parseRule: stagnant 与 drop 对比历史记录', () => {
+    const account = { name: 'history' };
+    const stagnant = parseRule('stagnant:3');
+    assert.equal(stagnant.evaluate({ account, profile: parseProfile({ uploaded: '1000 B' }), now: NOW }).triggered, true);
+    assert.equal(stagnant.evaluate({ account, profile: parseProfile({ uploaded: '2000 B' }), now: NOW }).triggered, false);
+    // 历史记录不足 7 天时无法判断
+    assert.equal(parseRule('stagnant:7').evaluate({ account, profile: parseProfile({ uploaded: '1000 B' }), now: NOW }).triggered, null);
+
+    // 近 7 天平均值 100，下降 31% 超过 30%
+    const drop = parseRule('drop:bonusPerHour:30');
+    const dropped = drop.evaluate({ account, profile: parseProfile({ bonusPerHour: '69' }), now: NOW });
+    assert.equal(dropped.triggered, true);
+    assert.match(dropped.message, /下降 31\.0%$/);
+    assert.equal(drop.evaluate({ account, profile: parseProfile({ bonusPerHour: '71' }), now: NOW }).triggered, false);
+    assert.equal(drop.evaluate({ account: { name: 'none' }, profile: parseProfile({ bonusPerHour: '1' }), now: NOW }).triggered, null);
+});
+
+test('parseRule: 无效规则', () => {
+    assert.throws(() => parseRule('level<3'), /告警规则 level<3 的字段无效: level/);
+    assert.throws(() => parseRule('ratio<abc'), /阈值无法解析: abc/);
+    assert.throws(() => parseRule('stagnant:0'), /天数无效: 0/);
+    assert.throws(() => parseRule('drop:bonus:150'), /百分比无效: 150/);
+    assert.throws(() => parseRule('missing:hasNewMessage'), /字段无效: hasNewMessage/);
+    assert.throws(() => parseRule('ratio'), /无法识别的告警规则: ratio/);
+});
+
+test('evaluateAlerts: 条件持续成立时只告警一次，解除时发送恢复通知', async () => {
+    const account = { name: 'dedup' };
+
+    await evaluateAlerts(account, userData({ ratio: '1.2', btClient: 'qBittorrent' }), NOW);
+    await evaluateAlerts(account, userData({ ratio: '1.3', btClient: 'qBittorrent' }), NOW + DAY);
+    assert.deepEqual(sent.map(a => [a.rule, a.resolved, a.message]), [['ratio<1.5', false, '分享率 1.20 < 1.50']]);
+
+    const state = JSON.parse(fs.readFileSync(config.ALERT_STATE_PATH, 'utf8'));
+    assert.deepEqual(state.dedup, { 'ratio<1.5': { since: new Date(NOW).toISOString(), value: '1.20' } });
+
+    await evaluateAlerts(account, userData({ ratio: '1.6', btClient: 'qBittorrent' }), NOW + 2 * DAY);
+    assert.deepEqual(sent.slice(1).map(a => [a.rule, a.resolved, a.since]), [['ratio<1.5', true, new Date(NOW).toISOString()]]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(config.ALERT_STATE_PATH, 'utf8')).dedup, {});
+});
+
+test('evaluateAlerts: 发送失败时保持原状态，下次执行时重试', async () => {
+    const account = { name: 'retry' };
+
+    sendFails = true;
+    await evaluateAlerts(account, userData({ ratio: '1.2', btClient: 'qBittorrent' }), NOW);
+    assert.equal(sent.length, 0);
+
+    sendFails = false;
+    await evaluateAlerts(account, userData({ ratio: '1.2', btClient: 'qBittorrent' }), NOW + DAY);
+    assert.deepEqual(sent.map(a => a.rule), ['ratio<1.5']);
+
+    // 解除通知发送失败时仍保持告警状态
+    sendFails = true;
+    await evaluateAlerts(account, userData({ ratio: '2', btClient: 'qBittorrent' }), NOW + 2 * DAY);
+    sendFails = false;
+    await evaluateAlerts(account, userData({ ratio: '2', btClient: 'qBittorrent' }), NOW + 3 * DAY);
+    assert.deepEqual(sent.map(a => [a.rule, a.resolved]), [['ratio<1.5', false], ['ratio<1.5', true]]);
+});
+
+test('evaluateAlerts: 数据不足时保持状态，没有数值时跳过检查', async () => {
+    const account = { name: 'partial' };
+
+    await evaluateAlerts(account, userData({ ratio: '1.2' }), NOW);
+    assert.deepEqual(sent.map(a => a.rule), ['ratio<1.5', 'missing:btClient']);
+
+    // 分享率缺失时无法判断，不发送恢复通知
+    await evaluateAlerts(account, userData({ bonus: '100', btClient: 'qBittorrent' }), NOW + DAY);
+    assert.deepEqual(sent.slice(2).map(a => [a.rule, a.resolved]), [['missing:btClient', true]]);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(config.ALERT_STATE_PATH, 'utf8')).partial), ['ratio<1.5']);
+
+    await evaluateAlerts(account, userData({ btClient: 'qBittorrent' }), NOW + 2 * DAY);
+    await evaluateAlerts(account, { profile: null }, NOW + 2 * DAY);
+    assert.equal(sent.length, 3);
+});
@@ -0,0 +1,95 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { request } from 'playwright';
+
+// 本地桩服务: 按路径返回预设响应，并记录收到的请求
+const routes = new Map();
+const received = [];
+const server = http.createServer((req, res) => {
+    received.push({ method: req.method, url: req.url, headers: req.headers });
+    const route = routes.get(req.url) || { status: 404, body: { code: '404', message: 'not found' } };
+    res.writeHead(route.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(route.body));
+});
+
+let collectUserData;
+let requestContext;
+
+/**
+ * 测试用页面: 接口请求走 Playwright 的 APIRequestContext (不需要浏览器)，LocalStorage 令牌可指定
+ * @param {string|null} token
+ */
+function stubPage(token = null) {
+    return { request: requestContext, evaluate: async () => token };
+}
+
+const PROFILE = {
+    code: '0',
+    message: 'SUCCESS',
+    data: {
+        username: 'example_user',
+        role: 'Elite User',
+        createdDate: '2020-01-02 03:04:05',
+        memberCount: { uploaded: '53591862945710', downloaded: '13510798882816', shareRate: '3.967', bonus: '123456.7' },
+    },
+};
+const BONUS = { code: 0, data: { formulaParams: { finalBs: '56.78' } } };
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.MT_API_BASE = `http://127.0.0.1:${server.address().port}/api/`;
+    ({ collectUserData } = await import('../src/api_collector.js'));
+    requestContext = await request.newContext();
+});
+
+after(async () => {
+    await requestContext.dispose();
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    routes.clear();
+    received.length = 0;
+    routes.set('/api/member/profile', { status: 200, body: PROFILE });
+    routes.set('/api/tracker/mybonus', { status: 200, body: BONUS });
+});
+
+test('collectUserData: 按字段映射读取并转换接口数据', async () => {
+    const userData = await collectUserData(stubPage(), { name: 'a', apiKey: 'secret-key' });
+
+    assert.equal(userData.username, 'example_user');
+    assert.equal(userData.level, 'Elite User');
+    assert.equal(userData.uploaded, '48.74 TB');
+    assert.equal(userData.downloaded, '12.29 TB');
+    assert.equal(userData.ratio, '3.97');
+    assert.equal(userData.hasNewMessage, false);
+
+    assert.equal(userData.profile.uploaded, 53591862945710);
+    assert.equal(userData.profile.bonus, 123456.7);
+    assert.equal(userData.profile.bonusPerHour, 56.78);
+    assert.equal(userData.profile.joinDate, new Date(2020, 0, 2, 3, 4, 5).getTime());
+    assert.equal(userData.profile.btClient, null);
+    assert.equal(userData.btClient, 'N/A');
+
+    // 每个接口只请求一次，使用 POST 并携带 API Key
+    assert.deepEqual(received.map(r => `${r.method} ${r.url}`).sort(), ['POST /api/member/profile', 'POST /api/tracker/mybonus']);
+    assert.ok(received.every(r => r.headers['x-api-key'] === 'secret-key'));
+});
+
+test('collectUserData: 未配置 API Key 时使用 LocalStorage 令牌', async () => {
+    await collectUserData(stubPage('token-from-storage'), { name: 'a' });
+    assert.ok(received.every(r => r.headers.authorization === 'token-from-storage' && !r.headers['x-api-key']));
+
+    await assert.rejects(collectUserData(stubPage(null), { name: 'a' }), /LocalStorage 中没有 auth 令牌/);
+});
+
+test('collectUserData: 接口 code 不为 "0" 时报错', async () => {
+    routes.set('/api/member/profile', { status: 200, body: { code: '1', message: '令牌无效', data: null } });
+    await assert.rejects(collectUserData(stubPage(), { name: 'a', apiKey: 'k' }), /接口 \/member\/profile 返回错误: 令牌无效/);
+});
+
+test('collectUserData: 非 2xx 响应时报错', async () => {
+    routes.set('/api/tracker/mybonus', { status: 502, body: {} });
+    await assert.rejects(collectUserData(stubPage(), { name: 'a', apiKey: 'k' }), /接口 \/tracker\/mybonus 返回 HTTP 502/);
+});
@@ -0,0 +1,65 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import telegram from '../src/telegram.js';
+import notifier from '../src/notifier.js';
+import { login, saveSessionState } from '../src/auth.js';
+
+let dir;
+
+const STATE = { cookies: [{ name: 'tp', value: '1', domain: '.m-team.cc', path: '/', expires: Date.now() / 1000 + 86400 }], origins: [] };
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mteam-auth-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    config.SESSION_PASSPHRASE = '';
+    config.SESSION_KEY_FILE = '';
+});
+
+test('saveSessionState: 写入会话文件', async () => {
+    const storagePath = path.join(dir, 'session.json');
+    await saveSessionState(STATE, { name: 'a', storagePath });
+    assert.deepEqual(JSON.parse(fs.readFileSync(storagePath, 'utf8')), STATE);
+});
+
+test('saveSessionState: 写入失败时抛出错误 (由调用方发送警告)', async () => {
+    // 上级路径是普通文件，无法创建目录
+    const blocker = path.join(dir, 'blocker');
+    fs.writeFileSync(blocker, '');
+    await assert.rejects(saveSessionState(STATE, { name: 'a', storagePath: path.join(blocker, 'session.json') }));
+});
+
+test('saveSessionState: 加密失败时抛出错误', async () => {
+    config.SESSION_KEY_FILE = path.join(dir, 'missing.key');
+    const storagePath = path.join(dir, 'encrypted.json');
+    await assert.rejects(saveSessionState(STATE, { name: 'a', storagePath }), /missing\.key/);
+    assert.equal(fs.existsSync(storagePath), false);
+});
+
+test('login: 页面创建之前失败时发送不带截图的错误通知', async () => {
+    const notices = [];
+    const originals = { initUpdates: telegram.initUpdates, sendErrorNotice: notifier.sendErrorNotice };
+    telegram.initUpdates = async () => { };
+    notifier.sendErrorNotice = async (...args) => notices.push(args);
+
+    try {
+        const account = { name: 'a', storagePath: path.join(dir, 'none.json'), proxy: '' };
+        const browser = { newContext: async () => { throw new Error('browserContext: proxy rejected'); } };
+        const result = await login(account, browser);
+
+        assert.deepEqual([result.success, result.error], [false, 'browserContext: proxy rejected']);
+        assert.deepEqual(notices, [['browserContext: proxy rejected', null, account]]);
+    } finally {
+        telegram.initUpdates = originals.initUpdates;
+        notifier.sendErrorNotice = originals.sendErrorNotice;
+    }
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { compareMetrics, buildDeltas } from '../src/delta.js';
+
+const HOUR = 60 * 60 * 1000;
+const GB = 1024 ** 3;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+let dir;
+
+/**
+ * 构造历史记录
+ * @param {string} account
+ * @param {number} hoursAgo - 距 NOW 的小时数
+ * @param {object|null} metrics
+ * @param {boolean} success
+ */
+function record(account, hoursAgo, metrics, success = true) {
+    return { time: new Date(NOW - hoursAgo * HOUR).toISOString(), account, success, metrics };
+}
+
+const metrics = (uploadedGb, ratio, bonus) => ({
+    uploaded: uploadedGb * GB, downloaded: 10 * GB, ratio, bonus, bonusPerHour: null, seedTime: null, downloadTime: null,
+});
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mteam-delta-'));
+    config.HISTORY_PATH = path.join(dir, 'history.jsonl');
+    const records = [
+        // daily: 每天定时执行，基准快照比目标时间晚几分钟
+        record('daily', 8 * 24, metrics(80, 8, 1000)),
+        record('daily', 7 * 24 - 0.1, metrics(90, 9, 1500)),
+        record('daily', 23.9, metrics(100, 10, 2000)),
+        record('daily', 2, null, false),
+        record('daily', 1, { uploaded: null, downloaded: null, ratio: null, bonus: null }),
+        // single: 只有一条记录，较上次与近 24 小时使用同一快照
+        record('single', 30, metrics(100, 10, 2000)),
+    ];
+    fs.writeFileSync(config.HISTORY_PATH, records.map(r => JSON.stringify(r) + '\n').join(''));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('compareMetrics: 计算差值与平均上传速度', () => {
+    const snapshot = record('a', 2, metrics(100, 10, 2000));
+    const change = compareMetrics({ ...metrics(102, 10.5, 1900), downloaded: null }, snapshot, NOW);
+
+    assert.equal(change.elapsedMs, 2 * HOUR);
+    assert.equal(change.uploaded, 2 * GB);
+    assert.equal(change.downloaded, null);
+    assert.equal(change.ratio, 0.5);
+    assert.equal(change.bonus, -100);
+    assert.equal(change.uploadRate, 2 * GB / 7200);
+});
+
+test('buildDeltas: 各区间选取对应快照，跳过失败和无指标的记录', () => {
+    const deltas = buildDeltas('daily', metrics(102.5, 10.25, 2100.25), NOW);
+
+    assert.deepEqual(deltas.map(d => [d.key, d.label, d.elapsed]), [
+        ['previous', '较上次', '23 小时'],
+        ['week', '近 7 天', '6 天 23 小时'],
+    ]);
+    assert.deepEqual(deltas[0], {
+        key: 'previous',
+        label: '较上次',
+        elapsed: '23 小时',
+        uploaded: '+2.50 GB',
+        downloaded: '+0 B',
+        ratio: '+0.25',
+        bonus: '+100.3',
+        uploadRate: '30.47 KB/s',
+    });
+    assert.equal(deltas[1].uploaded, '+12.50 GB');
+    assert.equal(deltas[1].bonus, '+600.3');
+});
+
+test('buildDeltas: 基准时间允许 10% 误差', () => {
+    // 7 天 - 0.1 小时的快照在 "近 7 天" 的容差内，比它更早的 8 天记录不会被选中
+    const [, week] = buildDeltas('daily', metrics(90, 9, 1500), NOW);
+    assert.equal(week.uploaded, '+0 B');
+});
+
+test('buildDeltas: 相同快照只显示一次，缺少历史的区间跳过', () => {
+    const deltas = buildDeltas('single', metrics(99, 9.5, 2000), NOW);
+    assert.deepEqual(deltas.map(d => d.key), ['previous']);
+    assert.equal(deltas[0].uploaded, '-1.00 GB');
+    assert.equal(deltas[0].ratio, '-0.50');
+
+    assert.deepEqual(buildDeltas('missing', metrics(1, 1, 1), NOW), []);
+});
+
+test('buildDeltas: 指标缺失时显示 N/A', () => {
+    const [previous] = buildDeltas('single', { uploaded: null, downloaded: 10 * GB, ratio: null, bonus: null }, NOW);
+    assert.equal(previous.uploaded, 'N/A');
+    assert.equal(previous.uploadRate, 'N/A');
+    assert.equal(previous.downloaded, '+0 B');
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { parseTime, exportHistory } from '../src/export.js';
+
+const GiB = 1024 ** 3;
+
+let dir;
+
+const RECORDS = [
+    {
+        time: '2026-03-01T00:00:00.000Z',
+        account: 'main',
+        success: true,
+        run: { durationMs: 90000, loginPath: 'session' },
+        data: { username: 'a "quoted", name', level: 'Elite User' },
+        metrics: { uploaded: 3 * GiB, downloaded: GiB, ratio: 3, bonus: 100.5, bonusPerHour: 1.5, seedTime: 7200, downloadTime: null },
+    },
+    {
+        time: '2026-03-02T00:00:00.000Z',
+        account: 'main',
+        success: false,
+        error: '登录失败\n第二行',
+        run: { durationMs: 1500 },
+        data: null,
+        metrics: null,
+    },
+    {
+        time: '2026-03-03T00:00:00.000Z',
+        account: 'alt',
+        success: true,
+        run: {},
+        data: {},
+        metrics: { uploaded: GiB / 2, downloaded: 0, ratio: null, bonus: 0, bonusPerHour: null, seedTime: 86400, downloadTime: 0 },
+    },
+];
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mteam-export-'));
+    config.HISTORY_PATH = path.join(dir, 'history.jsonl');
+    fs.writeFileSync(config.HISTORY_PATH, RECORDS.map(r => JSON.stringify(r) + '\n').join(''));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('exportHistory: CSV 默认字段、CRLF 换行与转义', () => {
+    const { content, count } = exportHistory({ fields: ['time', 'account', 'success', 'error', 'username', 'uploaded'] });
+
+    assert.equal(count, 3);
+    assert.equal(content, [
+        'time,account,success,error,username,uploaded_B',
+        `2026-03-01T00:00:00.000Z,main,true,,"a ""quoted"", name",${3 * GiB}`,
+        '2026-03-02T00:00:00.000Z,main,false,"登录失败\n第二行",,',
+        `2026-03-03T00:00:00.000Z,alt,true,,,${GiB / 2}`,
+        '',
+    ].join('\r\n'));
+
+    assert.equal(exportHistory().content.split('\r\n')[0], 'time,account,success,uploaded_B,downloaded_B,ratio,bonus,bonusPerHour');
+});
+
+test('exportHistory: 容量与时长单位换算，表头带单位', () => {
+    const { content } = exportHistory({
+        account: 'main',
+        status: 'success',
+        fields: ['uploaded', 'downloaded', 'seedTime', 'downloadTime', 'duration', 'ratio'],
+        sizeUnit: 'GiB',
+        timeUnit: 'h',
+    });
+    assert.equal(content, 'uploaded_GiB,downloaded_GiB,seedTime_h,downloadTime_h,duration_h,ratio\r\n3,1,2,,0.025,3\r\n');
+});
+
+test('exportHistory: JSON / NDJSON 格式与筛选', () => {
+    const fields = ['account', 'success', 'seedTime'];
+    const json = exportHistory({ format: 'json', fields, timeUnit: 'd', since: Date.parse('2026-03-02T00:00:00Z') });
+    assert.deepEqual(JSON.parse(json.content), [
+        { account: 'main', success: false, seedTime: null },
+        { account: 'alt', success: true, seedTime: 1 },
+    ]);
+
+    const ndjson = exportHistory({ format: 'ndjson', fields, status: 'failure' });
+    assert.equal(ndjson.content, '{"account":"main","success":false,"seedTime":null}\n');
+    assert.equal(ndjson.count, 1);
+
+    assert.deepEqual(exportHistory({ format: 'json', account: 'missing' }), { content: '[]\n', count: 0 });
+});
+
+test('exportHistory: 无效选项', () => {
+    assert.throws(() => exportHistory({ format: 'xml' }), /导出格式无效: xml/);
+    assert.throws(() => exportHistory({ status: 'ok' }), /状态无效: ok/);
+    assert.throws(() => exportHistory({ sizeUnit: 'GB' }), /容量单位无效: GB/);
+    assert.throws(() => exportHistory({ timeUnit: 'w' }), /时长单位无效: w/);
+    assert.throws(() => exportHistory({ fields: ['time', 'foo', 'bar'] }), /未知字段: foo, bar/);
+});
+
+test('parseTime: 相对时间、本地日期与 ISO 时间', () => {
+    const now = Date.parse('2026-03-10T12:00:00Z');
+    assert.equal(parseTime('30d', false, now), now - 30 * 86400000);
+    assert.equal(parseTime('12H', false, now), now - 12 * 3600000);
+
+    const start = new Date(2026, 0, 1).getTime();
+    assert.equal(parseTime('2026-01-01'), start);
+    assert.equal(parseTime('2026-01-01', true), start + 86400000 - 1);
+
+    assert.equal(parseTime('2026-01-01T08:00:00+08:00'), Date.parse('2026-01-01T00:00:00Z'));
+    assert.throws(() => parseTime('yesterday'), /时间格式无效: yesterday/);
+});
@@ -0,0 +1,61 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { CHANNELS } from '../src/notify_channels.js';
+import { enqueue, defer, flushOutbox, getPendingCount } from '../src/outbox.js';
+
+let dir;
+
+// 测试渠道: 记录送达的通知标题
+const delivered = [];
+
+const notification = title => ({ event: 'success', title, text: '', account: { name: 'a', tgUserId: '1', password: 'secret' } });
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mteam-outbox-'));
+    config.OUTBOX_PATH = path.join(dir, 'outbox.json');
+    CHANNELS.test = {
+        enabled: () => true,
+        async send(n) {
+            delivered.push(n.title);
+        },
+    };
+});
+
+after(() => {
+    delete CHANNELS.test;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    delivered.length = 0;
+});
+
+test('flushOutbox: force 跳过重试间隔，但不提前发送免打扰时段延后的通知', async () => {
+    defer('test', notification('deferred'), new Date(Date.now() + 60 * 60 * 1000));
+    enqueue('test', notification('failed'), new Error('ETIMEDOUT'));
+
+    await flushOutbox();
+    assert.deepEqual(delivered, []);
+
+    await flushOutbox({ force: true });
+    assert.deepEqual(delivered, ['failed']);
+    assert.equal(getPendingCount(), 1);
+
+    // 队列文件中不保存账号的敏感字段
+    const [entry] = JSON.parse(fs.readFileSync(config.OUTBOX_PATH, 'utf8'));
+    assert.deepEqual(entry.notification.account, { name: 'a', tgUserId: '1' });
+});
+
+test('flushOutbox: 延后时间到达后发送', async () => {
+    defer('test', notification('soon'), new Date(Date.now() + 20));
+    await flushOutbox({ force: true });
+    assert.deepEqual(delivered, []);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await flushOutbox();
+    assert.deepEqual(delivered, ['soon']);
+});
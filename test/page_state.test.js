@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { PageState, SNAPSHOT_SELECTOR_GROUPS, classifyPage } from '../src/page_state.js';
+import { getSiteProfile } from '../src/site.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/page_state/', import.meta.url));
+const INDEX_URL = 'https://kp.m-team.cc/index.php';
+
+/**
+ * 保存的页面快照 (capturePageSnapshot 的输出) -> 期望的状态
+ */
+const CASES = [
+    { file: 'login_form.json', state: PageState.LOGIN_FORM },
+    { file: 'device_approval.json', state: PageState.DEVICE_APPROVAL },
+    { file: 'totp.json', state: PageState.TOTP },
+    { file: 'email_code.json', state: PageState.EMAIL_CODE },
+    { file: 'announcement.json', state: PageState.ANNOUNCEMENT },
+    { file: 'logged_in.json', state: PageState.LOGGED_IN },
+    { file: 'logged_in_keywords.json', state: PageState.LOGGED_IN },
+    { file: 'banned.json', state: PageState.BANNED },
+    { file: 'captcha.json', state: PageState.CAPTCHA },
+    { file: 'rate_limited.json', state: PageState.RATE_LIMITED },
+    { file: 'unknown.json', state: PageState.UNKNOWN },
+];
+
+const loadSnapshot = file => JSON.parse(fs.readFileSync(FIXTURES + file, 'utf8'));
+
+for (const { file, state } of CASES) {
+    test(`classifyPage: ${file} -> ${state}`, () => {
+        assert.equal(classifyPage(loadSnapshot(file)), state);
+    });
+}
+
+test('快照中的选择器与当前站点配置一致', () => {
+    const { selectors } = getSiteProfile();
+    for (const group of SNAPSHOT_SELECTOR_GROUPS) {
+        assert.ok(Array.isArray(selectors[group]), `站点配置缺少选择器分组: ${group}`);
+    }
+
+    for (const { file } of CASES) {
+        const { matches } = loadSnapshot(file);
+        assert.deepEqual(Object.keys(matches), [...SNAPSHOT_SELECTOR_GROUPS], file);
+        for (const [group, selector] of Object.entries(matches)) {
+            if (selector !== null) {
+                assert.ok(selectors[group].includes(selector), `${file}: ${group} 中没有选择器 ${selector}`);
+            }
+        }
+    }
+});
+
+test('classifyPage: 每种状态都有对应的页面', () => {
+    const covered = new Set(CASES.map(item => item.state));
+    assert.deepEqual(Object.values(PageState).filter(state => !covered.has(state)), []);
+});
+
+test('classifyPage: 阻断性关键字出现在标题中时始终生效', () => {
+    const snapshot = { url: INDEX_URL, title: '429 Too Many Requests', text: '', matches: { userIndicators: '.username' } };
+    assert.equal(classifyPage(snapshot), PageState.RATE_LIMITED);
+});
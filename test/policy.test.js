@@ -0,0 +1,108 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { applyPolicy, getQuietUntil, Severity } from '../src/policy.js';
+
+let dir;
+let counter = 0;
+
+// 每个测试使用新的账号，避免共享连续失败次数
+let account;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mteam-policy-'));
+    config.NOTIFY_STATE_PATH = path.join(dir, 'notify_state.json');
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    account = { name: `account-${++counter}` };
+    config.NOTIFY_MODE = 'always';
+    config.NOTIFY_QUIET_HOURS = '';
+    config.NOTIFY_ESCALATE_AFTER = 2;
+    config.NOTIFY_SILENT_SUCCESS = true;
+});
+
+const DAYTIME = new Date(2026, 0, 1, 12, 0);
+const NIGHT = new Date(2026, 0, 1, 23, 30);
+
+test('getQuietUntil: 跨午夜的免打扰时段', () => {
+    config.NOTIFY_QUIET_HOURS = '23-7';
+    assert.equal(getQuietUntil(DAYTIME), null);
+    assert.deepEqual(getQuietUntil(NIGHT), new Date(2026, 0, 2, 8, 0));
+    assert.deepEqual(getQuietUntil(new Date(2026, 0, 2, 3, 15)), new Date(2026, 0, 2, 8, 0));
+    assert.equal(getQuietUntil(new Date(2026, 0, 2, 8, 0)), null);
+
+    config.NOTIFY_QUIET_HOURS = '';
+    assert.equal(getQuietUntil(NIGHT), null);
+});
+
+test('applyPolicy: 免打扰时段内延后非紧急通知，紧急通知立即发送', () => {
+    config.NOTIFY_QUIET_HOURS = '23-7';
+
+    const success = { event: 'success', account, data: {} };
+    assert.deepEqual(applyPolicy(success, NIGHT), { action: 'defer', until: new Date(2026, 0, 2, 8, 0) });
+    assert.equal(success.severity, Severity.INFO);
+    assert.equal(success.silent, true);
+
+    assert.deepEqual(applyPolicy({ event: 'tfa', account }, NIGHT), { action: 'send' });
+    assert.deepEqual(applyPolicy({ event: 'success', account, data: {} }, DAYTIME), { action: 'send' });
+});
+
+test('applyPolicy: 连续失败达到阈值后升级为 critical，成功后重置', () => {
+    config.NOTIFY_QUIET_HOURS = '23-7';
+
+    const first = { event: 'failure', account, data: {} };
+    assert.equal(applyPolicy(first, NIGHT).action, 'defer');
+    assert.deepEqual([first.data.consecutiveFailures, first.data.escalated, first.severity], [1, false, Severity.WARNING]);
+
+    const second = { event: 'failure', account, data: {} };
+    assert.equal(applyPolicy(second, NIGHT).action, 'send');
+    assert.deepEqual([second.data.consecutiveFailures, second.data.escalated, second.severity], [2, true, Severity.CRITICAL]);
+
+    applyPolicy({ event: 'success', account, data: {} }, DAYTIME);
+    const afterRecovery = { event: 'failure', account, data: {} };
+    applyPolicy(afterRecovery, DAYTIME);
+    assert.equal(afterRecovery.data.consecutiveFailures, 1);
+});
+
+test('applyPolicy: 警告不计入连续失败', () => {
+    for (let i = 0; i < 3; i++) {
+        const warning = { event: 'warning', account, title: '⚠️ 状态保存失败', text: '' };
+        applyPolicy(warning, DAYTIME);
+        assert.equal(warning.severity, Severity.WARNING);
+    }
+    const failure = { event: 'failure', account, data: {} };
+    applyPolicy(failure, DAYTIME);
+    assert.equal(failure.data.consecutiveFailures, 1);
+});
+
+test('applyPolicy: on-failure 模式只在从失败中恢复时发送成功报告', () => {
+    config.NOTIFY_MODE = 'on-failure';
+    assert.equal(applyPolicy({ event: 'success', account, data: {} }, DAYTIME).action, 'skip');
+
+    applyPolicy({ event: 'failure', account, data: {} }, DAYTIME);
+    assert.equal(applyPolicy({ event: 'success', account, data: {} }, DAYTIME).action, 'send');
+    assert.equal(applyPolicy({ event: 'success', account, data: {} }, DAYTIME).action, 'skip');
+});
+
+test('applyPolicy: on-change 模式在关键字段变化时发送', () => {
+    config.NOTIFY_MODE = 'on-change';
+    const report = data => applyPolicy({ event: 'success', account, data }, DAYTIME).action;
+
+    assert.equal(report({ level: 'User', hasNewMessage: false, uploaded: '1 TB' }), 'send');
+    assert.equal(report({ level: 'User', hasNewMessage: false, uploaded: '2 TB' }), 'skip');
+    assert.equal(report({ level: 'Power User', hasNewMessage: false, uploaded: '2 TB' }), 'send');
+});
+
+test('applyPolicy: 状态写入 NOTIFY_STATE_PATH', () => {
+    applyPolicy({ event: 'failure', account, data: {} }, DAYTIME);
+    const state = JSON.parse(fs.readFileSync(config.NOTIFY_STATE_PATH, 'utf8'));
+    assert.equal(state[account.name].failures, 1);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBytes, parseRatio, parseDuration, parseDate, parseProfile, formatBytes, formatDuration } from '../src/profile.js';
+
+const DAY = 86400;
+
+test('parseDuration: 英文单位', () => {
+    assert.equal(parseDuration('1 day'), DAY);
+    assert.equal(parseDuration('3 days'), 3 * DAY);
+    assert.equal(parseDuration('2 days 3 hours'), 2 * DAY + 3 * 3600);
+    assert.equal(parseDuration('1 year 2 months'), 365 * DAY + 60 * DAY);
+    assert.equal(parseDuration('2 weeks'), 14 * DAY);
+    assert.equal(parseDuration('5 mins 30 secs'), 330);
+    assert.equal(parseDuration('30d'), 30 * DAY);
+    assert.equal(parseDuration('1.5h'), 5400);
+    assert.equal(parseDuration('1y'), 365 * DAY);
+});
+
+test('parseDuration: 中文单位与时分秒', () => {
+    assert.equal(parseDuration('123天 04:05:06'), 123 * DAY + 4 * 3600 + 5 * 60 + 6);
+    assert.equal(parseDuration('5天3時20分'), 5 * DAY + 3 * 3600 + 20 * 60);
+    assert.equal(parseDuration('2天5小时'), 2 * DAY + 5 * 3600);
+    assert.equal(parseDuration('1年2个月'), 365 * DAY + 60 * DAY);
+    assert.equal(parseDuration('10分钟'), 600);
+    assert.equal(parseDuration('12:30'), 12 * 3600 + 30 * 60);
+});
+
+test('parseDuration: 数字与无法解析的文本', () => {
+    assert.equal(parseDuration(3600), 3600);
+    assert.equal(parseDuration(Infinity), null);
+    assert.equal(parseDuration('N/A'), null);
+    assert.equal(parseDuration('5 apples'), null);
+});
+
+test('parseBytes: 1024 进制与单位写法', () => {
+    assert.equal(parseBytes('512 B'), 512);
+    assert.equal(parseBytes('512 KB'), 512 * 1024);
+    assert.equal(parseBytes('1.5 MiB'), 1.5 * 1024 ** 2);
+    assert.equal(parseBytes('1,024.5 GiB'), Math.round(1024.5 * 1024 ** 3));
+    assert.equal(parseBytes('48.74 TB'), Math.round(48.74 * 1024 ** 4));
+    assert.equal(parseBytes('2 pb'), 2 * 1024 ** 5);
+    assert.equal(parseBytes('100TB'), 100 * 1024 ** 4);
+    assert.equal(parseBytes('-1 GB'), -(1024 ** 3));
+});
+
+test('parseBytes: 数字与无法解析的文本', () => {
+    assert.equal(parseBytes(123), 123);
+    assert.equal(parseBytes(NaN), null);
+    assert.equal(parseBytes('48.74'), null);
+    assert.equal(parseBytes(''), null);
+});
+
+test('parseRatio: 数值、千分位与无穷大', () => {
+    assert.equal(parseRatio('3.96'), 3.96);
+    assert.equal(parseRatio('1,234.56'), 1234.56);
+    assert.equal(parseRatio(2), 2);
+    assert.equal(parseRatio('∞'), Infinity);
+    assert.equal(parseRatio('Inf.'), Infinity);
+    assert.equal(parseRatio(Infinity), Infinity);
+    assert.equal(parseRatio('---'), null);
+});
+
+test('parseDate: 按本地时区解析', () => {
+    assert.equal(parseDate('2020-01-02 03:04:05'), new Date(2020, 0, 2, 3, 4, 5).getTime());
+    assert.equal(parseDate('2020/1/2'), new Date(2020, 0, 2).getTime());
+    assert.equal(parseDate('yesterday'), null);
+});
+
+test('formatBytes / formatDuration', () => {
+    assert.equal(formatBytes(512), '512 B');
+    assert.equal(formatBytes(1.5 * 1024 ** 4), '1.50 TB');
+    assert.equal(formatDuration(123 * DAY + 4 * 3600 + 5 * 60), '123 天 4 小时 5 分');
+    assert.equal(formatDuration(30), '0 分');
+});
+
+test('parseProfile: 负数、无法解析与分享率不一致记录为问题', () => {
+    const profile = parseProfile({
+        uploaded: '-1 GB',
+        downloaded: '10 GB',
+        ratio: '5.00',
+        bonus: 'abc',
+        seedTime: '3 days',
+    });
+    assert.equal(profile.uploaded, null);
+    assert.equal(profile.bonus, null);
+    assert.equal(profile.seedTime, 3 * DAY);
+    assert.equal(profile.hasNewMessage, false);
+    assert.equal(profile.issues.length, 2);
+
+    const inconsistent = parseProfile({ uploaded: '20 GB', downloaded: '10 GB', ratio: '5.00' });
+    assert.match(inconsistent.issues.join('\n'), /不一致/);
+    assert.deepEqual(parseProfile({ uploaded: '20 GB', downloaded: '10 GB', ratio: '2.00' }).issues, []);
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { getClasses, evaluatePromotion } from '../src/promotion.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const GB = 1024 ** 3;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+let dir;
+
+/**
+ * 构造类型化资料 (只包含升级条件用到的字段)
+ */
+const profile = ({ level = 'User', weeks = 2, uploadedGb = 150, downloadedGb = 50, bonus = 30000 } = {}) => ({
+    level,
+    joinDate: NOW - weeks * 7 * DAY,
+    uploaded: uploadedGb * GB,
+    downloaded: downloadedGb * GB,
+    ratio: uploadedGb / downloadedGb,
+    bonus,
+});
+
+function record(account, daysAgo, metrics) {
+    return { time: new Date(NOW - daysAgo * DAY).toISOString(), account, success: true, metrics };
+}
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mteam-promotion-'));
+    config.HISTORY_PATH = path.join(dir, 'history.jsonl');
+    fs.writeFileSync(config.HISTORY_PATH, [
+        // 窗口外的记录与不足 1 天的记录不参与速度估算
+        record('growing', 8, { uploaded: 0, downloaded: 0, bonus: 0 }),
+        record('growing', 5, { uploaded: 100 * GB, downloaded: 50 * GB, bonus: 20000 }),
+        record('growing', 0.5, { uploaded: 149 * GB, downloaded: 50 * GB, bonus: 29000 }),
+        record('ratio', 5, { uploaded: 100 * GB, downloaded: 100 * GB, bonus: 50000 }),
+    ].map(r => JSON.stringify(r) + '\n').join(''));
+
+    // 通过 SITE_PROFILE_FILE 整体覆盖等级条件
+    config.SITE_PROFILE_FILE = path.join(dir, 'site.json');
+    fs.writeFileSync(config.SITE_PROFILE_FILE, JSON.stringify({
+        extends: 'mteam',
+        classes: [
+            { name: 'User', aliases: ['用户'] },
+            { name: 'Power User', aliases: ['PU'], minWeeks: 4, minUploaded: '200 GB', minRatio: 2, minBonus: 40000 },
+            { name: 'Elite User' },
+        ],
+    }));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('getClasses: 读取站点配置中的等级条件', () => {
+    assert.deepEqual(getClasses().map(c => [c.name, c.minWeeks, c.minUploaded, c.minRatio, c.minBonus]), [
+        ['User', 0, 0, 0, 0],
+        ['Power User', 4, 200 * GB, 2, 40000],
+        ['Elite User', 0, 0, 0, 0],
+    ]);
+});
+
+test('evaluatePromotion: 按近 7 天增长速度估算各条件满足时间', () => {
+    const result = evaluatePromotion(profile(), 'growing', NOW);
+
+    assert.equal(result.current, 'User');
+    assert.equal(result.next, 'Power User');
+    assert.deepEqual(result.requirements.map(r => [r.key, r.actual, r.required, r.gap, r.met, r.etaMs]), [
+        ['weeks', '2 周', '4 周', '14 天 0 小时', false, 14 * DAY],
+        ['uploaded', '150.00 GB', '200.00 GB', '50.00 GB', false, 5 * DAY],
+        ['ratio', '3.00', '2.00', '', true, 0],
+        ['bonus', '30,000', '40,000', '10,000', false, 5 * DAY],
+    ]);
+    // 最晚满足的条件决定升级时间
+    assert.equal(result.etaMs, 14 * DAY);
+    assert.equal(result.eta, '约 14 天 0 小时后');
+    assert.equal(result.summary, '注册时长 差 14 天 0 小时 · 上传量 差 50.00 GB · 分享率 ✓ · 魔力值 差 10,000');
+});
+
+test('evaluatePromotion: 分享率按上传与下载速度求解', () => {
+    const result = evaluatePromotion(profile({ weeks: 5, uploadedGb: 150, downloadedGb: 100, bonus: 60000 }), 'ratio', NOW);
+    const ratio = result.requirements.find(r => r.key === 'ratio');
+
+    assert.deepEqual([ratio.actual, ratio.gap, ratio.met], ['1.50', '0.50', false]);
+    // 上传 10 GB/天、下载不增长，需要再上传 50 GB
+    assert.equal(ratio.etaMs, 5 * DAY);
+    assert.equal(result.etaMs, 5 * DAY);
+});
+
+test('evaluatePromotion: 没有历史增长数据时无法估算', () => {
+    const result = evaluatePromotion(profile(), 'new-account', NOW);
+    assert.equal(result.requirements.find(r => r.key === 'uploaded').etaMs, null);
+    assert.equal(result.etaMs, null);
+    assert.equal(result.eta, '');
+});
+
+test('evaluatePromotion: 已满足全部条件', () => {
+    const result = evaluatePromotion(profile({ weeks: 5, uploadedGb: 300, downloadedGb: 100, bonus: 50000 }), 'new-account', NOW);
+    assert.equal(result.etaMs, 0);
+    assert.equal(result.eta, '已满足全部条件');
+    assert.equal(result.summary, '注册时长 ✓ · 上传量 ✓ · 分享率 ✓ · 魔力值 ✓');
+});
+
+test('evaluatePromotion: 别名匹配、最高等级与未知等级', () => {
+    assert.equal(evaluatePromotion(profile({ level: 'pu' }), 'growing', NOW).next, 'Elite User');
+    assert.equal(evaluatePromotion(profile({ level: '用户' }), 'growing', NOW).current, 'User');
+
+    assert.deepEqual(evaluatePromotion(profile({ level: 'Elite_User' }), 'growing', NOW), {
+        current: 'Elite User', next: null, requirements: [], etaMs: 0, eta: '', summary: '已是最高等级',
+    });
+    assert.equal(evaluatePromotion(profile({ level: 'Nexus Master' }), 'growing', NOW), null);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeUserData, collectUserData } from '../src/scraper.js';
+
+/**
+ * 测试用页面: 打开页面即失败
+ */
+const brokenPage = () => ({
+    url: () => 'about:blank',
+    goto: async () => { throw new Error('page.goto: net::ERR_CONNECTION_RESET'); },
+});
+
+test('scrapeUserData: 抓取失败时抛出错误，不返回空数据', async () => {
+    await assert.rejects(scrapeUserData(brokenPage(), 'https://kp.m-team.cc'), /数据抓取失败: page\.goto: net::ERR_CONNECTION_RESET/);
+});
+
+test('collectUserData: 页面抓取失败时抛出错误', async () => {
+    await assert.rejects(collectUserData(brokenPage(), { name: 'a', dataSource: 'dom' }, 'https://kp.m-team.cc'), /数据抓取失败/);
+});
@@ -0,0 +1,114 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { writeFileAtomic, writeSessionFile, readSessionFile, listBackups, loadSessionCandidates } from '../src/session_store.js';
+
+let dir;
+let sessionPath;
+
+/**
+ * 构造 storageState
+ * @param {string} value - 认证 Cookie 的值
+ * @param {number} expiresInDays - 过期时间 (天，负数表示已过期)
+ */
+function makeState(value, expiresInDays = 30) {
+    return {
+        cookies: [{ name: 'tp', value, domain: '.m-team.cc', path: '/', expires: Date.now() / 1000 + expiresInDays * 86400 }],
+        origins: [],
+    };
+}
+
+// 备份文件名精确到毫秒，连续写入之间稍等
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mteam-session-'));
+    sessionPath = path.join(dir, 'session.json');
+    config.SESSION_BACKUP_COUNT = 2;
+    config.SESSION_PASSPHRASE = '';
+    config.SESSION_KEY_FILE = '';
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('writeFileAtomic: 写入内容且不留下临时文件', () => {
+    const target = path.join(dir, 'data.json');
+    writeFileAtomic(target, 'first');
+    writeFileAtomic(target, 'second');
+    assert.equal(fs.readFileSync(target, 'utf8'), 'second');
+    assert.deepEqual(fs.readdirSync(dir), ['data.json']);
+});
+
+test('writeFileAtomic: 替换失败时保留原文件并清理临时文件', () => {
+    // 目标是非空目录，rename 会失败
+    const target = path.join(dir, 'occupied');
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, 'keep.txt'), 'keep');
+
+    assert.throws(() => writeFileAtomic(target, 'data'));
+    assert.deepEqual(fs.readdirSync(dir), ['occupied']);
+    assert.equal(fs.readFileSync(path.join(target, 'keep.txt'), 'utf8'), 'keep');
+});
+
+test('writeSessionFile: 写入备份并只保留 SESSION_BACKUP_COUNT 份', async () => {
+    for (const value of ['a', 'b', 'c']) {
+        await writeSessionFile(sessionPath, makeState(value), { backup: true });
+        await tick();
+    }
+    await writeSessionFile(sessionPath, makeState('d'));
+
+    const backups = listBackups(sessionPath);
+    assert.equal(backups.length, 2);
+    // 从新到旧，未要求备份的写入不产生备份
+    assert.deepEqual(backups.map(file => JSON.parse(fs.readFileSync(file, 'utf8')).cookies[0].value), ['c', 'b']);
+    assert.equal((await readSessionFile(sessionPath)).cookies[0].value, 'd');
+});
+
+test('listBackups: 不包含名称为其前缀的其他会话文件的备份', async () => {
+    const other = path.join(dir, 'session.b.json');
+    await writeSessionFile(sessionPath, makeState('a'), { backup: true });
+    await writeSessionFile(other, makeState('b'), { backup: true });
+
+    assert.deepEqual(listBackups(sessionPath).map(file => JSON.parse(fs.readFileSync(file, 'utf8')).cookies[0].value), ['a']);
+    assert.deepEqual(listBackups(other).map(file => JSON.parse(fs.readFileSync(file, 'utf8')).cookies[0].value), ['b']);
+});
+
+test('loadSessionCandidates: 当前文件损坏时回退到备份', async () => {
+    await writeSessionFile(sessionPath, makeState('old'), { backup: true });
+    await tick();
+    await writeSessionFile(sessionPath, makeState('new'), { backup: true });
+    fs.writeFileSync(sessionPath, '{"cookies": [');
+
+    const candidates = await loadSessionCandidates(sessionPath);
+    assert.deepEqual(candidates.map(c => [c.source, c.state.cookies[0].value]), [['backup', 'new'], ['backup', 'old']]);
+});
+
+test('loadSessionCandidates: 跳过已过期的会话并对相同内容去重', async () => {
+    const valid = makeState('valid');
+    await writeSessionFile(sessionPath, valid, { backup: true });
+    await tick();
+    await writeSessionFile(sessionPath, makeState('expired', -1), { backup: true });
+
+    const candidates = await loadSessionCandidates(sessionPath);
+    assert.deepEqual(candidates.map(c => [c.source, c.state.cookies[0].value]), [['backup', 'valid']]);
+
+    await writeSessionFile(sessionPath, valid);
+    const deduped = await loadSessionCandidates(sessionPath);
+    assert.deepEqual(deduped.map(c => c.source), ['current']);
+});
+
+test('writeSessionFile: 启用口令时加密存储并可读回', async () => {
+    config.SESSION_PASSPHRASE = 'correct horse battery staple';
+    await writeSessionFile(sessionPath, makeState('secret-cookie'));
+
+    assert.ok(!fs.readFileSync(sessionPath, 'utf8').includes('secret-cookie'));
+    assert.equal((await readSessionFile(sessionPath)).cookies[0].value, 'secret-cookie');
+
+    config.SESSION_PASSPHRASE = 'wrong passphrase';
+    await assert.rejects(readSessionFile(sessionPath));
+});
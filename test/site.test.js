@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rebaseStorageState, isNetworkError, buildUrl } from '../src/site.js';
+
+const future = Date.now() / 1000 + 86400;
+
+test('rebaseStorageState: 镜像域名的 Cookie 改写为目标镜像', () => {
+    const state = {
+        cookies: [
+            { name: 'host', value: '1', domain: 'kp.m-team.cc', path: '/', expires: future },
+            { name: 'root', value: '2', domain: '.m-team.cc', path: '/', expires: future },
+            { name: 'sub', value: '3', domain: 'api.m-team.cc', path: '/', expires: future },
+            { name: 'other', value: '4', domain: '.example.com', path: '/', expires: future },
+            { name: 'session', value: '5', domain: 'kp.m-team.cc', path: '/', expires: -1 },
+        ],
+        origins: [
+            { origin: 'https://kp.m-team.cc', localStorage: [{ name: 'auth', value: 'token' }] },
+            { origin: 'https://example.com', localStorage: [] },
+        ],
+    };
+
+    const rebased = rebaseStorageState(state, 'https://zp.m-team.io');
+    assert.deepEqual(rebased.cookies.map(c => [c.name, c.domain]), [
+        ['host', 'zp.m-team.io'],
+        ['root', '.m-team.io'],
+        ['sub', 'api.m-team.io'],
+        ['other', '.example.com'],
+        ['session', 'zp.m-team.io'],
+    ]);
+    assert.deepEqual(rebased.origins.map(o => o.origin), ['https://zp.m-team.io', 'https://example.com']);
+    assert.deepEqual(rebased.origins[0].localStorage, [{ name: 'auth', value: 'token' }]);
+
+    // 不修改原对象
+    assert.equal(state.cookies[0].domain, 'kp.m-team.cc');
+});
+
+test('rebaseStorageState: 镜像主机的 Cookie 改写为目标镜像主机', () => {
+    const state = {
+        cookies: [
+            { name: 'xp', value: '1', domain: 'xp.m-team.io', path: '/', expires: future },
+            { name: 'zp', value: '2', domain: 'zp.m-team.io', path: '/', expires: future },
+            { name: 'api', value: '3', domain: 'api.m-team.io', path: '/', expires: future },
+        ],
+    };
+
+    // xp 排在 zp 之后，不能先按 zp 的主域 m-team.io 改写为 xp.m-team.cc
+    assert.deepEqual(rebaseStorageState(state, 'https://kp.m-team.cc').cookies.map(c => c.domain), [
+        'kp.m-team.cc',
+        'kp.m-team.cc',
+        'api.m-team.cc',
+    ]);
+    assert.deepEqual(rebaseStorageState(state, 'https://zp.m-team.io').cookies.map(c => c.domain), [
+        'zp.m-team.io',
+        'zp.m-team.io',
+        'api.m-team.io',
+    ]);
+});
+
+test('rebaseStorageState: 丢弃已过期的 Cookie', () => {
+    const state = {
+        cookies: [
+            { name: 'expired', value: '1', domain: '.m-team.cc', path: '/', expires: Date.now() / 1000 - 60 },
+            { name: 'valid', value: '2', domain: '.m-team.cc', path: '/', expires: future },
+        ],
+    };
+    assert.deepEqual(rebaseStorageState(state, 'https://kp.m-team.cc').cookies.map(c => c.name), ['valid']);
+});
+
+test('rebaseStorageState: 空会话原样返回', () => {
+    assert.equal(rebaseStorageState(null, 'https://zp.m-team.io'), null);
+});
+
+test('isNetworkError: 只有网络层错误需要切换镜像', () => {
+    assert.equal(isNetworkError(new Error('page.goto: net::ERR_NAME_NOT_RESOLVED at https://kp.m-team.cc/')), true);
+    assert.equal(isNetworkError(new Error('net::ERR_CONNECTION_REFUSED')), true);
+    assert.equal(isNetworkError(new Error('page.goto: Timeout 30000ms exceeded.')), true);
+    assert.equal(isNetworkError(new Error('apiRequestContext.post: connect ECONNREFUSED 127.0.0.1:443')), true);
+    assert.equal(isNetworkError(new Error('apiRequestContext.post: getaddrinfo ENOTFOUND api.m-team.cc')), true);
+    // 页面打开后的等待超时不切换镜像
+    assert.equal(isNetworkError(Object.assign(new Error('page.waitForSelector: Timeout 10000ms exceeded.'), { name: 'TimeoutError' })), false);
+    assert.equal(isNetworkError(new Error('page.waitForLoadState: Timeout 30000ms exceeded.')), false);
+    assert.equal(isNetworkError(new Error('登录失败: 用户名或密码错误')), false);
+    assert.equal(isNetworkError(null), false);
+});
+
+test('buildUrl: 拼接镜像地址与页面路径', () => {
+    assert.equal(buildUrl('https://zp.m-team.io', 'login'), 'https://zp.m-team.io/login.php');
+    assert.throws(() => buildUrl('https://zp.m-team.io', 'missing'), /缺少页面路径: missing/);
+});
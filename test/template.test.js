@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Format, parseTemplate, renderTemplate, renderMessage } from '../src/template.js';
+
+// 用户可控的字段 (账号名、错误信息、页面文本等)
+const HOSTILE = 'a_b*[c](d)<script>&"`\\';
+
+test('renderTemplate: HTML 转义字段，保留格式标记', () => {
+    assert.equal(
+        renderTemplate('<b>{{name}}</b> <code>{{name}}</code>', { name: HOSTILE }, Format.HTML),
+        '<b>a_b*[c](d)&lt;script&gt;&amp;&quot;`\\</b> <code>a_b*[c](d)&lt;script&gt;&amp;&quot;`\\</code>',
+    );
+    // 模板文本中的实体按原字符输出
+    assert.equal(renderTemplate('1 &lt; 2 &amp;&amp; {{x}}', { x: '<i>' }, Format.HTML), '1 &lt; 2 &amp;&amp; &lt;i&gt;');
+});
+
+test('renderTemplate: MarkdownV2 转义字段，代码块内只转义 ` 和 \\', () => {
+    assert.equal(
+        renderTemplate('<b>{{name}}</b>', { name: HOSTILE }, Format.MARKDOWN_V2),
+        '*a\\_b\\*\\[c\\]\\(d\\)<script\\>&"\\`\\\\*',
+    );
+    assert.equal(renderTemplate('<code>{{name}}</code>', { name: HOSTILE }, Format.MARKDOWN_V2), '`a_b*[c](d)<script>&"\\`\\\\`');
+    assert.equal(renderTemplate('v1.2 - ok!', {}, Format.MARKDOWN_V2), 'v1\\.2 \\- ok\\!');
+});
+
+test('renderTemplate: 通用 Markdown 与纯文本', () => {
+    assert.equal(renderTemplate('<b>{{name}}</b> <i>x</i>', { name: HOSTILE }, Format.MARKDOWN), '**a\\_b\\*\\[c\\](d)<script>&"\\`\\\\** *x*');
+    assert.equal(renderTemplate('<b>{{name}}</b> <code>y</code>', { name: HOSTILE }, Format.PLAIN), `${HOSTILE} y`);
+});
+
+test('renderTemplate: 链接地址按格式转义', () => {
+    const template = '<a href="{{url}}">{{text}}</a>';
+    const data = { url: 'https://kp.m-team.cc/verify?a=1&b="2")', text: '批准_1' };
+
+    assert.equal(renderTemplate(template, data, Format.HTML), '<a href="https://kp.m-team.cc/verify?a=1&amp;b=&quot;2&quot;)">批准_1</a>');
+    assert.equal(renderTemplate(template, data, Format.MARKDOWN_V2), '[批准\\_1](https://kp.m-team.cc/verify?a=1&b="2"\\))');
+    assert.equal(renderTemplate(template, data, Format.PLAIN), '批准_1');
+});
+
+test('renderTemplate: 缺失字段输出为空，点分路径', () => {
+    assert.equal(renderTemplate('[{{missing}}] [{{a.b.c}}] [{{a.x.y}}] [{{zero}}]', { a: { b: { c: 'deep' } }, zero: 0 }), '[] [deep] [] [0]');
+});
+
+test('renderTemplate: 条件区块与反向区块', () => {
+    const template = '{{#value}}有: {{value}}{{/value}}{{^value}}无{{/value}}';
+    for (const empty of [undefined, null, false, '', 'N/A', []]) {
+        assert.equal(renderTemplate(template, { value: empty }), '无', String(empty));
+    }
+    assert.equal(renderTemplate(template, { value: 0 }), '有: 0');
+    assert.equal(renderTemplate(template, { value: 'x' }), '有: x');
+
+    // 对象区块中的字段优先从对象读取，找不到时向外层查找
+    assert.equal(renderTemplate('{{#user}}{{name}}@{{site}}{{/user}}', { user: { name: 'u' }, site: 'mt' }), 'u@mt');
+});
+
+test('renderTemplate: 数组逐项输出，独占一行的区块标记不留空行', () => {
+    const template = `开始
+{{#items}}
+- {{name}}{{#last}} (最后){{/last}}
+{{/items}}
+{{^items}}
+(无)
+{{/items}}
+结束`;
+
+    assert.equal(renderTemplate(template, { items: [{ name: 'a' }, { name: 'b', last: true }] }), '开始\n- a\n- b (最后)\n结束');
+    assert.equal(renderTemplate(template, { items: [] }), '开始\n(无)\n结束');
+});
+
+test('parseTemplate: 区块未闭合或闭合错误时报错', () => {
+    assert.throws(() => parseTemplate('{{#a}}x'), /模板区块未闭合: \{\{#a\}\}/);
+    assert.throws(() => parseTemplate('{{#a}}x{{/b}}'), /模板区块未正确闭合: \{\{\/b\}\}/);
+});
+
+test('renderMessage: 内置模板与纯文本通知', () => {
+    const failure = renderMessage({ template: 'failure', data: { error: 'x < y', time: 'now', multiAccount: true, account: 'a_b' } }, Format.MARKDOWN_V2);
+    assert.equal(failure.title, '❌ M-TEAM 登录失败 [a_b]');
+    assert.equal(failure.full, '*❌ M\\-TEAM 登录失败 \\[a\\_b\\]*\n\n错误信息: `x < y`\n\n⏰ *时间:* now');
+
+    const plain = renderMessage({ title: '<标题>', text: 'a & b' }, Format.HTML);
+    assert.equal(plain.full, '<b>&lt;标题&gt;</b>\n\na &amp; b');
+});
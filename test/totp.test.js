@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTotpSecret, generateTotp } from '../src/totp.js';
+
+/**
+ * base32 编码 (用于把 RFC 中的 ASCII 种子转为密钥)
+ * @param {Buffer} buffer
+ */
+function base32Encode(buffer) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += alphabet[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += alphabet[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+// RFC 6238 附录 B 的种子与测试向量 (8 位)
+const SEEDS = {
+    SHA1: '12345678901234567890',
+    SHA256: '12345678901234567890123456789012',
+    SHA512: '1234567890123456789012345678901234567890123456789012345678901234',
+};
+const VECTORS = [
+    { time: 59, SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' },
+    { time: 1111111109, SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' },
+    { time: 1111111111, SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' },
+    { time: 1234567890, SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' },
+    { time: 2000000000, SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' },
+    { time: 20000000000, SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' },
+];
+
+for (const algorithm of Object.keys(SEEDS)) {
+    test(`generateTotp: RFC 6238 测试向量 (${algorithm})`, () => {
+        const secret = base32Encode(Buffer.from(SEEDS[algorithm]));
+        const uri = `otpauth://totp/M-TEAM:user?secret=${secret}&algorithm=${algorithm}&digits=8&period=30`;
+        for (const vector of VECTORS) {
+            assert.equal(generateTotp(uri, vector.time * 1000).code, vector[algorithm], `T=${vector.time}`);
+        }
+    });
+}
+
+test('generateTotp: 纯 base32 密钥使用 SHA1 / 6 位 / 30 秒', () => {
+    const secret = base32Encode(Buffer.from(SEEDS.SHA1));
+    // RFC 6238 的 8 位验证码取后 6 位
+    assert.equal(generateTotp(secret, 59 * 1000).code, '287082');
+    assert.equal(generateTotp(secret.toLowerCase().replace(/(.{4})/g, '$1 '), 59 * 1000).code, '287082');
+});
+
+test('generateTotp: 剩余有效时间', () => {
+    const secret = base32Encode(Buffer.from(SEEDS.SHA1));
+    assert.equal(generateTotp(secret, 59 * 1000).remainingMs, 1000);
+    assert.equal(generateTotp(secret, 60 * 1000).remainingMs, 30000);
+});
+
+test('parseTotpSecret: 无效输入', () => {
+    assert.throws(() => parseTotpSecret(''), /TOTP 密钥为空/);
+    assert.throws(() => parseTotpSecret('ABC1'), /无效字符: 1/);
+    assert.throws(() => parseTotpSecret('otpauth://hotp/x?secret=JBSWY3DP'), /不支持的 otpauth 类型/);
+    assert.throws(() => parseTotpSecret('otpauth://totp/x'), /缺少 secret/);
+    assert.throws(() => parseTotpSecret('otpauth://totp/x?secret=JBSWY3DP&algorithm=MD5'), /不支持的 TOTP 算法/);
+    assert.throws(() => parseTotpSecret('otpauth://totp/x?secret=JBSWY3DP&digits=4'), /digits\/period/);
+});